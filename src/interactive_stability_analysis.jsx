@@ -1,4 +1,502 @@
-const { useState, useCallback, useMemo } = React;
+const { useState, useCallback, useMemo, useRef, useEffect } = React;
+const { ELEMENT_TYPES, loadVoltageFactor, reduceNetwork, solveOperatingPoint, calcNetworkAdmittance } = StabilityCore;
+const { buildSchedule, simulateSchedule } = TimeSimulation;
+const {
+  PLAN_FULL_SEARCH_LIMIT, searchSwitchingPlans, formatHistogram, parseHistogram, runMonteCarlo,
+  parseLoadProfile, formatProfileTime, evaluateProfile,
+} = OperationAnalysis;
+const {
+  PARAM_DEFS, validateParams, LOAD_MODELS, DEFAULT_LOAD_MODEL,
+  GENERATOR_UNIT_DEFS, MAX_GENERATOR_UNITS, DEFAULT_GENERATOR_UNITS, validateGeneratorUnit, defaultExciter,
+  DEFAULT_SATURATION, validateSaturation, FREQUENCY_PARAM_DEFS, DEFAULT_FREQUENCY, TIE_PARAM_DEFS, DEFAULT_TIE,
+  OVR_CURVES, OVR_ACTIONS, OVR_TARGET_TYPES, DEFAULT_OVR, isValidRelay, EVENT_ACTIONS, DEFAULT_EVENTS, CONTROL_MODES,
+  SETTING_RANGES, DEFAULT_SIM_SETTINGS, isObject, parseScenario, buildScenario, encodeScenarioHash, decodeScenarioHash,
+} = Scenario;
+
+// ===== 発電機プリセット（理論文書 付録B）=====
+// XLは系統側の値のため、プリセットでは変更しない
+const MACHINE_PRESETS = {
+  synchronous: { label: '同期機', Xd: 1.8, Xd_prime: 0.3, Td0_prime: 8.0, Tq0_prime: 1.0 },
+  turbine: { label: 'タービン発電機', Xd: 2.2, Xd_prime: 0.25, Td0_prime: 6.5, Tq0_prime: 0.8 },
+  hydro: { label: '水車発電機', Xd: 1.2, Xd_prime: 0.35, Td0_prime: 4.5, Tq0_prime: 1.0 },
+};
+
+// プリセットが設定するパラメータ（label 以外）
+const presetValues = (key) => {
+  const preset = MACHINE_PRESETS[key];
+  return Object.fromEntries(['Xd', 'Xd_prime', 'Td0_prime', 'Tq0_prime'].map(k => [k, preset[k]]));
+};
+
+// ===== 保護動作・時間応答の集計 =====
+// 保護動作ログの状態表示
+const PROTECTION_LOG_TYPES = {
+  pickup: '始動',
+  reset: '復帰',
+  trip: '動作',
+};
+
+// UFLS で遮断した割合（負荷 id → 0〜1）を定格に反映した系統構成
+const shedConfig = (systemConfig, shed) => ({
+  ...systemConfig,
+  elements: systemConfig.elements.map(el => (shed[el.id] ? { ...el, rating: el.rating * (1 - shed[el.id]) } : el)),
+});
+
+// 時間応答から持続電圧と到達時間を求める
+// 最後の 1 s の VL 最大値を持続電圧とし、分離時点からの上昇分の 90% に達した時刻を到達時間とする
+const sustainedVoltage = (data) => {
+  const sep = data.findIndex(d => d.separated);
+  if (sep < 0) return null;
+  const tEnd = data[data.length - 1].t;
+  const VL0 = data[sep].VL;
+  const VLss = Math.max(...data.filter(d => d.t >= tEnd - 1).map(d => d.VL));
+  const reach = VLss - VL0 > 0.01 ? data.slice(sep).find(d => d.VL >= VL0 + 0.9 * (VLss - VL0)) : null;
+  return { VL: VLss, rise: VLss - VL0, tReach: reach ? reach.t - data[sep].t : null };
+};
+
+// ===== スイッチングイベント =====
+// 例: 0.5s 分離 → 0.8s 負荷3遮断 → 1.2s コンデンサ1切離
+const EXAMPLE_EVENTS = [
+  { id: 1, t: 0.5, action: 'separate' },
+  { id: 2, t: 0.8, action: 'open', target: 'load3' },
+  { id: 3, t: 1.2, action: 'open', target: 'cap1' },
+];
+
+const formatEvent = (ev, elements) => {
+  if (ev.action === 'separate') return EVENT_ACTIONS.separate;
+  const el = elements.find(e => e.id === ev.target);
+  if (ev.action === 'ufls') return `UFLS第${ev.stage}段 ${el ? el.name : '（削除済み）'} ${Math.round(ev.fraction * 100)}%遮断`;
+  if (ev.action === 'ovr') return `OVR${ev.relay} ${el ? el.name : '（削除済み）'} ${ev.operation === 'open' ? '開放' : '投入'}`;
+  return `${el ? el.name : '（削除済み）'} ${ev.action === 'open' ? '開放' : '投入'}`;
+};
+
+// イベント番号表示（①②…）
+const eventMark = (i) => String.fromCharCode(0x2460 + i);
+
+// ===== P+Q協調制御（理論文書 7.3）=====
+// 目標点は安定境界円から半径比でこの分だけ外側に置く
+const STABILITY_MARGIN = 0.02;
+
+/**
+ * 制御後の目標運転点を求める
+ * 安定条件（式9）と k 条件 |k - targetK| ≤ tol を同時に満たし、
+ * (ΔG, ΔBc) のユークリッドノルムが最小となる点を返す。
+ * mode: 'P_Q'（G, Bc 両方）| 'P'（ΔBc = 0）| 'Q'（ΔG = 0）
+ * 可能領域の境界は円（安定境界円, k等高線2本）と G = 0 のみなので、
+ * 最小点は現在点・各境界への射影・境界同士の交点のいずれかになる。
+ */
+const solveControlTarget = ({ G0, Bc0, stabilityCircle, X, targetK, tol, mode }) => {
+  const kCenter = 1 / X;
+  const circles = [
+    { Bc_center: stabilityCircle.Bc_center, R: stabilityCircle.R * (1 + STABILITY_MARGIN), outside: true },
+    { Bc_center: kCenter, R: 1 / ((targetK + tol) * X), outside: true },
+  ];
+  if (targetK - tol > 0) circles.push({ Bc_center: kCenter, R: 1 / ((targetK - tol) * X), outside: false });
+
+  const eps = 1e-9;
+  const isFeasible = (g, bc) => g >= -eps && circles.every(c => {
+    const d = Math.sqrt(g * g + (bc - c.Bc_center) ** 2);
+    return c.outside ? d >= c.R - eps : d <= c.R + eps;
+  });
+
+  const candidates = [{ g: G0, bc: Bc0 }];
+  if (mode === 'P') {
+    candidates.push({ g: 0, bc: Bc0 });
+    circles.forEach(c => {
+      const h = c.R * c.R - (Bc0 - c.Bc_center) ** 2;
+      if (h >= 0) candidates.push({ g: Math.sqrt(h), bc: Bc0 });
+    });
+  } else if (mode === 'Q') {
+    circles.forEach(c => {
+      const h = c.R * c.R - G0 * G0;
+      if (h >= 0) {
+        candidates.push({ g: G0, bc: c.Bc_center + Math.sqrt(h) });
+        candidates.push({ g: G0, bc: c.Bc_center - Math.sqrt(h) });
+      }
+    });
+  } else {
+    // 各境界への射影
+    candidates.push({ g: 0, bc: Bc0 });
+    circles.forEach(c => {
+      const d = Math.sqrt(G0 * G0 + (Bc0 - c.Bc_center) ** 2);
+      const [ug, ub] = d < 1e-12 ? [1, 0] : [G0 / d, (Bc0 - c.Bc_center) / d];
+      candidates.push({ g: c.R * ug, bc: c.Bc_center + c.R * ub });
+      candidates.push({ g: -c.R * ug, bc: c.Bc_center - c.R * ub });
+      // G = 0 軸との交点
+      candidates.push({ g: 0, bc: c.Bc_center + c.R }, { g: 0, bc: c.Bc_center - c.R });
+    });
+    // 境界円同士の交点（中心はいずれも G = 0 軸上）
+    circles.forEach((c1, i) => circles.slice(i + 1).forEach(c2 => {
+      const dc = c2.Bc_center - c1.Bc_center;
+      if (Math.abs(dc) < 1e-12) return;
+      const bc = c1.Bc_center + (c1.R * c1.R - c2.R * c2.R + dc * dc) / (2 * dc);
+      const h = c1.R * c1.R - (bc - c1.Bc_center) ** 2;
+      if (h >= 0) candidates.push({ g: Math.sqrt(h), bc });
+    }));
+  }
+
+  const best = candidates
+    .filter(p => isFeasible(p.g, p.bc))
+    .map(p => ({ ...p, norm: Math.sqrt((p.g - G0) ** 2 + (p.bc - Bc0) ** 2) }))
+    .sort((a, b) => a.norm - b.norm)[0];
+
+  if (!best) return { feasible: false, mode };
+  return { feasible: true, mode, G: best.g, Bc: best.bc, dG: best.g - G0, dBc: best.bc - Bc0, norm: best.norm };
+};
+
+// ===== 開閉計画の探索 =====
+const PLAN_OBJECTIVES = {
+  shed: '遮断負荷 MW 最小',
+  ops: '操作回数 最小',
+};
+
+// ===== 安定余裕 =====
+// 余裕率（境界までの距離 / 安定境界円の半径）による段階。OP の色分けとゲージに使う
+const MARGIN_LEVELS = [
+  { max: 0, label: '不安定', color: '#ef4444' },
+  { max: 0.2, label: '余裕小', color: '#f97316' },
+  { max: 0.5, label: '注意', color: '#eab308' },
+  { max: Infinity, label: '余裕あり', color: '#22c55e' },
+];
+
+const marginLevel = (ratio) => MARGIN_LEVELS.find(level => ratio < level.max);
+
+// ===== 運転点のドラッグ =====
+const DRAG_MODES = {
+  scale: '接続中の要素を比例調整',
+  virtual: '仮想調整要素を追加',
+};
+
+// スナップ判定距離 [px]
+const SNAP_PX = 8;
+
+// 円（中心は G = 0 軸上）の周上で (g, bc) に最も近い点
+const projectToCircle = (g, bc, circle) => {
+  const d = Math.sqrt(g * g + (bc - circle.Bc_center) ** 2);
+  if (d < 1e-12) return { g: circle.R, bc: circle.Bc_center };
+  return { g: g / d * circle.R, bc: circle.Bc_center + (bc - circle.Bc_center) / d * circle.R };
+};
+
+/**
+ * 運転点 (g, bc) を実現する systemConfig を返す
+ * 'scale': 接続中の負荷（G）・コンデンサとケーブル（Bc）の定格を比例倍
+ *          （対象が無い成分は仮想調整要素で補う。リアクトルは変更しない）
+ * 'virtual': 要素はそのままで、差分を仮想調整要素 P_adj, Qc_adj に割り当てる
+ * VL は移動先での負荷端電圧で、電圧依存負荷の寄与はこの電圧で評価する
+ */
+const configForOperatingPoint = (systemConfig, connected, g, bc, mode, VL = systemConfig.V) => {
+  const V2 = systemConfig.V * systemConfig.V;
+  const round = (v) => Math.round(v * 1e6) / 1e6;
+  const next = { ...systemConfig };
+  const isScaled = {
+    P: (el) => el.type === 'load',
+    Qc: (el) => ELEMENT_TYPES[el.type].bcSign > 0,
+  };
+  // 運転点への寄与を基準電圧での電力に換算した値
+  const contribution = {
+    P: (el) => el.rating * loadVoltageFactor(el, VL / systemConfig.V) * V2 / (VL * VL),
+    Qc: (el) => el.rating,
+  };
+  const current = reduceNetwork(systemConfig, connected, VL);
+  const deltas = { P: (g - current.G) * V2, Qc: (bc - current.Bc) * V2 };
+  const adjKeys = { P: 'P_adj', Qc: 'Qc_adj' };
+
+  ['P', 'Qc'].forEach(quantity => {
+    const scaled = systemConfig.elements.filter(el => connected[el.id] && isScaled[quantity](el));
+    const total = scaled.reduce((sum, el) => sum + contribution[quantity](el), 0);
+    if (mode === 'scale' && total > 1e-9 && total + deltas[quantity] >= 0) {
+      const scale = (total + deltas[quantity]) / total;
+      next.elements = next.elements.map(el => (scaled.includes(el) ? { ...el, rating: round(el.rating * scale) } : el));
+    } else {
+      next[adjKeys[quantity]] = round((systemConfig[adjKeys[quantity]] || 0) + deltas[quantity]);
+    }
+  });
+  return next;
+};
+
+// ===== G-Bc平面の表示範囲 =====
+// 見やすい刻み幅（1, 2, 5 × 10^n）で目盛りを生成
+const niceTicks = (min, max, count = 5) => {
+  const raw = (max - min) / count;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].map(m => m * mag).find(st => st >= raw);
+  const ticks = [];
+  for (let i = Math.ceil(min / step); i * step <= max + step * 1e-6; i++) ticks.push(i * step);
+  return { ticks, decimals: Math.max(0, -Math.floor(Math.log10(step))) };
+};
+
+// 表示範囲を縦横同一スケールになるよう広げる（円が円として描画される）
+const fitEqualAspect = (view, plotW, plotH) => {
+  const scale = Math.min(plotW / (view.gMax - view.gMin), plotH / (view.bcMax - view.bcMin));
+  const gMid = (view.gMin + view.gMax) / 2, bcMid = (view.bcMin + view.bcMax) / 2;
+  return {
+    gMin: gMid - plotW / scale / 2, gMax: gMid + plotW / scale / 2,
+    bcMin: bcMid - plotH / scale / 2, bcMax: bcMid + plotH / scale / 2,
+  };
+};
+
+// 点 (g, bc) を中心に factor 倍ズーム（factor < 1 で拡大）
+const zoomView = (view, g, bc, factor) => ({
+  gMin: g + (view.gMin - g) * factor, gMax: g + (view.gMax - g) * factor,
+  bcMin: bc + (view.bcMin - bc) * factor, bcMax: bc + (view.bcMax - bc) * factor,
+});
+
+/**
+ * 安定・不安定の境界線（マーチングスクエア）
+ * 格子点で isStable(g, bc) を評価し、判定が変わる辺上の境界点を二分法で求めて線分で結ぶ
+ * @returns {number[][]} 線分 [g1, bc1, g2, bc2] の配列
+ */
+const stabilityBoundaryContour = (isStable, { gMin, gMax, bcMin, bcMax }, nx = 64, ny = 64) => {
+  const gAt = (i) => gMin + (gMax - gMin) * i / nx;
+  const bcAt = (j) => bcMin + (bcMax - bcMin) * j / ny;
+  const grid = Array.from({ length: nx + 1 }, (_, i) => Array.from({ length: ny + 1 }, (_, j) => isStable(gAt(i), bcAt(j))));
+
+  const edgeCache = new Map();
+  const crossing = ([i1, j1], [i2, j2]) => {
+    const key = [i1, j1, i2, j2].join() < [i2, j2, i1, j1].join() ? [i1, j1, i2, j2].join() : [i2, j2, i1, j1].join();
+    if (!edgeCache.has(key)) {
+      let lo = [gAt(i1), bcAt(j1)], hi = [gAt(i2), bcAt(j2)];
+      for (let k = 0; k < 12; k++) {
+        const mid = [(lo[0] + hi[0]) / 2, (lo[1] + hi[1]) / 2];
+        if (isStable(mid[0], mid[1]) === grid[i1][j1]) lo = mid;
+        else hi = mid;
+      }
+      edgeCache.set(key, [(lo[0] + hi[0]) / 2, (lo[1] + hi[1]) / 2]);
+    }
+    return edgeCache.get(key);
+  };
+
+  const segments = [];
+  for (let i = 0; i < nx; i++) {
+    for (let j = 0; j < ny; j++) {
+      const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]];
+      const points = [];
+      corners.forEach((c, k) => {
+        const d = corners[(k + 1) % 4];
+        if (grid[c[0]][c[1]] !== grid[d[0]][d[1]]) points.push(crossing(c, d));
+      });
+      if (points.length >= 2) segments.push([...points[0], ...points[1]]);
+      if (points.length === 4) segments.push([...points[2], ...points[3]]);
+    }
+  }
+  return segments;
+};
+
+// ===== パラメータスイープ =====
+// cableLength はケーブル要素の充電容量に掛ける倍率（ケーブル長比）
+const SWEEP_PARAMS = {
+  XL: { label: 'XL', from: 2.0, to: 8.0 },
+  Xd: { label: 'Xd', from: 1.0, to: 2.5 },
+  Xd_prime: { label: "Xd'", from: 0.15, to: 0.45 },
+  cableLength: { label: 'ケーブル長（倍率）', from: 0.5, to: 3.0 },
+};
+
+const SWEEP_QUANTITIES = [
+  { key: 'Bc_center', label: '安定境界円の中心 Bc' },
+  { key: 'R', label: '安定境界円の半径 R' },
+  { key: 'margin', label: 'OP での余裕（中心距離 − R）' },
+  { key: 'Gcrit', label: '臨界 G（OP の Bc で固定）' },
+];
+
+// 第2パラメータの値ごとの線種
+const SWEEP_DASHES = [undefined, '5,3', '2,2', '8,3,2,3', '1,3', '10,4'];
+
+const sweepValues = ({ from, to, steps }) => (
+  Array.from({ length: steps }, (_, i) => (steps === 1 ? from : from + (to - from) * i / (steps - 1)))
+);
+
+const applySweepValue = ({ params, systemConfig }, key, value) => (key === 'cableLength'
+  ? {
+    params,
+    systemConfig: {
+      ...systemConfig,
+      elements: systemConfig.elements.map(el => (el.type === 'cable' ? { ...el, rating: el.rating * value } : el)),
+    },
+  }
+  : { params: { ...params, [key]: value }, systemConfig });
+
+/**
+ * 1〜2 パラメータのスイープ
+ * 第2パラメータの値ごとに系列を作り、各点で安定境界円・運転点・余裕・臨界 G を求める
+ * reduce(params, systemConfig) は運転点 { G, Bc } を返す関数。入力範囲外の点は valid: false
+ */
+const runParameterSweep = ({ params, systemConfig, axes, reduce }) => {
+  const [axis1, axis2] = axes;
+  return (axis2 ? sweepValues(axis2) : [null]).map(value2 => {
+    const base = axis2 ? applySweepValue({ params, systemConfig }, axis2.key, value2) : { params, systemConfig };
+    const points = sweepValues(axis1).map(value1 => {
+      const c = applySweepValue(base, axis1.key, value1);
+      if (Object.keys(validateParams(c.params)).length > 0) return { x: value1, valid: false };
+      const circle = StabilityCore.stabilityCircle(c.params);
+      const { G, Bc } = reduce(c.params, c.systemConfig);
+      const dist = Math.sqrt(G * G + (Bc - circle.Bc_center) ** 2);
+      const h = circle.R ** 2 - (Bc - circle.Bc_center) ** 2;
+      return {
+        x: value1, valid: true, circle, G, Bc,
+        Bc_center: circle.Bc_center, R: circle.R, margin: dist - circle.R,
+        Gcrit: h > 0 ? Math.sqrt(h) : null, stable: dist > circle.R,
+      };
+    });
+    return { value: value2, points };
+  });
+};
+
+// 第1パラメータの位置 i / (n - 1) に応じた色（青 → 赤）
+const sweepColor = (i, n) => `hsl(${n > 1 ? 210 - 210 * i / (n - 1) : 210}, 85%, 60%)`;
+
+// ===== モンテカルロ評価 =====
+// 要素ごとの定格の不確かさを定格に対する倍率の分布で与える（負の倍率は 0 に切り詰め）
+// normal: 平均 1、標準偏差 sd / uniform: [low, high] / histogram: 区間 [from, to) と重み
+const MC_DISTRIBUTIONS = {
+  fixed: '固定（定格）',
+  normal: '正規分布',
+  uniform: '一様分布',
+  histogram: 'ヒストグラム',
+};
+
+const defaultDistribution = (el) => ({
+  type: 'normal', sd: el.type === 'load' ? 0.1 : 0.05, low: 0.8, high: 1.2,
+  bins: [{ from: 0.8, to: 1.0, weight: 1 }, { from: 1.0, to: 1.2, weight: 2 }],
+});
+
+const DEFAULT_MONTE_CARLO = { samples: 2000, seed: 1, kLimit: 1.1, overlay: true };
+
+// ===== 負荷プロフィールの再生 =====
+// プロフィールの値の単位（CSV の形式は src/operation_analysis.js を参照）
+const PROFILE_UNITS = {
+  ratio: '定格に対する倍率',
+  rating: '定格値 [p.u.]',
+};
+
+// 例: 夜間に工場・住宅負荷が下がり、コンデンサ・ケーブル充電はそのまま残る日負荷
+const EXAMPLE_PROFILE_CSV = `time,load1,load2,load3
+0:00,0.30,0.45,0.50
+2:00,0.25,0.35,0.45
+4:00,0.25,0.30,0.45
+6:00,0.45,0.55,0.60
+8:00,0.90,0.60,0.80
+10:00,1.00,0.50,0.90
+12:00,0.85,0.55,0.90
+14:00,1.00,0.50,0.90
+16:00,0.95,0.65,0.90
+18:00,0.70,1.00,0.85
+20:00,0.50,0.95,0.75
+22:00,0.35,0.70,0.60
+24:00,0.30,0.45,0.50`;
+
+const PROFILE_RISKS = {
+  unstable: { label: '不安定（自己励磁）', color: '#ef4444' },
+  overvoltage: { label: '過電圧のおそれ（k 超過）', color: '#f97316' },
+};
+
+// ===== シナリオの保存・読込 =====
+const SCENARIO_STORAGE_KEY = 'g-bc-scenarios';
+const SCENARIO_HASH_PREFIX = '#scenario=';
+
+// localStorage の名前付きシナリオ一覧（読めない場合は空）
+const loadStoredScenarios = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY) || '{}');
+    return isObject(stored) ? stored : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+// ===== 結果・図の書き出し =====
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // 同期的に解放するとダウンロードが始まる前に URL が無効になるブラウザがある
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// シミュレーション結果の列（stable, separated は 1/0）
+// 周波数 f [Hz] は周波数モデルを使った場合のみ（それ以外は空欄）
+const SIM_EXPORT_COLUMNS = ['t', 'VL', 'Ed', 'Eq', 'I', 'Efd', 'f', 'G', 'Bc', 'stable', 'separated'];
+
+const simulationToCSV = (data) => [
+  SIM_EXPORT_COLUMNS.join(','),
+  ...data.map(row => SIM_EXPORT_COLUMNS.map(key => (typeof row[key] === 'boolean' ? Number(row[key]) : row[key])).join(',')),
+].join('\n');
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// 凡例記号: 'line'（線種）または 'point'（丸印）
+const legendSymbol = ({ color, dash, shape }, x, y) => (shape === 'point'
+  ? `<circle cx="${x + 9}" cy="${y - 3}" r="4" fill="${color}" stroke="white" stroke-width="1"/>`
+  : `<line x1="${x}" y1="${y - 3}" x2="${x + 18}" y2="${y - 3}" stroke="${color}" stroke-width="2"${dash ? ` stroke-dasharray="${dash}"` : ''}/>`);
+
+const FIGURE_FONT = "'Hiragino Sans', 'Noto Sans JP', 'Yu Gothic', sans-serif";
+
+/**
+ * 画面上の SVG を単体で開ける SVG 文書にする
+ * 上にタイトル、下に凡例とパラメータ一覧を追加し、metadata に数値を JSON で埋め込む
+ */
+const buildStandaloneSvg = (svgEl, { title, legend = [], lines = [], metadata }) => {
+  const w = Number(svgEl.getAttribute('width'));
+  const h = Number(svgEl.getAttribute('height'));
+  const titleH = 22, legendH = legend.length > 0 ? 18 : 0, linesH = lines.length * 12 + 6;
+  const height = titleH + h + legendH + linesH;
+  // innerHTML は HTML として直列化されるため、XML として直列化する
+  const serializer = new XMLSerializer();
+  const content = Array.from(svgEl.childNodes, node => serializer.serializeToString(node)).join('');
+
+  let x = 10;
+  const legendItems = legend.map(item => {
+    const svg = `${legendSymbol(item, x, titleH + h + 12)}<text x="${x + 22}" y="${titleH + h + 12}" fill="#cbd5e1" font-size="9">${escapeXml(item.label)}</text>`;
+    x += 30 + item.label.length * 9;
+    return svg;
+  });
+  const lineItems = lines.map((line, i) => (
+    `<text x="10" y="${titleH + h + legendH + 12 + i * 12}" fill="#94a3b8" font-size="9">${escapeXml(line)}</text>`
+  ));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${height}" viewBox="0 0 ${w} ${height}" font-family="${escapeXml(FIGURE_FONT)}">`,
+    `<metadata>${escapeXml(JSON.stringify(metadata))}</metadata>`,
+    `<rect width="${w}" height="${height}" fill="#1e293b"/>`,
+    `<text x="${w / 2}" y="15" fill="white" font-size="12" font-weight="bold" text-anchor="middle">${escapeXml(title)}</text>`,
+    `<g transform="translate(0, ${titleH})">${content}</g>`,
+    ...legendItems,
+    ...lineItems,
+    '</svg>',
+  ].join('\n');
+};
+
+// SVG 文書を PNG に変換（scale 倍の解像度）
+const svgToPngBlob = (svgText, scale = 2) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = img.width * scale;
+    canvas.height = img.height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG に変換できません'))), 'image/png');
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('SVG を読み込めません'));
+  };
+  img.src = url;
+});
+
+// 時間応答グラフの表示系列
+const TIME_SERIES = [
+  { key: 'VL', label: 'VL', color: '#22c55e' },
+  { key: 'Eq', label: "E'q", color: '#a855f7', dash: '4,2' },
+  { key: 'Ed', label: "E'd", color: '#3b82f6', dash: '2,2' },
+  { key: 'I', label: '|I|', color: '#eab308', dash: '6,2' },
+  { key: 'Efd', label: 'Efd', color: '#f472b6', dash: '3,1' },
+];
 
 const InteractiveStabilityAnalysis = () => {
   // ===== システムパラメータ =====
@@ -9,22 +507,101 @@ const InteractiveStabilityAnalysis = () => {
     Td0_prime: 5.0,
     Tq0_prime: 1.0,
   });
+  // 入力途中の値（不正値は params に反映しない）
+  const [paramDrafts, setParamDrafts] = useState({});
+
+  const paramErrors = useMemo(() => {
+    const candidate = { ...params };
+    Object.entries(paramDrafts).forEach(([key, raw]) => { candidate[key] = parseFloat(raw); });
+    return validateParams(candidate);
+  }, [params, paramDrafts]);
+
+  const updateParam = useCallback((key, raw) => {
+    const nextDrafts = { ...paramDrafts, [key]: raw };
+    const candidate = { ...params };
+    Object.entries(nextDrafts).forEach(([k, r]) => { candidate[k] = parseFloat(r); });
+    setParamDrafts(nextDrafts);
+    if (Object.keys(validateParams(candidate)).length === 0) setParams(candidate);
+  }, [params, paramDrafts]);
+
+  const applyPreset = useCallback((presetKey) => {
+    setParams({ ...params, ...presetValues(presetKey) });
+    setParamDrafts({});
+  }, [params]);
+
+  const activePreset = Object.keys(MACHINE_PRESETS).find(key => (
+    Object.entries(presetValues(key)).every(([k, v]) => params[k] === v)
+  )) || 'custom';
+
+  // ===== 励磁系（AVR）=====
+  const [exciter, setExciter] = useState(() => defaultExciter('none'));
+  const [exciterDrafts, setExciterDrafts] = useState({});
+  const exciterModel = StabilityCore.EXCITER_MODELS[exciter.model];
+
+  const exciterErrors = useMemo(() => {
+    const errors = {};
+    exciterModel.params.forEach(({ key, min, max }) => {
+      if (exciterDrafts[key] === undefined) return;
+      const v = parseFloat(exciterDrafts[key]);
+      if (!Number.isFinite(v) || v < min || v > max) errors[key] = `${min} 〜 ${max} の範囲で入力してください`;
+    });
+    return errors;
+  }, [exciterModel, exciterDrafts]);
+
+  const updateExciterParam = (key, raw) => {
+    const def = exciterModel.params.find(p => p.key === key);
+    const v = parseFloat(raw);
+    setExciterDrafts({ ...exciterDrafts, [key]: raw });
+    if (Number.isFinite(v) && v >= def.min && v <= def.max) {
+      setExciter({ ...exciter, params: { ...exciter.params, [key]: v } });
+    }
+  };
+
+  const selectExciterModel = (model) => {
+    setExciter(defaultExciter(model));
+    setExciterDrafts({});
+  };
+
+  // ===== 発電機の磁気飽和 =====
+  const [saturation, setSaturation] = useState(DEFAULT_SATURATION);
+  const [saturationDrafts, setSaturationDrafts] = useState({});
+  const saturationCoeffs = useMemo(() => StabilityCore.saturationCoefficients(saturation), [saturation]);
+
+  const saturationErrors = useMemo(() => {
+    const candidate = { ...saturation };
+    Object.entries(saturationDrafts).forEach(([key, raw]) => { candidate[key] = parseFloat(raw); });
+    return validateSaturation(candidate);
+  }, [saturation, saturationDrafts]);
+
+  const updateSaturationParam = (key, raw) => {
+    const nextDrafts = { ...saturationDrafts, [key]: raw };
+    const candidate = { ...saturation };
+    Object.entries(nextDrafts).forEach(([k, r]) => { candidate[k] = parseFloat(r); });
+    setSaturationDrafts(nextDrafts);
+    if (Object.keys(validateSaturation(candidate)).length === 0) setSaturation(candidate);
+  };
 
   // ===== 系統構成要素（物理量）=====
   const [systemConfig, setSystemConfig] = useState({
-    // 有効電力負荷 [p.u.]
-    P_load1: 0.05,  // 負荷1（工場など）
-    P_load2: 0.03,  // 負荷2（住宅など）
-    P_load3: 0.02,  // 負荷3（その他）
-    // 無効電力源 [p.u.]
-    Qc_cap1: 0.04,  // 電力用コンデンサ1
-    Qc_cap2: 0.02,  // 電力用コンデンサ2
-    Qc_cable: 0.015, // ケーブル充電容量
+    // 負荷・コンデンサ・分路リアクトル・ケーブル（定格 [p.u.]）
+    elements: [
+      { id: 'load1', name: '負荷1（工場）', type: 'load', group: '', rating: 0.05, model: 'Z' },
+      { id: 'load2', name: '負荷2（住宅）', type: 'load', group: '', rating: 0.03, model: 'Z' },
+      { id: 'load3', name: '負荷3（その他）', type: 'load', group: '', rating: 0.02, model: 'Z' },
+      { id: 'cap1', name: 'コンデンサ1', type: 'capacitor', group: '', rating: 0.04 },
+      { id: 'cap2', name: 'コンデンサ2', type: 'capacitor', group: '', rating: 0.02 },
+      { id: 'cable', name: 'ケーブル充電', type: 'cable', group: '', rating: 0.015 },
+    ],
     // 電圧（基準）
     V: 1.0,
+    // 基準容量 [MVA]
+    S_base: 100,
+    // 仮想調整要素 [p.u.]（運転点ドラッグ時に使用）
+    P_adj: 0,
+    Qc_adj: 0,
   });
 
-  // ===== 負荷/コンデンサの接続状態 =====
+  // ===== 要素の接続状態（要素 id → 投入中）=====
   const [connected, setConnected] = useState({
     load1: true,
     load2: true,
@@ -34,6 +611,46 @@ const InteractiveStabilityAnalysis = () => {
     cable: true,
   });
 
+  const elementById = useMemo(
+    () => Object.fromEntries(systemConfig.elements.map(el => [el.id, el])),
+    [systemConfig.elements]
+  );
+
+  // ===== 要素の追加・削除・編集 =====
+  const [editingElements, setEditingElements] = useState(false);
+
+  const updateElement = (id, patch) => setSystemConfig({
+    ...systemConfig,
+    elements: systemConfig.elements.map(el => (el.id === id ? { ...el, ...patch } : el)),
+  });
+
+  const addElement = (type) => {
+    const ids = new Set(systemConfig.elements.map(el => el.id));
+    let n = 1;
+    while (ids.has(`${type}${n}`)) n++;
+    const count = systemConfig.elements.filter(el => el.type === type).length + 1;
+    const el = { id: `${type}${n}`, name: `${ELEMENT_TYPES[type].label}${count}`, type, group: '', rating: type === 'load' ? 0.02 : 0.01 };
+    if (type === 'load') el.model = 'Z';
+    setSystemConfig({ ...systemConfig, elements: [...systemConfig.elements, el] });
+    setConnected({ ...connected, [el.id]: true });
+  };
+
+  const removeElement = (id) => {
+    const rest = { ...connected };
+    delete rest[id];
+    setSystemConfig({ ...systemConfig, elements: systemConfig.elements.filter(el => el.id !== id) });
+    setConnected(rest);
+  };
+
+  // グループ内の要素をまとめて投入・開放
+  const setGroupConnected = (types, group, value) => {
+    const next = { ...connected };
+    systemConfig.elements
+      .filter(el => types.includes(el.type) && el.group === group)
+      .forEach(el => { next[el.id] = value; });
+    setConnected(next);
+  };
+
   // ===== 制御パラメータ =====
   const [controlMode, setControlMode] = useState('P_Q');
   const [targetK, setTargetK] = useState(1.0);
@@ -41,135 +658,1284 @@ const InteractiveStabilityAnalysis = () => {
   const [isDragging, setIsDragging] = useState(false);
 
   // ===== G, Bcの計算（縮約）=====
-  const { G, Bc, P_total, Qc_total } = useMemo(() => {
-    const V2 = systemConfig.V * systemConfig.V;
-    
-    // 接続されている負荷の合計
-    let P = 0;
-    if (connected.load1) P += systemConfig.P_load1;
-    if (connected.load2) P += systemConfig.P_load2;
-    if (connected.load3) P += systemConfig.P_load3;
-    
-    // 接続されているコンデンサの合計
-    let Qc = 0;
-    if (connected.cap1) Qc += systemConfig.Qc_cap1;
-    if (connected.cap2) Qc += systemConfig.Qc_cap2;
-    if (connected.cable) Qc += systemConfig.Qc_cable;
-    
-    return {
-      G: P / V2,
-      Bc: Qc / V2,
-      P_total: P,
-      Qc_total: Qc,
-    };
-  }, [systemConfig, connected]);
+  // 電圧依存負荷を考慮する場合は分離後の負荷端電圧 VL = k·V で反復計算する
+  const [voltageDependentLoads, setVoltageDependentLoads] = useState(true);
+
+  // shed: UFLS で遮断した負荷の割合（負荷 id → 0〜1）
+  const reduceState = useCallback((state, separated = true, shed = null) => {
+    const config = shed ? shedConfig(systemConfig, shed) : systemConfig;
+    return voltageDependentLoads && separated
+      ? solveOperatingPoint(params, config, state)
+      : reduceNetwork(config, state);
+  }, [voltageDependentLoads, params, systemConfig]);
+
+  const operatingPoint = useMemo(() => reduceState(connected), [reduceState, connected]);
+  const { G, Bc, P_total, Qc_total } = operatingPoint;
+
+  // 定インピーダンス仮定（VL = V）での運転点
+  const constantZPoint = useMemo(() => reduceNetwork(systemConfig, connected), [systemConfig, connected]);
+  const showConstantZ = Math.hypot(constantZPoint.G - G, constantZPoint.Bc - Bc) > 1e-6;
 
   // ===== 安定境界円 =====
-  const stabilityCircle = useMemo(() => {
-    const { Xd, Xd_prime, XL } = params;
-    const Bc_center = 0.5 * (1 / (XL + Xd_prime) + 1 / (XL + Xd));
-    const R = (Xd - Xd_prime) / (2 * (XL + Xd_prime) * (XL + Xd));
-    return { G_center: 0, Bc_center, R };
-  }, [params]);
+  const stabilityCircle = useMemo(() => StabilityCore.stabilityCircle(params), [params]);
 
   // ===== k等高線 =====
-  const calculateKCircle = useCallback((k) => {
-    const { Xd_prime, XL } = params;
-    const X_total = XL + Xd_prime;
-    return { G_center: 0, Bc_center: 1 / X_total, R: 1 / (k * X_total) };
-  }, [params]);
+  const calculateKCircle = useCallback((k) => StabilityCore.kCircle(params, k), [params]);
 
   // ===== 各種計算関数 =====
-  const checkStability = useCallback((g, bc) => {
-    const { G_center, Bc_center, R } = stabilityCircle;
-    return Math.sqrt(g * g + (bc - Bc_center) ** 2) > R;
-  }, [stabilityCircle]);
+  const checkStability = useCallback((g, bc) => StabilityCore.checkStability(params, g, bc), [params]);
 
-  const calculateK = useCallback((g, bc) => {
+  const calculateK = useCallback((g, bc) => StabilityCore.calculateK(params, g, bc), [params]);
+
+  const calculateEigenvalues = useCallback(
+    (g, bc) => StabilityCore.calculateEigenvalues(params, g, bc, exciter),
+    [params, exciter]
+  );
+
+  // 励磁系込みの安定判定（励磁系なしでは ΔEfd=0 の安定境界円と一致）
+  const hasExciter = exciter.model !== 'none';
+  const checkStabilityWithExciter = useCallback(
+    (g, bc) => StabilityCore.checkStabilityWithExciter(params, g, bc, exciter),
+    [params, exciter]
+  );
+
+  // 励磁系込みの実効安定境界（運転点によらない範囲で求める）
+  const exciterBoundary = useMemo(() => {
+    if (!hasExciter) return [];
+    const { Bc_center, R } = stabilityCircle;
     const X = params.XL + params.Xd_prime;
-    const denom = Math.sqrt((1 - bc * X) ** 2 + (g * X) ** 2);
-    return denom < 1e-10 ? 999 : 1 / denom;
-  }, [params]);
+    return stabilityBoundaryContour(checkStabilityWithExciter, {
+      gMin: 0, gMax: Math.max(1 / X, 4 * R),
+      bcMin: Math.min(0, Bc_center - 4 * R), bcMax: Math.max(2 / X, Bc_center + 4 * R),
+    });
+  }, [hasExciter, stabilityCircle, params, checkStabilityWithExciter]);
 
-  const calculateEigenvalues = useCallback((g, bc) => {
-    const { Xd, Xd_prime, XL, Td0_prime, Tq0_prime } = params;
-    const Q = Xd - Xd_prime;
-    const X = XL + Xd_prime;
-    const denom = (1 - bc * X) ** 2 + (g * X) ** 2;
-    if (denom < 1e-10) return { real: 0, imag: 0, stable: false };
-    
-    const Yr = g / denom;
-    const Yi = (bc - (g * g + bc * bc) * X) / denom;
-    const a = Td0_prime * Tq0_prime;
-    const b = -(Td0_prime + Tq0_prime) * (Yi * Q - 1);
-    const c = (Yi * Q - 1) ** 2 + Yr ** 2 * Q * Q;
-    const disc = b * b - 4 * a * c;
-    
-    if (disc >= 0) {
-      const s1 = (-b + Math.sqrt(disc)) / (2 * a);
-      const s2 = (-b - Math.sqrt(disc)) / (2 * a);
-      return { real: Math.max(s1, s2), imag: 0, stable: s1 < 0 && s2 < 0, oscillatory: false };
-    } else {
-      const re = -b / (2 * a);
-      const im = Math.sqrt(-disc) / (2 * a);
-      return { real: re, imag: im, stable: re < 0, oscillatory: true };
+  // ===== 複数発電機 =====
+  // 各機を昇圧リアクタンス XT で共通母線に接続し、共通の jXL（パラメータの XL）を介して負荷母線へ
+  const [generators, setGenerators] = useState({ enabled: false, units: DEFAULT_GENERATOR_UNITS });
+  const [generatorDrafts, setGeneratorDrafts] = useState({});
+
+  const updateGeneratorUnit = (id, key, raw) => {
+    setGeneratorDrafts({ ...generatorDrafts, [`${id}.${key}`]: raw });
+    const unit = generators.units.find(u => u.id === id);
+    const candidate = { ...unit, [key]: parseFloat(raw) };
+    if (Object.keys(validateGeneratorUnit(candidate)).length === 0) {
+      setGenerators({ ...generators, units: generators.units.map(u => (u.id === id ? candidate : u)) });
     }
-  }, [params]);
+  };
+
+  const addGeneratorUnit = () => {
+    const ids = new Set(generators.units.map(u => u.id));
+    let n = 1;
+    while (ids.has(`gen${n}`)) n++;
+    const last = generators.units[generators.units.length - 1] || DEFAULT_GENERATOR_UNITS[0];
+    setGenerators({ ...generators, units: [...generators.units, { ...last, id: `gen${n}`, name: `発電機${n}` }] });
+  };
+
+  const removeGeneratorUnit = (id) => setGenerators({ ...generators, units: generators.units.filter(u => u.id !== id) });
+
+  // 1機等価モデルと多機系の安定境界（運転点によらない）
+  const multiMachineModel = useMemo(() => {
+    if (!generators.enabled || generators.units.length === 0) return null;
+    const { units } = generators;
+    const { S_base } = systemConfig;
+    const equivalent = StabilityCore.equivalentMachine(units, params.XL, S_base);
+    const circle = StabilityCore.stabilityCircle(equivalent);
+    const X = params.XL + equivalent.Xd_prime;
+    const boundary = stabilityBoundaryContour(
+      (g, bc) => StabilityCore.checkMultiMachineStability(units, params.XL, g, bc, S_base),
+      {
+        gMin: 0, gMax: Math.max(1 / X, 4 * circle.R),
+        bcMin: Math.min(0, circle.Bc_center - 4 * circle.R), bcMax: Math.max(2 / X, circle.Bc_center + 4 * circle.R),
+      }
+    );
+    // 多機系の安定境界と等価円のずれ（境界点の |中心距離 - R| の最大、R に対する比）
+    const deviation = Math.max(0, ...boundary.flatMap(([g1, b1, g2, b2]) => [
+      Math.abs(Math.hypot(g1, b1 - circle.Bc_center) - circle.R),
+      Math.abs(Math.hypot(g2, b2 - circle.Bc_center) - circle.R),
+    ])) / circle.R;
+    return {
+      equivalent, circle, boundary, deviation,
+      equivalentValid: Object.keys(validateParams(equivalent)).length === 0,
+    };
+  }, [generators, systemConfig.S_base, params.XL]);
+
+  const multiMachine = useMemo(() => multiMachineModel && {
+    ...multiMachineModel,
+    analysis: StabilityCore.multiMachineAnalysis(generators.units, params.XL, G, Bc, systemConfig.S_base),
+    equivalentStable: StabilityCore.checkStability(multiMachineModel.equivalent, G, Bc),
+  }, [multiMachineModel, generators.units, params.XL, G, Bc, systemConfig.S_base]);
+
+  const applyEquivalentMachine = () => {
+    setParams(multiMachine.equivalent);
+    setParamDrafts({});
+  };
 
   // ===== 現在の状態 =====
   const isStable = checkStability(G, Bc);
+  const isStableWithExciter = hasExciter ? checkStabilityWithExciter(G, Bc) : isStable;
+  // 飽和を考慮した分離後の平衡点（界磁電圧は分離前の値で一定）
+  const saturatedPoint = useMemo(() => saturation.enabled && saturationCoeffs
+    ? StabilityCore.saturatedEquilibrium(params, G, Bc, 1 + StabilityCore.saturationFactor(saturationCoeffs, 1), saturationCoeffs)
+    : null, [saturation.enabled, saturationCoeffs, params, G, Bc]);
   const kValue = calculateK(G, Bc);
   const eigenvalues = calculateEigenvalues(G, Bc);
+  // モード解析（減衰比・周波数・参加係数）
+  const modal = useMemo(() => StabilityCore.eigenAnalysis(params, G, Bc, exciter), [params, G, Bc, exciter]);
+
+  // ===== 安定余裕 =====
+  const stabilityMargin = StabilityCore.stabilityMargin(params, G, Bc);
+  const opLevel = marginLevel(stabilityMargin.ratio);
+  // 境界に達する最小の ΔP [MW], ΔQc [Mvar]（基準電圧での定インピーダンス換算）
+  const toMW = (dY) => (dY === null ? null : dY * systemConfig.V ** 2 * systemConfig.S_base);
+  const marginMW = { dP: toMW(stabilityMargin.dG), dQc: toMW(stabilityMargin.dBc) };
+
+  // 要素1つの開閉で安定・不安定が入れ替わる操作（励磁系があれば励磁系込みで判定）
+  const singleSwitchRisks = useMemo(() => {
+    const check = hasExciter ? checkStabilityWithExciter : checkStability;
+    return systemConfig.elements
+      .map(el => {
+        const op = reduceState({ ...connected, [el.id]: !connected[el.id] });
+        return { el, closing: !connected[el.id], G: op.G, Bc: op.Bc, stable: check(op.G, op.Bc) };
+      })
+      .filter(r => r.stable !== isStableWithExciter);
+  }, [systemConfig.elements, connected, reduceState, hasExciter, checkStabilityWithExciter, checkStability, isStableWithExciter]);
+
+  // ===== 根軌跡 =====
+  const [locusSettings, setLocusSettings] = useState({ vary: 'G', end: 0, steps: 60, showOnPlane: true });
+  const [hoveredLocus, setHoveredLocus] = useState(null);
+
+  const locus = useMemo(() => StabilityCore.rootLocus(params, {
+    g: G, bc: Bc, vary: locusSettings.vary,
+    from: locusSettings.vary === 'G' ? G : Bc, to: locusSettings.end, steps: locusSettings.steps, exciter,
+  }), [params, G, Bc, locusSettings, exciter]);
+
+  const hoveredLocusPoint = hoveredLocus !== null ? locus.points[hoveredLocus] : null;
+  const boundaryLabel = hasExciter ? '実効安定境界' : '安定境界円';
+
+  // ===== P+Q協調制御 =====
+  const [kTolerance, setKTolerance] = useState(0.05);
+
+  const controlResults = useMemo(() => {
+    const X = params.XL + params.Xd_prime;
+    return Object.keys(CONTROL_MODES).map(mode => solveControlTarget({
+      G0: G, Bc0: Bc, stabilityCircle, X, targetK, tol: kTolerance, mode,
+    }));
+  }, [G, Bc, params, stabilityCircle, targetK, kTolerance]);
+
+  const controlTarget = controlResults.find(r => r.mode === controlMode);
+
+  // ===== 開閉計画の探索 =====
+  const [planSettings, setPlanSettings] = useState({
+    objective: 'shed', kMin: 0.9, kMax: 1.1, requireStable: true, allowClose: true,
+  });
+
+  const evaluateOperatingPoint = useCallback((g, bc) => {
+    const { Bc_center, R } = stabilityCircle;
+    return {
+      stable: checkStability(g, bc),
+      k: calculateK(g, bc),
+      eigenvalues: calculateEigenvalues(g, bc),
+      margin: Math.sqrt(g * g + (bc - Bc_center) ** 2) - R,
+    };
+  }, [stabilityCircle, checkStability, calculateK, calculateEigenvalues]);
+
+  // 全組合せの評価は重いため「探索」ボタンで実行する（条件が変われば再探索を促す）
+  const planInputs = useMemo(() => ({
+    systemConfig, connected, evaluate: evaluateOperatingPoint, reduce: reduceState, ...planSettings,
+  }), [systemConfig, connected, evaluateOperatingPoint, reduceState, planSettings]);
+  const [planResult, setPlanResult] = useState(null);
+  const runPlanSearch = () => setPlanResult({ plans: searchSwitchingPlans(planInputs), inputs: planInputs });
+  const planStale = planResult && planResult.inputs !== planInputs;
+
+  // ===== スイッチングイベント =====
+  const [events, setEvents] = useState(DEFAULT_EVENTS);
+
+  const schedule = useMemo(
+    () => buildSchedule(systemConfig, connected, events, reduceState),
+    [systemConfig, connected, events, reduceState]
+  );
+
+  const updateEvent = (id, patch) => setEvents(events.map(ev => {
+    if (ev.id !== id) return ev;
+    const next = { ...ev, ...patch };
+    if (next.action !== 'separate' && !elementById[next.target]) next.target = systemConfig.elements[0]?.id;
+    return next;
+  }));
+
+  const addEvent = () => {
+    const id = Math.max(0, ...events.map(ev => ev.id)) + 1;
+    const t = Math.max(0, ...events.map(ev => ev.t)) + 0.3;
+    setEvents([...events, { id, t: Math.round(t * 100) / 100, action: 'open', target: systemConfig.elements[0]?.id }]);
+  };
 
   // ===== 時間応答シミュレーション =====
+  const [simSettings, setSimSettings] = useState(DEFAULT_SIM_SETTINGS);
+  const [simResult, setSimResult] = useState(null);
+
+  // 周波数モデルと UFLS
+  const [frequency, setFrequency] = useState(DEFAULT_FREQUENCY);
+  const loadElements = systemConfig.elements.filter(el => el.type === 'load');
+
+  const updateUflsStage = (id, patch) => setFrequency({
+    ...frequency,
+    stages: frequency.stages.map(st => (st.id === id ? { ...st, ...patch } : st)),
+  });
+
+  const addUflsStage = () => {
+    const id = Math.max(0, ...frequency.stages.map(st => st.id)) + 1;
+    const threshold = Math.min(frequency.f0, ...frequency.stages.map(st => st.threshold)) - 0.3;
+    setFrequency({
+      ...frequency,
+      stages: [...frequency.stages, { id, threshold: Math.round(threshold * 10) / 10, delay: 0.2, target: loadElements[0]?.id, fraction: 0.5 }],
+    });
+  };
+
+  // 分離前の潮流（連系線・無限大母線）: 分離直前の区間の G, Bc で計算し、分離後の初期状態とする
+  const [preSeparation, setPreSeparation] = useState(DEFAULT_TIE);
+  const preSeparationFlow = useMemo(() => {
+    if (!preSeparation.enabled) return null;
+    const seg = schedule.filter(sg => !sg.separated).pop();
+    return StabilityCore.preSeparationLoadFlow(
+      params, seg.G, seg.Bc, preSeparation, saturation.enabled ? saturationCoeffs : null
+    );
+  }, [preSeparation, params, schedule, saturation.enabled, saturationCoeffs]);
+
+  // 過電圧継電器（OVR）
+  const [ovr, setOvr] = useState(DEFAULT_OVR);
+  const ovrTargets = systemConfig.elements.filter(el => OVR_TARGET_TYPES.includes(el.type));
+  // 対象要素が削除された継電器などは除いてシミュレーションに渡す
+  const activeRelays = useMemo(
+    () => ovr.relays.filter(r => isValidRelay(r, systemConfig.elements)),
+    [ovr.relays, systemConfig.elements]
+  );
+
+  const updateRelay = (id, patch) => setOvr({
+    ...ovr,
+    relays: ovr.relays.map(r => (r.id === id ? { ...r, ...patch } : r)),
+  });
+
+  const addRelay = () => {
+    const id = Math.max(0, ...ovr.relays.map(r => r.id)) + 1;
+    const target = ovrTargets[0];
+    setOvr({
+      ...ovr,
+      relays: [...ovr.relays, {
+        id, target: target?.id, pickup: 1.15, curve: 'definite', delay: 0.3, tms: 0.1,
+        action: target && target.type === 'reactor' ? 'close' : 'open',
+      }],
+    });
+  };
+
   const runSimulation = useCallback(() => {
-    const dt = 0.02;
-    const tMax = 8;
-    const data = [];
-    
-    for (let t = 0; t <= tMax; t += dt) {
-      const eig = calculateEigenvalues(G, Bc);
-      const k = calculateK(G, Bc);
-      const stable = checkStability(G, Bc);
-      
-      let VL = 1.0;
-      if (t > 0.5) {
-        const tau = t - 0.5;
-        if (stable) {
-          const decay = Math.exp(eig.real * tau);
-          const osc = eig.oscillatory ? Math.cos(eig.imag * tau) : 1;
-          VL = k * (1 + 0.2 * decay * osc);
-        } else {
-          const growth = Math.min(Math.exp(Math.abs(eig.real) * tau * 0.5), 4);
-          VL = k * growth;
-        }
+    const result = simulateSchedule({
+      params, segments: schedule, V: systemConfig.V, exciter,
+      saturation: saturation.enabled ? saturation : null,
+      // 無限大母線モデルでは分離前の機械入力を潮流計算の Pg とする
+      frequency: frequency.enabled ? { ...frequency, ...(preSeparationFlow ? { Pm0: preSeparation.Pg } : {}) } : null,
+      ovr: ovr.enabled ? { relays: activeRelays } : null, reduce: reduceState,
+      initial: preSeparationFlow,
+      method: simSettings.method, dt: simSettings.dt, tMax: simSettings.tMax,
+    });
+    const last = result.segments[result.segments.length - 1];
+    setSimResult({ ...result, relays: ovr.enabled ? activeRelays : [], eigenvalues: calculateEigenvalues(last.G, last.Bc) });
+    setTimeData(result.data);
+  }, [params, schedule, systemConfig.V, exciter, saturation, frequency, preSeparation.Pg, preSeparationFlow, ovr, activeRelays, reduceState, simSettings, calculateEigenvalues]);
+
+  // ===== パラメータスイープ =====
+  const [sweepSettings, setSweepSettings] = useState({
+    enabled: false,
+    overlay: true,
+    axes: [{ key: 'XL', from: 2.0, to: 8.0, steps: 7 }, { key: null, from: 0, to: 0, steps: 3 }],
+  });
+
+  const sweepResult = useMemo(() => {
+    if (!sweepSettings.enabled) return null;
+    return runParameterSweep({
+      params, systemConfig,
+      axes: sweepSettings.axes.filter(axis => axis.key),
+      reduce: (p, sc) => (voltageDependentLoads ? solveOperatingPoint(p, sc, connected) : reduceNetwork(sc, connected)),
+    });
+  }, [sweepSettings, params, systemConfig, connected, voltageDependentLoads]);
+
+  // 軸の変更（パラメータを変えたら範囲を既定値に戻し、第2軸と第1軸の重複は解除）
+  const updateSweepAxis = (index, patch) => {
+    const axes = sweepSettings.axes.map((axis, i) => {
+      if (i !== index) return axis;
+      const next = { ...axis, ...patch };
+      if (patch.key) Object.assign(next, { from: SWEEP_PARAMS[patch.key].from, to: SWEEP_PARAMS[patch.key].to });
+      return next;
+    });
+    if (axes[1].key === axes[0].key) axes[1] = { ...axes[1], key: null };
+    setSweepSettings({ ...sweepSettings, axes });
+  };
+
+  const sweepCurrentValue = (key) => (key === 'cableLength' ? 1 : params[key]);
+
+  // ===== モンテカルロ評価 =====
+  const [monteCarlo, setMonteCarlo] = useState(DEFAULT_MONTE_CARLO);
+  const [mcDistributions, setMcDistributions] = useState({});
+  const [histogramDrafts, setHistogramDrafts] = useState({});
+  const [mcResult, setMcResult] = useState(null);
+
+  // 未設定の要素は既定の分布（負荷 ±10%、その他 ±5% の正規分布）
+  const distributions = useMemo(() => Object.fromEntries(
+    systemConfig.elements.map(el => [el.id, mcDistributions[el.id] || defaultDistribution(el)])
+  ), [systemConfig.elements, mcDistributions]);
+
+  const updateDistribution = (id, patch) => setMcDistributions({ ...mcDistributions, [id]: { ...distributions[id], ...patch } });
+
+  const updateHistogram = (id, text) => {
+    setHistogramDrafts({ ...histogramDrafts, [id]: text });
+    const bins = parseHistogram(text);
+    if (bins) updateDistribution(id, { bins });
+  };
+
+  // 定格を変えた系統構成を現在の接続状態で縮約（分離後の運転点）
+  const reduceConfig = useCallback(
+    (sc) => (voltageDependentLoads ? solveOperatingPoint(params, sc, connected) : reduceNetwork(sc, connected)),
+    [voltageDependentLoads, params, connected]
+  );
+
+  // 結果がどの条件で求めたものかを参照で判定（条件が変われば再評価を促す）
+  const mcInputs = useMemo(() => ({
+    systemConfig, distributions, ...monteCarlo, evaluate: evaluateOperatingPoint, reduce: reduceConfig,
+  }), [systemConfig, distributions, monteCarlo, evaluateOperatingPoint, reduceConfig]);
+
+  const runMonteCarloEvaluation = () => setMcResult({ ...runMonteCarlo(mcInputs), inputs: mcInputs });
+  const mcStale = mcResult && mcResult.inputs !== mcInputs;
+
+  // ===== 負荷プロフィールの再生 =====
+  const [loadProfile, setLoadProfile] = useState(null);
+  // k の上限の既定値は既定の系統（全負荷で k ≈ 1.3）で夜間の軽負荷時間帯が分かる値
+  const [profileSettings, setProfileSettings] = useState({ unit: 'ratio', kLimit: 1.5, overlay: true });
+  const [profileMessage, setProfileMessage] = useState(null);
+  const [playback, setPlayback] = useState({ index: 0, playing: false, interval: 300 });
+  const profileFileRef = useRef(null);
+
+  const applyProfileText = (text, filename) => {
+    const { profile, errors, warnings } = parseLoadProfile(text, systemConfig.elements);
+    if (!profile) {
+      setProfileMessage({ type: 'error', text: `${filename} を読み込めません`, details: errors });
+      return;
+    }
+    setLoadProfile({ filename, profile });
+    setPlayback({ ...playback, index: 0, playing: false });
+    setProfileMessage(warnings.length > 0 ? { type: 'warning', text: `${filename} の一部を無視しました`, details: warnings } : null);
+  };
+
+  const importLoadProfile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then(text => applyProfileText(text, file.name));
+  };
+
+  const profileResult = useMemo(() => loadProfile && evaluateProfile({
+    profile: loadProfile.profile, unit: profileSettings.unit, kLimit: profileSettings.kLimit,
+    systemConfig, reduce: reduceConfig, evaluate: evaluateOperatingPoint,
+  }), [loadProfile, profileSettings.unit, profileSettings.kLimit, systemConfig, reduceConfig, evaluateOperatingPoint]);
+
+  const profilePoint = profileResult && profileResult.points[Math.min(playback.index, profileResult.points.length - 1)];
+
+  // 再生中は一定間隔で次の時刻へ（最後まで進んだら先頭に戻る）
+  useEffect(() => {
+    if (!playback.playing || !profileResult) return undefined;
+    const timer = setInterval(() => setPlayback(pb => ({
+      ...pb, index: (Math.min(pb.index, profileResult.points.length - 1) + 1) % profileResult.points.length,
+    })), playback.interval);
+    return () => clearInterval(timer);
+  }, [playback.playing, playback.interval, profileResult]);
+
+  // ===== シナリオの保存・読込・共有 =====
+  const [storedScenarios, setStoredScenarios] = useState(loadStoredScenarios);
+  const [scenarioName, setScenarioName] = useState('');
+  const [scenarioMessage, setScenarioMessage] = useState(null);
+  const scenarioFileRef = useRef(null);
+
+  const currentScenario = useCallback((includeSimulation = true) => buildScenario({
+    name: scenarioName,
+    params,
+    systemConfig,
+    connected,
+    events,
+    generators,
+    settings: { voltageDependentLoads, exciter, saturation, frequency, preSeparation, ovr, controlMode, targetK, kTolerance, simSettings },
+  }, includeSimulation ? simResult : null), [scenarioName, params, systemConfig, connected, events, generators, voltageDependentLoads, exciter, saturation, frequency, preSeparation, ovr, controlMode, targetK, kTolerance, simSettings, simResult]);
+
+  // 検査・移行したうえで状態に反映（エラーがあれば何も変更せず false を返す）
+  const applyScenario = useCallback((raw, source) => {
+    const { scenario, errors, warnings } = parseScenario(raw);
+    if (!scenario) {
+      setScenarioMessage({ type: 'error', text: `${source}を読み込めません`, details: errors });
+      return false;
+    }
+    setParams(scenario.params);
+    setParamDrafts({});
+    setSystemConfig(scenario.systemConfig);
+    setConnected(scenario.connected);
+    setEvents(scenario.events);
+    setGenerators(scenario.generators);
+    setGeneratorDrafts({});
+    setVoltageDependentLoads(scenario.settings.voltageDependentLoads);
+    setExciter(scenario.settings.exciter);
+    setSaturation(scenario.settings.saturation);
+    setSaturationDrafts({});
+    setExciterDrafts({});
+    setFrequency(scenario.settings.frequency);
+    setPreSeparation(scenario.settings.preSeparation);
+    setOvr(scenario.settings.ovr);
+    setControlMode(scenario.settings.controlMode);
+    setTargetK(scenario.settings.targetK);
+    setKTolerance(scenario.settings.kTolerance);
+    setSimSettings(scenario.settings.simSettings);
+    setSimResult(scenario.simulation);
+    setTimeData(scenario.simulation ? scenario.simulation.data : []);
+    if (scenario.name) setScenarioName(scenario.name);
+    setScenarioMessage({
+      type: warnings.length > 0 ? 'warning' : 'info',
+      text: `${source}を読み込みました`,
+      details: warnings,
+    });
+    return true;
+  }, []);
+
+  const saveScenario = () => {
+    const name = scenarioName.trim();
+    if (!name) return;
+    const next = { ...storedScenarios, [name]: { ...currentScenario(), name, savedAt: new Date().toISOString() } };
+    try {
+      localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(next));
+      setStoredScenarios(next);
+      setScenarioMessage({ type: 'info', text: `「${name}」を保存しました`, details: [] });
+    } catch (e) {
+      setScenarioMessage({ type: 'error', text: '保存できません（容量超過の可能性）', details: [String(e.message || e)] });
+    }
+  };
+
+  const deleteScenario = (name) => {
+    const rest = { ...storedScenarios };
+    delete rest[name];
+    localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(rest));
+    setStoredScenarios(rest);
+  };
+
+  const exportScenario = () => {
+    const scenario = { ...currentScenario(), savedAt: new Date().toISOString() };
+    const blob = new Blob([JSON.stringify(scenario, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${scenarioName.trim() || 'scenario'}.json`);
+  };
+
+  const importScenario = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then(text => {
+      let raw;
+      try {
+        raw = JSON.parse(text);
+      } catch (err) {
+        setScenarioMessage({ type: 'error', text: `${file.name} は JSON ではありません`, details: [err.message] });
+        return;
+      }
+      applyScenario(raw, file.name);
+    });
+  };
+
+  // 現在の状態を URL ハッシュに反映（シミュレーション結果は含めない。操作中の連続更新は間引く）
+  const shareHash = useMemo(() => SCENARIO_HASH_PREFIX + encodeScenarioHash(currentScenario(false)), [currentScenario]);
+  const shareHashRef = useRef(shareHash);
+  // URL のシナリオを読み込めなかったときの状態のハッシュ。状態が変わるまで URL を上書きしない
+  const heldShareHashRef = useRef(null);
+
+  useEffect(() => {
+    shareHashRef.current = shareHash;
+    const timer = setTimeout(() => {
+      if (heldShareHashRef.current === shareHash) return;
+      heldShareHashRef.current = null;
+      if (window.location.hash !== shareHash) window.history.replaceState(null, '', shareHash);
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [shareHash]);
+
+  // URL ハッシュからの読込（起動時・ハッシュ変更時）
+  useEffect(() => {
+    const loadFromHash = () => {
+      if (!window.location.hash.startsWith(SCENARIO_HASH_PREFIX)) return;
+      let raw;
+      try {
+        raw = decodeScenarioHash(window.location.hash.slice(SCENARIO_HASH_PREFIX.length));
+      } catch (e) {
+        setScenarioMessage({ type: 'error', text: 'URL のシナリオを復号できません', details: [e.message] });
+        heldShareHashRef.current = shareHashRef.current;
+        return;
+      }
+      heldShareHashRef.current = applyScenario(raw, 'URL のシナリオ') ? null : shareHashRef.current;
+    };
+    loadFromHash();
+    window.addEventListener('hashchange', loadFromHash);
+    return () => window.removeEventListener('hashchange', loadFromHash);
+  }, [applyScenario]);
+
+  const copyShareUrl = () => {
+    const url = window.location.href.split('#')[0] + shareHash;
+    navigator.clipboard.writeText(url).then(
+      () => setScenarioMessage({ type: 'info', text: '共有 URL をコピーしました', details: [] }),
+      () => setScenarioMessage({ type: 'error', text: 'クリップボードにコピーできません', details: [url] })
+    );
+  };
+
+  // ===== 系統データ（MATPOWER / PSS/E RAW）のインポート =====
+  const [networkCase, setNetworkCase] = useState(null);
+  const [importMessage, setImportMessage] = useState(null);
+  const networkFileRef = useRef(null);
+
+  const importNetworkCase = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then(text => {
+      const { network, errors, warnings } = NetworkImport.parseNetworkCase(text, file.name);
+      if (!network) {
+        setImportMessage({ type: 'error', text: `${file.name} を読み込めません`, details: errors });
+        return;
+      }
+      if (network.generators.length === 0) {
+        setImportMessage({ type: 'error', text: `${file.name} に運転中の発電機がありません`, details: warnings });
+        return;
       }
-      
-      data.push({ t, VL: Math.min(Math.max(VL, 0.4), 2.5), stable });
+      // 最初の発電機母線だけを選んだ状態から始める
+      const generatorBus = network.generators[0].bus;
+      setNetworkCase({ filename: file.name, network, selected: [generatorBus], generatorBus });
+      setImportMessage(warnings.length > 0 ? { type: 'warning', text: `${file.name} の一部を無視しました`, details: warnings } : null);
+    });
+  };
+
+  const toggleIslandBus = (id) => {
+    const selected = networkCase.selected.includes(id)
+      ? networkCase.selected.filter(b => b !== id)
+      : [...networkCase.selected, id];
+    setNetworkCase({ ...networkCase, selected });
+  };
+
+  const islandGenerators = networkCase
+    ? networkCase.network.generators.filter(gen => networkCase.selected.includes(gen.bus))
+    : [];
+
+  const islandReduction = useMemo(() => {
+    if (!networkCase) return null;
+    if (!networkCase.network.generators.some(gen => gen.bus === networkCase.generatorBus && networkCase.selected.includes(gen.bus))) {
+      return { equivalent: null, errors: ['選択した母線に発電機がありません'], warnings: [] };
+    }
+    const result = NetworkImport.reduceIsland(networkCase.network, networkCase.selected, networkCase.generatorBus);
+    if (result.equivalent) {
+      const xlError = validateParams({ ...params, XL: result.equivalent.XL }).XL;
+      if (xlError) return { ...result, errors: [`等価 XL = ${result.equivalent.XL.toFixed(4)} p.u. がパラメータの範囲外です（${xlError}）`] };
     }
-    setTimeData(data);
-  }, [G, Bc, calculateEigenvalues, calculateK, checkStability]);
+    return result;
+  }, [networkCase, params]);
+
+  // 縮約結果を XL と系統構成要素に反映（発電機定数はそのまま。基準容量は発電機の mBase）
+  const applyIslandEquivalent = () => {
+    const { equivalent } = islandReduction;
+    const elements = NetworkImport.islandElements(equivalent);
+    setParams({ ...params, XL: equivalent.XL });
+    setParamDrafts({});
+    setSystemConfig({ ...systemConfig, elements, V: 1.0, S_base: equivalent.base, P_adj: 0, Qc_adj: 0 });
+    setConnected(Object.fromEntries(elements.map(el => [el.id, true])));
+    setImportMessage({
+      type: 'info',
+      text: `${networkCase.filename} の分離系統（母線 ${equivalent.buses.length}）を適用しました`,
+      details: islandReduction.warnings,
+    });
+  };
 
   // ===== SVG設定 =====
   const svgW = 420, svgH = 350;
   const margin = { top: 25, right: 25, bottom: 45, left: 55 };
   const plotW = svgW - margin.left - margin.right;
   const plotH = svgH - margin.top - margin.bottom;
-  const GRange = { min: -0.01, max: 0.2 };
-  const BcRange = { min: 0.05, max: 0.3 };
+
+  // 表示範囲（null のときは自動フィット）
+  const [planeView, setPlaneView] = useState(null);
+  const [panStart, setPanStart] = useState(null);
+  const planeSvgRef = useRef(null);
+
+  // 安定境界円・k=1等高線（G ≥ 0 側）・運転点・軌跡・目標点が収まる範囲
+  const autoView = useMemo(() => {
+    const kCircle = calculateKCircle(1.0);
+    const gs = [0, stabilityCircle.R, kCircle.R, G, constantZPoint.G, ...schedule.map(seg => seg.G)];
+    const bcs = [
+      stabilityCircle.Bc_center - stabilityCircle.R, stabilityCircle.Bc_center + stabilityCircle.R,
+      kCircle.Bc_center - kCircle.R, kCircle.Bc_center + kCircle.R, Bc, ...schedule.map(seg => seg.Bc),
+    ];
+    if (controlTarget && controlTarget.feasible) {
+      gs.push(controlTarget.G);
+      bcs.push(controlTarget.Bc);
+    }
+    if (sweepResult && sweepSettings.overlay) {
+      sweepResult.forEach(series => series.points.filter(pt => pt.valid).forEach(pt => {
+        gs.push(pt.R, pt.G);
+        bcs.push(pt.Bc_center - pt.R, pt.Bc_center + pt.R, pt.Bc);
+      }));
+    }
+    if (profileResult && profileSettings.overlay) {
+      profileResult.points.forEach(pt => {
+        gs.push(pt.G);
+        bcs.push(pt.Bc);
+      });
+    }
+    if (mcResult && monteCarlo.overlay) {
+      mcResult.points.forEach(pt => {
+        gs.push(pt.G);
+        bcs.push(pt.Bc);
+      });
+    }
+    if (multiMachineModel) {
+      const { Bc_center, R } = multiMachineModel.circle;
+      gs.push(R);
+      bcs.push(Bc_center - R, Bc_center + R);
+    }
+    const gMax = Math.max(...gs), bcMin = Math.min(...bcs), bcMax = Math.max(...bcs);
+    const pad = 0.08 * Math.max(gMax, bcMax - bcMin);
+    return { gMin: -pad / 2, gMax: gMax + pad, bcMin: bcMin - pad, bcMax: bcMax + pad };
+  }, [stabilityCircle, calculateKCircle, G, Bc, constantZPoint, schedule, controlTarget, sweepResult, sweepSettings.overlay, profileResult, profileSettings.overlay, mcResult, monteCarlo.overlay, multiMachineModel]);
+
+  const view = fitEqualAspect(planeView || autoView, plotW, plotH);
+  const GRange = { min: view.gMin, max: view.gMax };
+  const BcRange = { min: view.bcMin, max: view.bcMax };
+  const pxPerUnit = plotW / (GRange.max - GRange.min);
+  const gTicks = niceTicks(GRange.min, GRange.max, 5);
+  const bcTicks = niceTicks(BcRange.min, BcRange.max, 5);
 
   const toX = (g) => margin.left + (g - GRange.min) / (GRange.max - GRange.min) * plotW;
   const toY = (bc) => margin.top + plotH - (bc - BcRange.min) / (BcRange.max - BcRange.min) * plotH;
   const fromX = (x) => GRange.min + (x - margin.left) / plotW * (GRange.max - GRange.min);
   const fromY = (y) => BcRange.max - (y - margin.top) / plotH * (BcRange.max - BcRange.min);
 
+  // ===== 運転点のドラッグ =====
+  const [dragSettings, setDragSettings] = useState({ mode: 'scale', snapBoundary: true, snapK: false });
+
+  const moveOperatingPoint = (g, bc) => {
+    const VL = voltageDependentLoads ? calculateK(Math.max(g, 0), bc) * systemConfig.V : systemConfig.V;
+    setSystemConfig(configForOperatingPoint(systemConfig, connected, Math.max(g, 0), bc, dragSettings.mode, VL));
+  };
+
+  // 境界円・k等高線の近傍（SNAP_PX 以内）なら周上に吸着
+  const snapOperatingPoint = (g, bc) => {
+    const tolerance = SNAP_PX / pxPerUnit;
+    const circles = [];
+    if (dragSettings.snapBoundary) circles.push(stabilityCircle);
+    if (dragSettings.snapK) [...kValues, targetK].forEach(k => circles.push(calculateKCircle(k)));
+    const nearest = circles
+      .map(c => ({ c, dist: Math.abs(Math.sqrt(g * g + (bc - c.Bc_center) ** 2) - c.R) }))
+      .sort((a, b) => a.dist - b.dist)[0];
+    return nearest && nearest.dist < tolerance ? projectToCircle(g, bc, nearest.c) : { g, bc };
+  };
+
+  const handlePlanePointerMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    if (isDragging) {
+      const { g, bc } = snapOperatingPoint(fromX(e.clientX - rect.left), fromY(e.clientY - rect.top));
+      moveOperatingPoint(g, bc);
+    } else if (panStart) {
+      const dg = (e.clientX - panStart.x) / pxPerUnit;
+      const dbc = (e.clientY - panStart.y) / pxPerUnit;
+      setPlaneView({
+        gMin: panStart.view.gMin - dg, gMax: panStart.view.gMax - dg,
+        bcMin: panStart.view.bcMin + dbc, bcMax: panStart.view.bcMax + dbc,
+      });
+    }
+  };
+
+  // OP をドラッグ中は表示範囲を固定する
+  const handleOpPointerDown = (e) => {
+    e.stopPropagation();
+    e.currentTarget.ownerSVGElement.setPointerCapture(e.pointerId);
+    setPlaneView(view);
+    setIsDragging(true);
+  };
+
+  // 背景のドラッグでパン
+  const handlePlanePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setPanStart({ x: e.clientX, y: e.clientY, view });
+  };
+
+  const handlePlanePointerUp = (e) => {
+    if (!isDragging && !panStart) return;
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    setIsDragging(false);
+    setPanStart(null);
+  };
+
+  // ホイールでカーソル位置を中心にズーム（ページのスクロールを止めるため passive: false で登録）
+  useEffect(() => {
+    const svg = planeSvgRef.current;
+    if (!svg) return undefined;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      const g = fromX(e.clientX - rect.left), bc = fromY(e.clientY - rect.top);
+      setPlaneView(zoomView(view, g, bc, e.deltaY > 0 ? 1.2 : 1 / 1.2));
+    };
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  });
+
   // k等高線
   const kValues = [0.8, 0.9, 1.0, 1.1, 1.2, 1.5];
   const kColors = { 0.8: '#3b82f6', 0.9: '#22c55e', 1.0: '#eab308', 1.1: '#f97316', 1.2: '#ef4444', 1.5: '#991b1b' };
 
   // 時間グラフ設定
-  const tgW = 380, tgH = 140;
-  const tgM = { top: 20, right: 40, bottom: 25, left: 45 };
+  const tgW = 420, tgH = 160;
+  const tgM = { top: 20, right: 45, bottom: 25, left: 45 };
+  const tgPlotW = tgW - tgM.left - tgM.right;
+  const tgPlotH = tgH - tgM.top - tgM.bottom;
+  const tgTMax = simSettings.tMax;
+  // 縦軸は計算結果から決定（発散時の表示は 2.5 p.u. で頭打ち。飽和を考慮した結果は持続電圧まで表示）
+  const tgRange = useMemo(() => {
+    const values = timeData.flatMap(d => TIME_SERIES.map(s => d[s.key]));
+    const lo = Math.min(0, ...values);
+    const hi = Math.min(Math.max(1.2, ...values), simResult && simResult.saturated ? Infinity : 2.5);
+    return { min: Math.floor(lo * 5) / 5, max: Math.ceil(hi * 5) / 5 };
+  }, [timeData, simResult]);
+  const tgToX = (t) => tgM.left + (t / tgTMax) * tgPlotW;
+  const tgToY = (v) => tgM.top + tgPlotH * (1 - (Math.min(Math.max(v, tgRange.min), tgRange.max) - tgRange.min) / (tgRange.max - tgRange.min));
+  const simEvents = simResult ? simResult.segments.slice(1).map(seg => seg.event) : [];
+  const protectionSegments = simResult ? simResult.segments.filter(seg => seg.protection) : [];
+  const protectionLabel = (ev) => (ev.action === 'ufls' ? `UFLS${ev.stage}` : `OVR${ev.relay}`);
+
+  // 周波数グラフ（周波数モデルを使った結果のみ）
+  const freqChart = useMemo(() => {
+    if (!timeData.some(d => Number.isFinite(d.f))) return null;
+    const fs = timeData.map(d => d.f).filter(Number.isFinite);
+    const f0 = fs[0];
+    const thresholds = (simResult && simResult.trips ? simResult.trips.filter(trip => trip.kind === 'ufls').map(trip => trip.f) : []);
+    const lo = Math.min(...fs, ...thresholds) - 0.1, hi = Math.max(...fs, f0) + 0.1;
+    return { f0, min: Math.floor(lo * 10) / 10, max: Math.ceil(hi * 10) / 10 };
+  }, [timeData, simResult]);
+
+  const renderFrequencyChart = () => {
+    const h = 100;
+    const toY = (f) => tgM.top + (h - tgM.top - tgM.bottom) * (1 - (f - freqChart.min) / (freqChart.max - freqChart.min));
+    const stages = frequency.stages.filter(st => st.threshold >= freqChart.min && st.threshold <= freqChart.max);
+    return (
+      <svg width={tgW} height={h}>
+        <rect x={tgM.left} y={tgM.top} width={tgPlotW} height={h - tgM.top - tgM.bottom} fill="#0f172a" />
+        <line x1={tgM.left} y1={toY(freqChart.f0)} x2={tgW - tgM.right} y2={toY(freqChart.f0)} stroke="#475569" strokeDasharray="3,3" />
+        {stages.map(st => (
+          <g key={st.id}>
+            <line x1={tgM.left} y1={toY(st.threshold)} x2={tgW - tgM.right} y2={toY(st.threshold)}
+              stroke="#f59e0b" strokeDasharray="2,2" opacity={0.6} />
+            <text x={tgW - tgM.right + 4} y={toY(st.threshold) + 3} fill="#f59e0b" fontSize="8">第{st.id}段</text>
+          </g>
+        ))}
+        {protectionSegments.filter(seg => seg.event.action === 'ufls').map(seg => (
+          <line key={seg.event.id} x1={tgToX(seg.event.t)} y1={tgM.top} x2={tgToX(seg.event.t)} y2={h - tgM.bottom}
+            stroke="#f59e0b" strokeDasharray="4,2" />
+        ))}
+        <path d={timeData.filter(d => Number.isFinite(d.f)).map((d, i) => `${i === 0 ? 'M' : 'L'} ${tgToX(d.t)} ${toY(d.f)}`).join(' ')}
+          fill="none" stroke="#38bdf8" strokeWidth={1.5} />
+        {[freqChart.min, freqChart.f0, freqChart.max].filter((v, i, arr) => arr.indexOf(v) === i).map(v => (
+          <text key={v} x={tgM.left - 5} y={toY(v) + 3} fill="#94a3b8" fontSize="8" textAnchor="end">{v.toFixed(1)}</text>
+        ))}
+        <text x={8} y={h / 2} fill="#94a3b8" fontSize="9" textAnchor="middle" transform={`rotate(-90, 8, ${h / 2})`}>f [Hz]</text>
+      </svg>
+    );
+  };
+  // OVR の始動〜復帰（動作）区間と動作時刻（継電器ごとのレーン）
+  const relayLanes = useMemo(() => {
+    if (!simResult || !simResult.relays || simResult.relays.length === 0) return [];
+    const tEnd = simResult.data.length > 0 ? simResult.data[simResult.data.length - 1].t : 0;
+    return simResult.relays.map(relay => {
+      const intervals = [];
+      let trip = null;
+      simResult.relayLog.filter(entry => entry.relay === relay.id).forEach(entry => {
+        if (entry.type === 'pickup') intervals.push({ from: entry.t, to: tEnd });
+        else if (intervals.length > 0) intervals[intervals.length - 1].to = entry.t;
+        if (entry.type === 'trip') trip = entry;
+      });
+      return { relay, intervals, trip };
+    });
+  }, [simResult]);
+
+  const renderRelayChart = () => {
+    const laneH = 16;
+    const h = tgM.top + laneH * relayLanes.length + 6;
+    return (
+      <svg width={tgW} height={h}>
+        {relayLanes.map(({ relay, intervals, trip }, i) => {
+          const y = tgM.top + i * laneH;
+          const el = systemConfig.elements.find(e => e.id === relay.target);
+          return (
+            <g key={relay.id}>
+              <rect x={tgM.left} y={y} width={tgPlotW} height={laneH - 3} fill="#0f172a" />
+              {intervals.map((iv, k) => (
+                <rect key={k} x={tgToX(iv.from)} y={y + 2} width={Math.max(1, tgToX(Math.min(iv.to, tgTMax)) - tgToX(iv.from))}
+                  height={laneH - 7} fill="#f59e0b" opacity={0.35} />
+              ))}
+              {trip && (
+                <g>
+                  <line x1={tgToX(trip.t)} y1={y} x2={tgToX(trip.t)} y2={y + laneH - 3} stroke="#ef4444" strokeWidth={2} />
+                  <text x={tgToX(trip.t) + 3} y={y + laneH - 6} fill="#fca5a5" fontSize="8">{trip.t.toFixed(2)}s</text>
+                </g>
+              )}
+              <text x={tgM.left - 4} y={y + laneH - 6} fill="#94a3b8" fontSize="8" textAnchor="end">OVR{relay.id}</text>
+              <text x={tgW - tgM.right + 4} y={y + laneH - 6} fill="#64748b" fontSize="8">{el ? el.name : relay.target}</text>
+            </g>
+          );
+        })}
+      </svg>
+    );
+  };
+
+  // 保護動作ログ（OVR の始動・復帰・動作と UFLS の動作を時刻順に）
+  const protectionLog = simResult ? [
+    ...(simResult.relayLog || []).map(entry => ({ ...entry, kind: 'ovr' })),
+    ...(simResult.trips || []).filter(trip => trip.kind === 'ufls').map(trip => ({ ...trip, type: 'trip' })),
+  ].sort((a, b) => a.t - b.t) : [];
+
+  const simLast = timeData[timeData.length - 1];
+  const simStable = simLast ? simLast.stable : isStable;
+  const simSustained = useMemo(() => (simResult && simResult.saturated ? sustainedVoltage(simResult.data) : null), [simResult]);
+
+  // ===== 結果・図の書き出し =====
+  const timeSvgRef = useRef(null);
+  const [exportError, setExportError] = useState(null);
+  const exportBaseName = scenarioName.trim() || 'g-bc';
+
+  const paramLine = `Xd=${params.Xd}  Xd'=${params.Xd_prime}  XL=${params.XL}  Td0'=${params.Td0_prime}s  Tq0'=${params.Tq0_prime}s`
+    + `  V=${systemConfig.V}  S_base=${systemConfig.S_base}MVA`;
+
+  const exportSimulation = (format) => {
+    const filename = `${exportBaseName}_simulation.${format}`;
+    if (format === 'csv') {
+      downloadBlob(new Blob([simulationToCSV(simResult.data)], { type: 'text/csv' }), filename);
+      return;
+    }
+    const json = {
+      params,
+      settings: simSettings,
+      events: simEvents,
+      diverged: simResult.diverged,
+      eigenvalues: simResult.eigenvalues,
+      columns: SIM_EXPORT_COLUMNS,
+      data: simResult.data.map(row => SIM_EXPORT_COLUMNS.map(key => row[key])),
+    };
+    downloadBlob(new Blob([JSON.stringify(json)], { type: 'application/json' }), filename);
+  };
+
+  const figureOptions = (kind) => {
+    if (kind === 'plane') {
+      const legend = [
+        { label: '安定境界円', color: '#ef4444' },
+        { label: 'k=1 等高線', color: kColors[1.0] },
+        { label: isStable ? '運転点（安定）' : '運転点（不安定）', color: isStable ? '#22c55e' : '#ef4444', shape: 'point' },
+      ];
+      if (schedule.length > 1) legend.push({ label: 'イベント軌跡', color: '#e2e8f0', dash: '5,3' });
+      if (protectionSegments.length > 0) legend.push({ label: '保護動作による移動', color: '#f59e0b', dash: '2,2' });
+      if (controlTarget && controlTarget.feasible) legend.push({ label: '制御目標', color: '#38bdf8' });
+      if (showConstantZ) legend.push({ label: 'Z一定の運転点', color: '#fb923c', dash: '3,2' });
+      if (multiMachine) {
+        legend.push({ label: '1機等価の安定境界円', color: '#c084fc', dash: '6,3' });
+        legend.push({ label: `多機系の安定境界（${generators.units.length}機）`, color: '#34d399' });
+      }
+      if (exciterBoundary.length > 0) legend.push({ label: `AVR込み境界（${exciterModel.label}）`, color: '#22d3ee', dash: '4,2' });
+      return {
+        title: 'G-Bc 平面',
+        legend,
+        lines: [
+          paramLine,
+          `G=${G.toFixed(4)}  Bc=${Bc.toFixed(4)}  k=${kValue.toFixed(3)}  ${isStable ? '安定' : '不安定（自己励磁）'}`,
+          `接続中: ${systemConfig.elements.filter(el => connected[el.id]).map(el => el.name).join(', ') || 'なし'}`,
+        ],
+        metadata: { params, systemConfig, connected, operatingPoint: { G, Bc, k: kValue, stable: isStable } },
+      };
+    }
+    return {
+      title: '時間応答',
+      legend: TIME_SERIES.map(series => ({
+        label: series.label,
+        color: series.key === 'VL' ? (simStable ? '#22c55e' : '#ef4444') : series.color,
+        dash: series.dash,
+      })),
+      lines: [
+        paramLine,
+        `${simSettings.method === 'rk4' ? `RK4 Δt=${simSettings.dt}s` : 'Dormand-Prince 適応刻み'}  `
+          + (simEvents.map((ev, i) => `${eventMark(i)} ${ev.t}s ${formatEvent(ev, systemConfig.elements)}`).join(' → ') || '系統分離なし'),
+      ],
+      metadata: { params, settings: simSettings, events: simEvents, eigenvalues: simResult.eigenvalues },
+    };
+  };
+
+  const exportFigure = (kind, format) => {
+    const svgEl = kind === 'plane' ? planeSvgRef.current : timeSvgRef.current;
+    const svgText = buildStandaloneSvg(svgEl, figureOptions(kind));
+    const filename = `${exportBaseName}_${kind}.${format}`;
+    setExportError(null);
+    if (format === 'svg') downloadBlob(new Blob([svgText], { type: 'image/svg+xml' }), filename);
+    else svgToPngBlob(svgText).then(blob => downloadBlob(blob, filename), err => setExportError(err.message));
+  };
+  const tgTicks = [];
+  if (tgRange.max - tgRange.min > 4) tgTicks.push(...niceTicks(tgRange.min, tgRange.max, 6).ticks);
+  else for (let v = tgRange.min; v <= tgRange.max + 1e-9; v += tgRange.max - tgRange.min > 1.5 ? 0.5 : 0.2) tgTicks.push(v);
+
+  // 要素一覧（グループごとにまとめて表示）
+  // 負荷の電圧特性（ZIP係数・電圧指数）の入力欄
+  const renderLoadModel = (el) => {
+    const model = el.model || 'Z';
+    const zip = el.zip || DEFAULT_LOAD_MODEL.zip;
+    const zipSum = zip.reduce((sum, a) => sum + a, 0);
+    return (
+      <div className="flex items-center gap-1 pl-4 text-[9px] text-slate-400">
+        <select
+          value={model}
+          onChange={(e) => updateElement(el.id, {
+            model: e.target.value,
+            zip: el.zip || DEFAULT_LOAD_MODEL.zip,
+            alpha: el.alpha ?? DEFAULT_LOAD_MODEL.alpha,
+          })}
+          className="bg-slate-800 rounded"
+        >
+          {Object.entries(LOAD_MODELS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        {model === 'ZIP' && (
+          <>
+            {['Z', 'I', 'P'].map((label, i) => (
+              <label key={label} className="flex items-center">
+                {label}
+                <input
+                  type="number" value={zip[i]} step="0.1" min="0"
+                  onChange={(e) => {
+                    const a = parseFloat(e.target.value);
+                    updateElement(el.id, { zip: zip.map((v, j) => (j === i ? (a >= 0 ? a : 0) : v)) });
+                  }}
+                  className="w-9 bg-slate-800 rounded px-0.5 text-right"
+                />
+              </label>
+            ))}
+            {Math.abs(zipSum - 1) > 1e-6 && (
+              <span className="text-yellow-400" title="シナリオの読込時は比率を保って合計 1 に正規化されます">Σ={zipSum.toFixed(2)}</span>
+            )}
+          </>
+        )}
+        {model === 'exp' && (
+          <label className="flex items-center">
+            α
+            <input
+              type="number" value={el.alpha} step="0.1"
+              onChange={(e) => {
+                const alpha = parseFloat(e.target.value);
+                updateElement(el.id, { alpha: Number.isFinite(alpha) ? alpha : 0 });
+              }}
+              className="w-10 bg-slate-800 rounded px-0.5 text-right"
+            />
+          </label>
+        )}
+      </div>
+    );
+  };
+
+  const renderElementRows = (types, accent) => {
+    const items = systemConfig.elements.filter(el => types.includes(el.type));
+    const groups = [...new Set(items.map(el => el.group))].sort();
+    return groups.map(group => {
+      const members = items.filter(el => el.group === group);
+      return (
+        <div key={group || '(none)'} className="space-y-1">
+          {group && (
+            <label className="flex items-center gap-1 text-[10px] text-slate-400 pt-1">
+              <input
+                type="checkbox"
+                checked={members.every(el => connected[el.id])}
+                onChange={(e) => setGroupConnected(types, group, e.target.checked)}
+                className="w-3 h-3"
+              />
+              {group}
+            </label>
+          )}
+          {members.map(el => (
+            <div key={el.id} className={group ? 'pl-3' : ''}>
+              <div className="flex items-center justify-between text-xs">
+                <div className="flex items-center gap-1">
+                  <input 
+                    type="checkbox" 
+                    checked={!!connected[el.id]}
+                    onChange={(e) => setConnected({...connected, [el.id]: e.target.checked})}
+                    className="w-3 h-3"
+                  />
+                  {editingElements ? (
+                    <>
+                      <input
+                        value={el.name}
+                        onChange={(e) => updateElement(el.id, { name: e.target.value })}
+                        className="w-20 bg-slate-800 rounded px-1 text-[10px]"
+                      />
+                      <input
+                        value={el.group}
+                        placeholder="グループ"
+                        onChange={(e) => updateElement(el.id, { group: e.target.value })}
+                        className="w-14 bg-slate-800 rounded px-1 text-[10px]"
+                      />
+                    </>
+                  ) : (
+                    <span className={connected[el.id] ? (el.type === 'reactor' ? 'text-purple-300' : accent) : 'text-slate-500 line-through'}>
+                      {el.name}
+                      {el.type !== 'load' && el.type !== 'capacitor' && (
+                        <span className="text-[9px] text-slate-400">（{ELEMENT_TYPES[el.type].label}）</span>
+                      )}
+                    </span>
+                  )}
+                </div>
+                <div className="flex items-center gap-1">
+                  <input 
+                    type="number" 
+                    value={el.rating} 
+                    step={el.type === 'load' ? 0.01 : 0.005}
+                    min="0" 
+                    onChange={(e) => {
+                      const rating = parseFloat(e.target.value);
+                      updateElement(el.id, { rating: rating >= 0 ? rating : 0 });
+                    }}
+                    className="w-16 bg-slate-800 rounded px-1 text-right text-[10px]"
+                  />
+                  {editingElements && (
+                    <button onClick={() => removeElement(el.id)} className="text-slate-400 hover:text-red-400">✕</button>
+                  )}
+                </div>
+              </div>
+              {el.type === 'load' && renderLoadModel(el)}
+            </div>
+          ))}
+        </div>
+      );
+    });
+  };
+
+  // s平面の根軌跡（青: 現在の運転点 → 赤: 変化の終点）
+  const renderRootLocus = () => {
+    const w = svgW, h = 210;
+    const m = { top: 15, right: 20, bottom: 32, left: 55 };
+    const pw = w - m.left - m.right, ph = h - m.top - m.bottom;
+    const roots = locus.points.flatMap(pt => pt.eigenvalues.roots);
+    const reMin = Math.min(0, ...roots.map(r => r.re)), reMax = Math.max(0, ...roots.map(r => r.re));
+    const imMax = Math.max(0.05, ...roots.map(r => Math.abs(r.im)));
+    const rePad = 0.08 * Math.max(reMax - reMin, 0.1);
+    const xr = { min: reMin - rePad, max: reMax + rePad };
+    const yr = { min: -imMax * 1.15, max: imMax * 1.15 };
+    const sx = (re) => m.left + (re - xr.min) / (xr.max - xr.min) * pw;
+    const sy = (im) => m.top + ph - (im - yr.min) / (yr.max - yr.min) * ph;
+    const reTicks = niceTicks(xr.min, xr.max, 5);
+    const imTicks = niceTicks(yr.min, yr.max, 4);
+    const n = locus.points.length;
+    const unit = locusSettings.vary === 'G' ? 'G' : 'Bc';
+
+    return (
+      <svg width={w} height={h} onMouseLeave={() => setHoveredLocus(null)}>
+        <rect x={m.left} y={m.top} width={sx(0) - m.left} height={ph} fill="rgba(34, 197, 94, 0.08)" />
+        <rect x={sx(0)} y={m.top} width={m.left + pw - sx(0)} height={ph} fill="rgba(239, 68, 68, 0.12)" />
+        {reTicks.ticks.map(v => (
+          <g key={`re${v}`}>
+            <line x1={sx(v)} y1={m.top} x2={sx(v)} y2={m.top + ph} stroke="#334155" strokeWidth={0.5} />
+            <text x={sx(v)} y={m.top + ph + 11} fill="#94a3b8" fontSize="8" textAnchor="middle">{v.toFixed(reTicks.decimals)}</text>
+          </g>
+        ))}
+        {imTicks.ticks.map(v => (
+          <g key={`im${v}`}>
+            <line x1={m.left} y1={sy(v)} x2={m.left + pw} y2={sy(v)} stroke="#334155" strokeWidth={0.5} />
+            <text x={m.left - 4} y={sy(v) + 3} fill="#94a3b8" fontSize="8" textAnchor="end">{v.toFixed(imTicks.decimals)}</text>
+          </g>
+        ))}
+        <line x1={sx(0)} y1={m.top} x2={sx(0)} y2={m.top + ph} stroke="#e2e8f0" strokeWidth={1} />
+        <line x1={m.left} y1={sy(0)} x2={m.left + pw} y2={sy(0)} stroke="#64748b" strokeWidth={0.8} />
+
+        {/* 軌跡（点にマウスを重ねると G-Bc 平面上の対応点を表示）*/}
+        {locus.points.map((pt, i) => pt.eigenvalues.roots.map((r, j) => (
+          <circle key={`lp${i}-${j}`} cx={sx(r.re)} cy={sy(r.im)} r={hoveredLocus === i ? 4 : 2}
+            fill={sweepColor(i, n)} stroke={hoveredLocus === i ? 'white' : 'none'}
+            onMouseEnter={() => setHoveredLocus(i)} style={{ cursor: 'crosshair' }} />
+        )))}
+
+        {/* 虚軸交差 */}
+        {locus.crossings.map((c, i) => c.eigenvalues.roots.map((r, j) => (
+          <g key={`cr${i}-${j}`} pointerEvents="none">
+            <circle cx={sx(0)} cy={sy(r.im)} r={6} fill="none" stroke="#e879f9" strokeWidth={2} />
+            {j === 0 && (
+              <text x={sx(0) + 8} y={sy(r.im) - 6} fill="#e879f9" fontSize="9">
+                jω軸交差 {unit}={(locusSettings.vary === 'G' ? c.g : c.bc).toFixed(4)}
+              </text>
+            )}
+          </g>
+        )))}
+
+        {/* 現在の運転点の根 */}
+        {eigenvalues.roots.map((r, j) => (
+          <g key={`cur${j}`} pointerEvents="none">
+            <line x1={sx(r.re) - 5} y1={sy(r.im) - 5} x2={sx(r.re) + 5} y2={sy(r.im) + 5} stroke="white" strokeWidth={2} />
+            <line x1={sx(r.re) - 5} y1={sy(r.im) + 5} x2={sx(r.re) + 5} y2={sy(r.im) - 5} stroke="white" strokeWidth={2} />
+          </g>
+        ))}
+
+        <text x={m.left + pw / 2} y={h - 4} fill="#94a3b8" fontSize="9" textAnchor="middle">実部 σ [1/s]</text>
+        <text x={12} y={m.top + ph / 2} fill="#94a3b8" fontSize="9" textAnchor="middle"
+          transform={`rotate(-90, 12, ${m.top + ph / 2})`}>虚部 ω [rad/s]</text>
+      </svg>
+    );
+  };
+
+  // スイープ結果の派生量グラフ（横軸: 第1パラメータ、第2パラメータの値ごとに線種を変える）
+  const renderSweepChart = (quantity) => {
+    const w = 250, h = 150;
+    const m = { top: 18, right: 10, bottom: 28, left: 48 };
+    const pw = w - m.left - m.right, ph = h - m.top - m.bottom;
+    const axis = sweepSettings.axes[0];
+    const xMin = Math.min(axis.from, axis.to), xMax = Math.max(axis.from, axis.to);
+    const ys = sweepResult.flatMap(series => series.points.filter(pt => pt.valid && pt[quantity.key] !== null).map(pt => pt[quantity.key]));
+    if (quantity.key === 'margin') ys.push(0);
+    if (ys.length === 0) ys.push(0, 1);
+    let yMin = Math.min(...ys), yMax = Math.max(...ys);
+    if (yMax - yMin < 1e-9) { yMin -= 0.5 * Math.abs(yMin) || 0.5; yMax += 0.5 * Math.abs(yMax) || 0.5; }
+    const ticks = niceTicks(yMin, yMax, 4);
+    const sx = (x) => m.left + (xMax > xMin ? (x - xMin) / (xMax - xMin) : 0.5) * pw;
+    const sy = (y) => m.top + ph - (y - yMin) / (yMax - yMin) * ph;
+    const current = sweepCurrentValue(axis.key);
+
+    // 範囲外の点・臨界 G が無い点で線を切る
+    const pathFor = (points) => points.reduce((d, pt, i) => {
+      const prev = points[i - 1];
+      const ok = pt.valid && pt[quantity.key] !== null;
+      if (!ok) return d;
+      const move = !prev || !prev.valid || prev[quantity.key] === null;
+      return `${d}${move ? 'M' : 'L'} ${sx(pt.x)} ${sy(pt[quantity.key])} `;
+    }, '');
+
+    return (
+      <svg key={quantity.key} width={w} height={h}>
+        <rect x={m.left} y={m.top} width={pw} height={ph} fill="#0f172a" />
+        {ticks.ticks.map(v => (
+          <g key={v}>
+            <line x1={m.left} y1={sy(v)} x2={m.left + pw} y2={sy(v)} stroke="#334155" strokeWidth={0.5} />
+            <text x={m.left - 4} y={sy(v) + 3} fill="#94a3b8" fontSize="8" textAnchor="end">{v.toFixed(ticks.decimals)}</text>
+          </g>
+        ))}
+        {quantity.key === 'margin' && yMin < 0 && yMax > 0 && (
+          <line x1={m.left} y1={sy(0)} x2={m.left + pw} y2={sy(0)} stroke="#ef4444" strokeDasharray="3,3" />
+        )}
+        {current >= xMin && current <= xMax && (
+          <line x1={sx(current)} y1={m.top} x2={sx(current)} y2={m.top + ph} stroke="#f59e0b" strokeDasharray="2,2" />
+        )}
+        {sweepResult.map((series, j) => (
+          <g key={j}>
+            <path d={pathFor(series.points)} fill="none" stroke="#e2e8f0" strokeWidth={1.2}
+              strokeDasharray={SWEEP_DASHES[j % SWEEP_DASHES.length]} />
+            {series.points.map((pt, i) => pt.valid && pt[quantity.key] !== null && (
+              <circle key={i} cx={sx(pt.x)} cy={sy(pt[quantity.key])} r={2}
+                fill={sweepColor(i, series.points.length)} />
+            ))}
+          </g>
+        ))}
+        <text x={w / 2} y={12} fill="#e2e8f0" fontSize="9" textAnchor="middle">{quantity.label}</text>
+        {[xMin, (xMin + xMax) / 2, xMax].map(x => (
+          <text key={x} x={sx(x)} y={m.top + ph + 11} fill="#94a3b8" fontSize="8" textAnchor="middle">{+x.toFixed(3)}</text>
+        ))}
+        <text x={m.left + pw / 2} y={h - 3} fill="#94a3b8" fontSize="9" textAnchor="middle">{SWEEP_PARAMS[axis.key].label}</text>
+      </svg>
+    );
+  };
+
+  // モンテカルロ標本の k のヒストグラム（上位 1% を超える値・共振点は右端の区間に含める）
+  const renderKHistogram = () => {
+    const w = 280, h = 130;
+    const m = { top: 18, right: 10, bottom: 28, left: 36 };
+    const pw = w - m.left - m.right, ph = h - m.top - m.bottom;
+    const ks = mcResult.points.map(pt => pt.k).filter(Number.isFinite).sort((a, b) => a - b);
+    const kLimit = mcResult.kLimit;
+    const xMin = Math.min(ks.length > 0 ? ks[0] : kLimit, kLimit) * 0.95;
+    const xMax = Math.max(ks.length > 0 ? ks[Math.floor(0.99 * (ks.length - 1))] : kLimit, kLimit) * 1.05;
+    const nBins = 30;
+    const width = (xMax - xMin) / nBins;
+    const counts = new Array(nBins).fill(0);
+    mcResult.points.forEach(({ k }) => {
+      const i = Number.isFinite(k) ? Math.floor((k - xMin) / width) : nBins - 1;
+      counts[Math.min(Math.max(i, 0), nBins - 1)]++;
+    });
+    const cMax = Math.max(...counts, 1);
+    const sx = (x) => m.left + (x - xMin) / (xMax - xMin) * pw;
+    const ticks = niceTicks(xMin, xMax, 4);
+    return (
+      <svg width={w} height={h}>
+        <rect x={m.left} y={m.top} width={pw} height={ph} fill="#0f172a" />
+        {counts.map((c, i) => c > 0 && (
+          <rect key={i} x={sx(xMin + i * width) + 0.5} y={m.top + ph - c / cMax * ph} width={Math.max(pw / nBins - 1, 1)}
+            height={c / cMax * ph} fill={xMin + (i + 0.5) * width > kLimit ? '#f97316' : '#60a5fa'} />
+        ))}
+        <line x1={sx(kLimit)} y1={m.top} x2={sx(kLimit)} y2={m.top + ph} stroke="#ef4444" strokeDasharray="3,3" />
+        <text x={sx(kLimit) + 2} y={m.top + 9} fill="#ef4444" fontSize="8">上限 {kLimit}</text>
+        {ticks.ticks.filter(v => v >= xMin && v <= xMax).map(v => (
+          <text key={v} x={sx(v)} y={m.top + ph + 11} fill="#94a3b8" fontSize="8" textAnchor="middle">{v.toFixed(ticks.decimals)}</text>
+        ))}
+        <text x={m.left - 4} y={m.top + 6} fill="#94a3b8" fontSize="8" textAnchor="end">{cMax}</text>
+        <text x={m.left - 4} y={m.top + ph} fill="#94a3b8" fontSize="8" textAnchor="end">0</text>
+        <text x={w / 2} y={12} fill="#e2e8f0" fontSize="9" textAnchor="middle">標本の k の分布（度数）</text>
+        <text x={m.left + pw / 2} y={h - 3} fill="#94a3b8" fontSize="9" textAnchor="middle">k（分離直後の電圧比）</text>
+      </svg>
+    );
+  };
+
+  // 負荷プロフィールのタイムライン（k の推移と危険な時間帯。クリックでその時刻へ移動）
+  const renderProfileTimeline = () => {
+    const w = 720, h = 130;
+    const m = { top: 14, right: 12, bottom: 24, left: 36 };
+    const pw = w - m.left - m.right, ph = h - m.top - m.bottom;
+    const { points, periods } = profileResult;
+    const { period } = loadProfile.profile;
+    const tMin = points[0].t, tMax = points[points.length - 1].t;
+    const ks = points.map(pt => pt.k).filter(Number.isFinite);
+    const kLimit = profileSettings.kLimit;
+    const kMin = Math.min(...ks, kLimit) * 0.95, kMax = Math.max(...ks, kLimit) * 1.05;
+    const sx = (t) => m.left + (t - tMin) / (tMax - tMin) * pw;
+    const sy = (k) => m.top + ph - (Math.min(Math.max(k, kMin), kMax) - kMin) / (kMax - kMin) * ph;
+    const step = period > 24 ? 24 : 2;
+    const ticks = [];
+    for (let t = Math.ceil(tMin / step) * step; t <= tMax + 1e-9; t += step) ticks.push(t);
+    const kTicks = niceTicks(kMin, kMax, 3);
+
+    const seek = (e) => {
+      const rect = e.currentTarget.getBoundingClientRect();
+      const t = tMin + (e.clientX - rect.left - m.left) / pw * (tMax - tMin);
+      const index = points.reduce((best, pt, i) => (Math.abs(pt.t - t) < Math.abs(points[best].t - t) ? i : best), 0);
+      setPlayback({ ...playback, index });
+    };
+
+    return (
+      <svg width={w} height={h} onClick={seek} className="cursor-pointer">
+        <rect x={m.left} y={m.top} width={pw} height={ph} fill="#0f172a" />
+        {periods.map((pd, i) => (
+          <rect key={i} x={sx(pd.from)} y={m.top} width={Math.max(sx(pd.to) - sx(pd.from), 2)} height={ph}
+            fill={PROFILE_RISKS[pd.risk].color} opacity={0.3} />
+        ))}
+        {kTicks.ticks.filter(k => k >= kMin && k <= kMax).map(k => (
+          <text key={k} x={m.left - 4} y={sy(k) + 3} fill="#94a3b8" fontSize="8" textAnchor="end">{k.toFixed(kTicks.decimals)}</text>
+        ))}
+        <line x1={m.left} y1={sy(kLimit)} x2={m.left + pw} y2={sy(kLimit)} stroke="#f97316" strokeDasharray="3,3" />
+        <polyline points={points.map(pt => `${sx(pt.t)},${sy(pt.k)}`).join(' ')} fill="none" stroke="#2dd4bf" strokeWidth={1.5} />
+        {points.map((pt, i) => (
+          <circle key={i} cx={sx(pt.t)} cy={sy(pt.k)} r={2} fill={pt.risk ? PROFILE_RISKS[pt.risk].color : '#2dd4bf'} />
+        ))}
+        <line x1={sx(profilePoint.t)} y1={m.top} x2={sx(profilePoint.t)} y2={m.top + ph} stroke="#e2e8f0" strokeWidth={1.5} />
+        {ticks.map(t => (
+          <text key={t} x={sx(t)} y={m.top + ph + 11} fill="#94a3b8" fontSize="8" textAnchor="middle">
+            {period > 24 ? `${t / 24 + 1}日目` : `${t}時`}
+          </text>
+        ))}
+        <text x={m.left} y={10} fill="#e2e8f0" fontSize="9">k（分離した場合の電圧比）の推移</text>
+        <text x={m.left + pw} y={10} fill="#f97316" fontSize="8" textAnchor="end">┄ k の上限 {kLimit}</text>
+      </svg>
+    );
+  };
 
   return (
     <div className="min-h-screen bg-slate-900 text-white p-2">
@@ -188,11 +1954,25 @@ const InteractiveStabilityAnalysis = () => {
           {/* 系統図（簡易） */}
           <div className="bg-slate-900 rounded p-2 mb-3">
             <h3 className="text-xs font-semibold text-amber-400 mb-2 text-center">系統縮約モデル</h3>
-            <svg width="260" height="80" className="mx-auto">
-              {/* 発電機 */}
-              <circle cx="30" cy="40" r="18" fill="none" stroke="#22c55e" strokeWidth="2"/>
-              <text x="30" y="44" fill="#22c55e" fontSize="10" textAnchor="middle">G</text>
-              <line x1="48" y1="40" x2="70" y2="40" stroke="#94a3b8" strokeWidth="2"/>
+            <svg width="260" height={preSeparation.enabled ? 102 : 80} className="mx-auto">
+              {/* 発電機（複数発電機のときは各機を jXT で共通母線に接続）*/}
+              {multiMachine ? generators.units.map((unit, i) => {
+                const cy = 40 + (i - (generators.units.length - 1) / 2) * 19;
+                return (
+                  <g key={unit.id}>
+                    <circle cx="14" cy={cy} r="8" fill="none" stroke="#22c55e" strokeWidth="1.5"/>
+                    <text x="14" y={cy + 3} fill="#22c55e" fontSize="7" textAnchor="middle">G{i + 1}</text>
+                    <polyline points={`22,${cy} 50,${cy} 66,40 70,40`} fill="none" stroke="#94a3b8" strokeWidth="1.5"/>
+                    {i === 0 && <text x="36" y={cy - 3} fill="#94a3b8" fontSize="7" textAnchor="middle">jXT</text>}
+                  </g>
+                );
+              }) : (
+                <>
+                  <circle cx="30" cy="40" r="18" fill="none" stroke="#22c55e" strokeWidth="2"/>
+                  <text x="30" y="44" fill="#22c55e" fontSize="10" textAnchor="middle">G</text>
+                  <line x1="48" y1="40" x2="70" y2="40" stroke="#94a3b8" strokeWidth="2"/>
+                </>
+              )}
               
               {/* 分路リアクトル */}
               <path d="M70,40 Q80,30 90,40 Q100,50 110,40 Q120,30 130,40" fill="none" stroke="#a855f7" strokeWidth="2"/>
@@ -221,9 +2001,269 @@ const InteractiveStabilityAnalysis = () => {
               {/* 接続線 */}
               <line x1="150" y1="30" x2="170" y2="30" stroke="#94a3b8" strokeWidth="1.5"/>
               <line x1="150" y1="55" x2="170" y2="55" stroke="#94a3b8" strokeWidth="1.5"/>
+
+              {/* 主系統（連系線 Zt・分離用遮断器・無限大母線） */}
+              {preSeparation.enabled && (
+                <>
+                  <line x1="150" y1="60" x2="150" y2="80" stroke="#eab308" strokeWidth="3"/>
+                  <line x1="150" y1="78" x2="170" y2="78" stroke="#94a3b8" strokeWidth="1.5"/>
+                  <rect x="170" y="71" width="30" height="14" fill="none" stroke="#14b8a6" strokeWidth="2"/>
+                  <text x="185" y="81" fill="#14b8a6" fontSize="8" textAnchor="middle">Zt</text>
+                  <line x1="200" y1="78" x2="216" y2="78" stroke="#94a3b8" strokeWidth="1.5"/>
+                  <rect x="216" y="74" width="8" height="8" fill="none" stroke="#94a3b8" strokeWidth="1.5"/>
+                  <line x1="224" y1="78" x2="240" y2="78" stroke="#94a3b8" strokeWidth="1.5"/>
+                  <line x1="240" y1="70" x2="240" y2="86" stroke="#14b8a6" strokeWidth="3"/>
+                  <text x="250" y="82" fill="#14b8a6" fontSize="10" textAnchor="middle">∞</text>
+                  <text x="205" y="98" fill="#14b8a6" fontSize="7" textAnchor="middle">主系統（分離で遮断器を開放）</text>
+                </>
+              )}
             </svg>
           </div>
 
+          {/* 発電機・系統パラメータ */}
+          <div className="mb-3 p-2 bg-purple-900/30 rounded border border-purple-600">
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-xs font-bold text-purple-400">発電機・系統パラメータ</h3>
+              <select
+                value={activePreset}
+                onChange={(e) => e.target.value !== 'custom' && applyPreset(e.target.value)}
+                className="bg-slate-800 rounded px-1 text-[10px]"
+              >
+                {Object.entries(MACHINE_PRESETS).map(([key, preset]) => (
+                  <option key={key} value={key}>{preset.label}</option>
+                ))}
+                <option value="custom">カスタム</option>
+              </select>
+            </div>
+
+            <div className="space-y-1">
+              {PARAM_DEFS.map(def => (
+                <div key={def.key} className="text-xs">
+                  <div className="flex items-center justify-between">
+                    <span className="text-purple-300">{def.label}</span>
+                    <span>
+                      <input
+                        type="number"
+                        value={paramDrafts[def.key] ?? params[def.key]}
+                        step={def.step}
+                        min={def.min}
+                        max={def.max}
+                        onChange={(e) => updateParam(def.key, e.target.value)}
+                        className={`w-16 bg-slate-800 rounded px-1 text-right text-[10px] ${paramErrors[def.key] ? 'border border-red-500' : ''}`}
+                      />
+                      <span className="text-slate-500 text-[10px] ml-1">{def.unit}</span>
+                    </span>
+                  </div>
+                  <input
+                    type="range"
+                    min={def.min}
+                    max={def.max}
+                    step={def.step}
+                    value={params[def.key]}
+                    onChange={(e) => updateParam(def.key, e.target.value)}
+                    className="w-full h-1 bg-slate-600 rounded appearance-none"
+                  />
+                  {paramErrors[def.key] && (
+                    <div className="text-[10px] text-red-400">{paramErrors[def.key]}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="mt-2 pt-1 border-t border-purple-600/50 text-[10px] text-slate-400">
+              安定境界円: 中心 Bc = <span className="text-purple-300 font-mono">{stabilityCircle.Bc_center.toFixed(4)}</span>,
+              半径 R = <span className="text-purple-300 font-mono">{stabilityCircle.R.toFixed(4)}</span>
+            </div>
+          </div>
+
+          {/* 励磁系（AVR）*/}
+          <div className="mb-3 p-2 bg-cyan-900/30 rounded border border-cyan-600">
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-xs font-bold text-cyan-400">励磁系（AVR）</h3>
+              <select
+                value={exciter.model}
+                onChange={(e) => selectExciterModel(e.target.value)}
+                className="bg-slate-800 rounded px-1 text-[10px]"
+              >
+                {Object.entries(StabilityCore.EXCITER_MODELS).map(([key, model]) => (
+                  <option key={key} value={key}>{model.label}</option>
+                ))}
+              </select>
+            </div>
+            {exciterModel.params.length > 0 && (
+              <div className="grid grid-cols-2 gap-x-2 gap-y-1">
+                {exciterModel.params.map(def => (
+                  <label key={def.key} className="text-[10px]">
+                    <span className="flex items-center justify-between">
+                      <span className="text-cyan-300">{def.label}</span>
+                      <input
+                        type="number"
+                        value={exciterDrafts[def.key] ?? exciter.params[def.key]}
+                        min={def.min}
+                        max={def.max}
+                        step="any"
+                        onChange={(e) => updateExciterParam(def.key, e.target.value)}
+                        className={`w-14 bg-slate-800 rounded px-1 text-right ${exciterErrors[def.key] ? 'border border-red-500' : ''}`}
+                      />
+                    </span>
+                    {exciterErrors[def.key] && <span className="block text-red-400">{exciterErrors[def.key]}</span>}
+                  </label>
+                ))}
+              </div>
+            )}
+            <div className="mt-1 text-[10px] text-slate-400">
+              {hasExciter
+                ? <>端子電圧 |Vt| を分離前の値に保つよう Efd を調整。固有値・時間応答に含め、G-Bc 平面に実効安定境界（<span className="text-cyan-300">水色破線</span>）を表示（安定境界円は ΔEfd = 0 の場合）</>
+                : '界磁電圧一定（ΔEfd = 0）。安定境界円がそのまま安定限界'}
+            </div>
+          </div>
+
+          {/* 発電機の磁気飽和 */}
+          <div className="mb-3 p-2 bg-orange-900/30 rounded border border-orange-600 text-[10px]">
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-xs font-bold text-orange-400">発電機の磁気飽和</h3>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={saturation.enabled} className="w-3 h-3"
+                  onChange={(e) => setSaturation({ ...saturation, enabled: e.target.checked })} />
+                時間応答に含める
+              </label>
+            </div>
+            <div className="grid grid-cols-2 gap-x-2">
+              {[['S10', 'S(1.0)'], ['S12', 'S(1.2)']].map(([key, label]) => (
+                <label key={key}>
+                  <span className="flex items-center justify-between">
+                    <span className="text-orange-300">{label}</span>
+                    <input type="number" value={saturationDrafts[key] ?? saturation[key]} step="0.01" min="0"
+                      onChange={(e) => updateSaturationParam(key, e.target.value)}
+                      className={`w-14 bg-slate-800 rounded px-1 text-right ${saturationErrors[key] ? 'border border-red-500' : ''}`} />
+                  </span>
+                  {saturationErrors[key] && <span className="block text-red-400">{saturationErrors[key]}</span>}
+                </label>
+              ))}
+            </div>
+            {saturationCoeffs && (
+              <div className="flex items-center gap-2 mt-1">
+                {/* 無負荷飽和曲線（横軸: 界磁 E(1 + S(E))、縦軸: E）*/}
+                <svg width={110} height={70} className="shrink-0">
+                  <rect x={0} y={0} width={110} height={70} fill="#0f172a" />
+                  <line x1={5} y1={65} x2={5 + 1.6 * 60} y2={65 - 1.6 * 40} stroke="#64748b" strokeDasharray="3,2" />
+                  <path fill="none" stroke="#fb923c" strokeWidth={1.5}
+                    d={Array.from({ length: 33 }, (_, i) => 1.6 * i / 32).map((E, i) => {
+                      const ifd = E * (1 + StabilityCore.saturationFactor(saturationCoeffs, E));
+                      return `${i === 0 ? 'M' : 'L'} ${5 + Math.min(ifd, 1.75) * 60} ${65 - E * 40}`;
+                    }).join(' ')} />
+                  <text x={106} y={66} fill="#94a3b8" fontSize="7" textAnchor="end">Ifd</text>
+                  <text x={7} y={9} fill="#94a3b8" fontSize="7">E</text>
+                </svg>
+                <div className="text-slate-400">
+                  S(E) = B(E − A)²/E<br />
+                  A = <span className="font-mono text-orange-300">{saturationCoeffs.A.toFixed(3)}</span>,
+                  B = <span className="font-mono text-orange-300">{saturationCoeffs.B.toFixed(3)}</span>
+                </div>
+              </div>
+            )}
+            {saturation.enabled && (
+              <div className="mt-1 text-slate-400">
+                {saturatedPoint
+                  ? <>現在の OP での分離後の平衡点: VL ≈ <span className="font-mono text-orange-300">{saturatedPoint.VL.toFixed(3)}</span> p.u.（|E'| = {saturatedPoint.E.toFixed(3)}）</>
+                  : '現在の OP では安定な平衡点が無く、電圧は振動しながら持続（時間応答で確認）'}
+                <br />G-Bc 平面の安定判別は飽和を無視した小信号解析。飽和は自己励磁後の持続過電圧の大きさを決める
+              </div>
+            )}
+          </div>
+
+          {/* 複数発電機 */}
+          <div className="mb-3 p-2 bg-emerald-900/30 rounded border border-emerald-600 text-[10px]">
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-xs font-bold text-emerald-400">複数発電機</h3>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={generators.enabled} className="w-3 h-3"
+                  onChange={(e) => setGenerators({ ...generators, enabled: e.target.checked })} />
+                多機系で評価
+              </label>
+            </div>
+            {generators.enabled && (
+              <>
+                <div className="space-y-1">
+                  {generators.units.map((unit, i) => (
+                    <div key={unit.id} className="p-1 bg-slate-800/60 rounded">
+                      <div className="flex items-center gap-1 mb-0.5">
+                        <span className="text-emerald-300">G{i + 1}</span>
+                        <input value={unit.name}
+                          onChange={(e) => setGenerators({ ...generators, units: generators.units.map(u => (u.id === unit.id ? { ...u, name: e.target.value } : u)) })}
+                          className="flex-1 bg-slate-800 rounded px-1" />
+                        <button onClick={() => removeGeneratorUnit(unit.id)} disabled={generators.units.length <= 1}
+                          className="px-1 bg-slate-600 hover:bg-slate-500 rounded disabled:opacity-40">削除</button>
+                      </div>
+                      <div className="grid grid-cols-3 gap-x-1 gap-y-0.5">
+                        {GENERATOR_UNIT_DEFS.map(def => {
+                          const draftKey = `${unit.id}.${def.key}`;
+                          const draft = generatorDrafts[draftKey];
+                          const invalid = draft !== undefined && parseFloat(draft) !== unit[def.key];
+                          return (
+                            <label key={def.key} className="flex items-center justify-between" title={`${def.min}〜${def.max} ${def.unit}`}>
+                              <span className="text-slate-300">{def.label}</span>
+                              <input type="number" value={draft ?? unit[def.key]} min={def.min} max={def.max} step="any"
+                                onChange={(e) => updateGeneratorUnit(unit.id, def.key, e.target.value)}
+                                className={`w-12 bg-slate-800 rounded px-1 text-right ${invalid ? 'border border-red-500' : ''}`} />
+                            </label>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <button onClick={addGeneratorUnit} disabled={generators.units.length >= MAX_GENERATOR_UNITS}
+                  className="mt-1 px-2 bg-slate-600 hover:bg-slate-500 rounded disabled:opacity-40">＋ 発電機を追加</button>
+
+                {multiMachine && (
+                  <div className="mt-1 pt-1 border-t border-emerald-600/50 space-y-0.5 text-slate-300">
+                    <div>
+                      1機等価（{systemConfig.S_base} MVA 基準）: Xd = <span className="font-mono">{multiMachine.equivalent.Xd.toFixed(3)}</span>,
+                      Xd' = <span className="font-mono">{multiMachine.equivalent.Xd_prime.toFixed(3)}</span>,
+                      Td0' = <span className="font-mono">{multiMachine.equivalent.Td0_prime.toFixed(2)}</span> s,
+                      Tq0' = <span className="font-mono">{multiMachine.equivalent.Tq0_prime.toFixed(2)}</span> s
+                      <button onClick={applyEquivalentMachine} disabled={!multiMachine.equivalentValid}
+                        title={multiMachine.equivalentValid ? '' : 'パラメータの入力範囲外のため適用できません'}
+                        className="ml-1 px-1 bg-slate-600 hover:bg-slate-500 rounded disabled:opacity-40">パラメータに適用</button>
+                    </div>
+                    <div>
+                      現在の OP: 多機系 <span className={multiMachine.analysis && multiMachine.analysis.stable ? 'text-green-400' : 'text-red-400'}>
+                        {multiMachine.analysis ? (multiMachine.analysis.stable ? '安定' : '不安定') : '共振（評価不可）'}
+                      </span>
+                      {' / '}等価円 <span className={multiMachine.equivalentStable ? 'text-green-400' : 'text-red-400'}>
+                        {multiMachine.equivalentStable ? '安定' : '不安定'}
+                      </span>
+                      {multiMachine.analysis && multiMachine.analysis.stable !== multiMachine.equivalentStable && (
+                        <span className="ml-1 text-amber-300 font-bold">判定が異なる</span>
+                      )}
+                    </div>
+                    {multiMachine.analysis && (() => {
+                      const mode = multiMachine.analysis.modes[0];
+                      const top = mode.participation
+                        .map((pf, k) => ({ state: multiMachine.analysis.states[k], pf }))
+                        .sort((p, q) => q.pf - p.pf).slice(0, 2);
+                      return (
+                        <div>
+                          支配モード λ = <span className="font-mono">{mode.re.toFixed(4)}{mode.im > 0 && ` ± j${mode.im.toFixed(4)}`}</span>
+                          （{top.map(t => `${t.state} ${(t.pf * 100).toFixed(0)}%`).join(', ')}）
+                        </div>
+                      );
+                    })()}
+                    <div className={multiMachine.deviation > 0.1 ? 'text-amber-300' : 'text-slate-400'}>
+                      多機系の安定境界（<span className="text-emerald-300">緑実線</span>）と等価円（<span className="text-purple-300">紫破線</span>）のずれ:
+                      最大 R の {(multiMachine.deviation * 100).toFixed(1)}%
+                      {multiMachine.deviation > 0.1 ? ' — 1機等価の G-Bc 図は目安にとどめてください' : ' — 1機等価で十分に近似できます'}
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+            {!generators.enabled && (
+              <div className="text-slate-400">定数・容量の異なる複数機を定義し、多機系の線形化モデルで安定判別して1機等価の安定境界円と比較</div>
+            )}
+          </div>
+
           {/* G の意味と調整 */}
           <div className="mb-3 p-2 bg-orange-900/30 rounded border border-orange-600">
             <h3 className="text-xs font-bold text-orange-400 mb-1">
@@ -234,42 +2274,34 @@ const InteractiveStabilityAnalysis = () => {
             </p>
             
             {/* 負荷スイッチ */}
-            <div className="space-y-1">
-              {[
-                { key: 'load1', label: '負荷1（工場）', value: systemConfig.P_load1 },
-                { key: 'load2', label: '負荷2（住宅）', value: systemConfig.P_load2 },
-                { key: 'load3', label: '負荷3（その他）', value: systemConfig.P_load3 },
-              ].map(item => (
-                <div key={item.key} className="flex items-center justify-between text-xs">
-                  <label className="flex items-center gap-1">
-                    <input 
-                      type="checkbox" 
-                      checked={connected[item.key]}
-                      onChange={(e) => setConnected({...connected, [item.key]: e.target.checked})}
-                      className="w-3 h-3"
-                    />
-                    <span className={connected[item.key] ? 'text-orange-300' : 'text-slate-500 line-through'}>
-                      {item.label}
-                    </span>
-                  </label>
-                  <input 
-                    type="number" 
-                    value={item.value} 
-                    step="0.01" 
-                    min="0" 
-                    max="0.1"
-                    onChange={(e) => setSystemConfig({...systemConfig, [item.key.replace('load', 'P_load')]: parseFloat(e.target.value) || 0})}
-                    className="w-16 bg-slate-800 rounded px-1 text-right text-[10px]"
-                  />
-                </div>
-              ))}
+            {renderElementRows(['load'], 'text-orange-300')}
+            <div className="flex gap-1 mt-1 text-[10px]">
+              <button onClick={() => addElement('load')}
+                className="px-1 bg-orange-800 hover:bg-orange-700 rounded">＋ 負荷</button>
+              <button onClick={() => setEditingElements(!editingElements)}
+                className={`ml-auto px-1 rounded ${editingElements ? 'bg-sky-700' : 'bg-slate-700 hover:bg-slate-600'}`}>
+                {editingElements ? '編集終了' : '名前・グループ編集'}
+              </button>
             </div>
             
+            <label className="flex items-center gap-1 mt-1 text-[10px] text-slate-300">
+              <input type="checkbox" checked={voltageDependentLoads} className="w-3 h-3"
+                onChange={(e) => setVoltageDependentLoads(e.target.checked)} />
+              電圧依存負荷を考慮（分離後の VL で反復計算）
+            </label>
+
             <div className="mt-2 pt-1 border-t border-orange-600/50 text-xs">
               <span className="text-slate-400">合計 P = </span>
               <span className="text-orange-400 font-bold">{P_total.toFixed(4)}</span>
               <span className="text-slate-400"> p.u. → </span>
               <span className="text-orange-400 font-bold">G = {G.toFixed(4)}</span>
+              {operatingPoint.VL !== undefined && (
+                <div className="text-[10px] text-slate-400">
+                  VL = {operatingPoint.VL.toFixed(4)} p.u.（反復 {operatingPoint.iterations} 回
+                  {!operatingPoint.converged && <span className="text-red-400"> ・未収束</span>}）
+                  {showConstantZ && <>／定インピーダンス仮定 G = {constantZPoint.G.toFixed(4)}</>}
+                </div>
+              )}
             </div>
           </div>
 
@@ -279,150 +2311,456 @@ const InteractiveStabilityAnalysis = () => {
               Bc = Qc/V² （容量性サセプタンス）
             </h3>
             <p className="text-[10px] text-slate-300 mb-2">
-              電力用コンデンサ等の進み無効電力。Bcが大きい＝容量性負荷が大きい
+              電力用コンデンサ等の進み無効電力。Bcが大きい＝容量性負荷が大きい。分路リアクトルは Bc を減少させる
             </p>
             
-            {/* コンデンサスイッチ */}
-            <div className="space-y-1">
-              {[
-                { key: 'cap1', label: 'コンデンサ1', value: systemConfig.Qc_cap1, configKey: 'Qc_cap1' },
-                { key: 'cap2', label: 'コンデンサ2', value: systemConfig.Qc_cap2, configKey: 'Qc_cap2' },
-                { key: 'cable', label: 'ケーブル充電', value: systemConfig.Qc_cable, configKey: 'Qc_cable' },
-              ].map(item => (
-                <div key={item.key} className="flex items-center justify-between text-xs">
-                  <label className="flex items-center gap-1">
-                    <input 
-                      type="checkbox" 
-                      checked={connected[item.key]}
-                      onChange={(e) => setConnected({...connected, [item.key]: e.target.checked})}
-                      className="w-3 h-3"
-                    />
-                    <span className={connected[item.key] ? 'text-blue-300' : 'text-slate-500 line-through'}>
-                      {item.label}
-                    </span>
-                  </label>
-                  <input 
-                    type="number" 
-                    value={item.value} 
-                    step="0.005" 
-                    min="0" 
-                    max="0.1"
-                    onChange={(e) => setSystemConfig({...systemConfig, [item.configKey]: parseFloat(e.target.value) || 0})}
-                    className="w-16 bg-slate-800 rounded px-1 text-right text-[10px]"
-                  />
-                </div>
-              ))}
+            {/* コンデンサ・リアクトル・ケーブルスイッチ */}
+            {renderElementRows(['capacitor', 'reactor', 'cable'], 'text-blue-300')}
+            <div className="flex gap-1 mt-1 text-[10px]">
+              <button onClick={() => addElement('capacitor')}
+                className="px-1 bg-blue-800 hover:bg-blue-700 rounded">＋ コンデンサ</button>
+              <button onClick={() => addElement('reactor')}
+                className="px-1 bg-purple-800 hover:bg-purple-700 rounded">＋ リアクトル</button>
+              <button onClick={() => addElement('cable')}
+                className="px-1 bg-blue-800 hover:bg-blue-700 rounded">＋ ケーブル</button>
             </div>
             
             <div className="mt-2 pt-1 border-t border-blue-600/50 text-xs">
-              <span className="text-slate-400">合計 Qc = </span>
+              <span className="text-slate-400">正味 Qc = </span>
               <span className="text-blue-400 font-bold">{Qc_total.toFixed(4)}</span>
               <span className="text-slate-400"> p.u. → </span>
               <span className="text-blue-400 font-bold">Bc = {Bc.toFixed(4)}</span>
             </div>
           </div>
 
-          {/* クイック操作ボタン */}
-          <div className="grid grid-cols-2 gap-1 mb-2">
-            <button 
-              onClick={() => setConnected({...connected, load3: !connected.load3})}
-              className="text-[10px] py-1 px-2 bg-orange-700 hover:bg-orange-600 rounded"
-            >
-              負荷3 {connected.load3 ? '遮断' : '投入'}
-            </button>
-            <button 
-              onClick={() => setConnected({...connected, cap1: !connected.cap1})}
-              className="text-[10px] py-1 px-2 bg-blue-700 hover:bg-blue-600 rounded"
-            >
-              コンデンサ1 {connected.cap1 ? '切離' : '投入'}
-            </button>
-            <button 
-              onClick={() => {
-                setConnected({...connected, load2: false, load3: false});
-              }}
-              className="text-[10px] py-1 px-2 bg-red-700 hover:bg-red-600 rounded"
-            >
-              負荷遮断（不安定化）
-            </button>
-            <button 
-              onClick={() => {
-                setConnected({...connected, cap1: false, cap2: false});
-              }}
-              className="text-[10px] py-1 px-2 bg-green-700 hover:bg-green-600 rounded"
-            >
-              コンデンサ切離（安定化）
+          {/* 開閉計画の探索 */}
+          <div className="mb-2 p-2 bg-slate-700 rounded text-[10px]">
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-xs font-bold text-slate-200">開閉計画の探索</h3>
+              <select
+                value={planSettings.objective}
+                onChange={(e) => setPlanSettings({ ...planSettings, objective: e.target.value })}
+                className="bg-slate-800 rounded"
+              >
+                {Object.entries(PLAN_OBJECTIVES).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex flex-wrap items-center gap-x-2 gap-y-1 mb-1 text-slate-300">
+              <label>
+                k
+                <input type="number" value={planSettings.kMin} step="0.05" min="0.5" max="1.5"
+                  onChange={(e) => {
+                    const kMin = parseFloat(e.target.value);
+                    if (kMin >= 0.5 && kMin <= planSettings.kMax) setPlanSettings({ ...planSettings, kMin });
+                  }}
+                  className="w-10 mx-1 bg-slate-800 rounded px-1 text-right" />
+                〜
+                <input type="number" value={planSettings.kMax} step="0.05" min="0.5" max="2"
+                  onChange={(e) => {
+                    const kMax = parseFloat(e.target.value);
+                    if (kMax >= planSettings.kMin && kMax <= 2) setPlanSettings({ ...planSettings, kMax });
+                  }}
+                  className="w-10 ml-1 bg-slate-800 rounded px-1 text-right" />
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={planSettings.requireStable} className="w-3 h-3"
+                  onChange={(e) => setPlanSettings({ ...planSettings, requireStable: e.target.checked })} />
+                安定
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={planSettings.allowClose} className="w-3 h-3"
+                  onChange={(e) => setPlanSettings({ ...planSettings, allowClose: e.target.checked })} />
+                投入も可
+              </label>
+            </div>
+            <button onClick={runPlanSearch}
+              className="w-full mb-1 py-0.5 bg-blue-600 hover:bg-blue-500 rounded text-white">
+              ▶ 探索（{systemConfig.elements.length <= PLAN_FULL_SEARCH_LIMIT
+                ? `全 ${2 ** systemConfig.elements.length} 通り`
+                : '操作 3 回以下の組合せ'}）
             </button>
+            {planStale && <p className="text-yellow-400">条件が変わりました。▶ 探索で再計算してください</p>}
+            {!planResult ? null : planResult.plans.length === 0 ? (
+              <p className={`text-red-400 ${planStale ? 'opacity-50' : ''}`}>条件を満たす開閉計画はありません</p>
+            ) : (
+              <div className={`space-y-1 max-h-48 overflow-y-auto ${planStale ? 'opacity-50' : ''}`}>
+                {planResult.plans.map((plan, i) => (
+                  <div key={plan.changes.join(',') || 'none'} className="p-1 bg-slate-800 rounded">
+                    <div className="flex items-center justify-between">
+                      <span className="text-slate-200">
+                        {i + 1}. {plan.changes.length === 0
+                          ? '操作なし'
+                          : plan.changes.map(id => `${elementById[id]?.name || id}${plan.connected[id] ? '投入' : '開放'}`).join('・')}
+                      </span>
+                      <button onClick={() => setConnected(plan.connected)} disabled={planStale}
+                        className="px-1 bg-sky-700 hover:bg-sky-600 rounded disabled:opacity-50">適用</button>
+                    </div>
+                    <div className="font-mono text-slate-400">
+                      G={plan.G.toFixed(3)} Bc={plan.Bc.toFixed(3)} k={plan.k.toFixed(3)}
+                      {' '}s={plan.eigenvalues.real.toFixed(3)}{plan.eigenvalues.oscillatory && `±j${plan.eigenvalues.imag.toFixed(3)}`}
+                    </div>
+                    <div className="font-mono text-slate-400">
+                      遮断 {plan.shedMW.toFixed(1)} MW / {plan.ops} 操作 / 余裕 {plan.margin.toFixed(4)}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
 
           {/* リセット */}
           <button 
-            onClick={() => setConnected({load1: true, load2: true, load3: true, cap1: true, cap2: true, cable: true})}
+            onClick={() => setConnected(Object.fromEntries(systemConfig.elements.map(el => [el.id, true])))}
             className="w-full text-xs py-1 bg-slate-600 hover:bg-slate-500 rounded"
           >
             全て接続（リセット）
           </button>
+
+          {/* 系統データのインポート */}
+          <div className="mt-3 p-2 bg-slate-700 rounded text-[10px] text-slate-300">
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-xs font-bold text-slate-200">系統データ（MATPOWER / PSS/E）</h3>
+              <button onClick={() => networkFileRef.current.click()}
+                className="px-1.5 bg-slate-600 hover:bg-slate-500 rounded">読み込み</button>
+              <input ref={networkFileRef} type="file" accept=".m,.raw,.txt" onChange={importNetworkCase} className="hidden" />
+            </div>
+            {networkCase && (
+              <>
+                <div className="text-slate-400">
+                  {networkCase.filename}: 母線 {networkCase.network.buses.length}・枝 {networkCase.network.branches.length}・発電機 {networkCase.network.generators.length}
+                  （基準 {networkCase.network.baseMVA} MVA）
+                </div>
+                <div className="text-slate-400 mt-1">分離系統の母線:</div>
+                <div className="max-h-28 overflow-y-auto bg-slate-800 rounded px-1 font-mono">
+                  {networkCase.network.buses.map(bus => (
+                    <label key={bus.id} className="flex items-center gap-1">
+                      <input type="checkbox" checked={networkCase.selected.includes(bus.id)} className="w-3 h-3"
+                        onChange={() => toggleIslandBus(bus.id)} />
+                      <span className="w-8 text-right">{bus.id}</span>
+                      <span className="flex-1 truncate">{bus.name}</span>
+                      {networkCase.network.generators.some(gen => gen.bus === bus.id) && <span className="text-amber-300">G</span>}
+                      <span className="text-slate-500">{bus.Pd !== 0 || bus.Qd !== 0 ? `${bus.Pd}+j${bus.Qd}` : ''}</span>
+                    </label>
+                  ))}
+                </div>
+                <label className="flex items-center gap-1 mt-1">
+                  <span className="text-slate-400">発電機:</span>
+                  <select value={networkCase.generatorBus}
+                    onChange={(e) => setNetworkCase({ ...networkCase, generatorBus: Number(e.target.value) })}
+                    className="flex-1 bg-slate-800 rounded">
+                    {islandGenerators.length === 0 && <option value={networkCase.generatorBus}>（選択した母線に発電機なし）</option>}
+                    {islandGenerators.map(gen => (
+                      <option key={gen.id} value={gen.bus}>{gen.id}（母線 {gen.bus}, {gen.mBase} MVA）</option>
+                    ))}
+                  </select>
+                </label>
+                {islandReduction && islandReduction.equivalent && (
+                  <div className="mt-1 font-mono">
+                    G = {islandReduction.equivalent.G.toFixed(4)}, Bc = {islandReduction.equivalent.Bc.toFixed(4)},
+                    XL = {islandReduction.equivalent.XL.toFixed(4)} p.u.（{islandReduction.equivalent.base} MVA 基準）
+                    <div className="text-slate-400 font-sans">
+                      駆動点 Zin = {islandReduction.equivalent.Zin.r.toFixed(4)} + j{islandReduction.equivalent.Zin.x.toFixed(4)}、
+                      等価直列抵抗 R = {islandReduction.equivalent.R.toFixed(4)}（無視）、開放される連系線 {islandReduction.equivalent.ties} 回線
+                    </div>
+                  </div>
+                )}
+                {islandReduction && islandReduction.errors.length > 0 && (
+                  <ul className="mt-1 list-disc pl-4 text-red-400">
+                    {islandReduction.errors.map((err, i) => <li key={i}>{err}</li>)}
+                  </ul>
+                )}
+                {islandReduction && islandReduction.warnings.length > 0 && (
+                  <ul className="mt-1 list-disc pl-4 text-yellow-400">
+                    {islandReduction.warnings.map((w, i) => <li key={i}>{w}</li>)}
+                  </ul>
+                )}
+                <button onClick={applyIslandEquivalent} disabled={!islandReduction || islandReduction.errors.length > 0}
+                  className="mt-1 w-full py-0.5 bg-sky-700 hover:bg-sky-600 disabled:bg-slate-600 disabled:text-slate-400 rounded">
+                  XL と系統構成に適用
+                </button>
+                <div className="text-slate-400 mt-0.5">
+                  発電機定数（Xd など）は適用されません。G, Bc, XL は選択した発電機の定格 MVA 基準に換算し、S_base もこの値とします
+                </div>
+              </>
+            )}
+            {importMessage && (
+              <div className={`mt-1 ${{ error: 'text-red-400', warning: 'text-yellow-400', info: 'text-green-400' }[importMessage.type]}`}>
+                {importMessage.text}
+                {importMessage.details.length > 0 && (
+                  <ul className="list-disc pl-4 text-slate-300">
+                    {importMessage.details.map((d, i) => <li key={i}>{d}</li>)}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* シナリオの保存・読込 */}
+          <div className="mt-3 p-2 bg-slate-700 rounded text-[10px] text-slate-300">
+            <h3 className="text-xs font-bold text-slate-200 mb-1">シナリオ</h3>
+            <div className="flex gap-1">
+              <input
+                value={scenarioName}
+                placeholder="シナリオ名"
+                onChange={(e) => setScenarioName(e.target.value)}
+                className="flex-1 min-w-0 bg-slate-800 rounded px-1"
+              />
+              <button onClick={saveScenario} disabled={!scenarioName.trim()}
+                className="px-1.5 bg-sky-700 hover:bg-sky-600 disabled:bg-slate-600 disabled:text-slate-400 rounded">保存</button>
+            </div>
+            {Object.keys(storedScenarios).length > 0 && (
+              <div className="mt-1 max-h-28 overflow-y-auto space-y-0.5">
+                {Object.entries(storedScenarios)
+                  .sort(([, a], [, b]) => String(b.savedAt).localeCompare(String(a.savedAt)))
+                  .map(([name, scenario]) => (
+                    <div key={name} className="flex items-center gap-1">
+                      <button onClick={() => applyScenario(scenario, `「${name}」`)}
+                        className="flex-1 text-left truncate hover:text-sky-300" title={scenario.savedAt || ''}>
+                        {name}
+                      </button>
+                      <button onClick={() => deleteScenario(name)} className="text-slate-400 hover:text-red-400">✕</button>
+                    </div>
+                  ))}
+              </div>
+            )}
+            <div className="flex gap-1 mt-1">
+              <button onClick={exportScenario} className="flex-1 py-0.5 bg-slate-600 hover:bg-slate-500 rounded">JSON書き出し</button>
+              <button onClick={() => scenarioFileRef.current.click()} className="flex-1 py-0.5 bg-slate-600 hover:bg-slate-500 rounded">JSON読み込み</button>
+              <button onClick={copyShareUrl} className="flex-1 py-0.5 bg-slate-600 hover:bg-slate-500 rounded">共有URL</button>
+              <input ref={scenarioFileRef} type="file" accept=".json,application/json" onChange={importScenario} className="hidden" />
+            </div>
+            {scenarioMessage && (
+              <div className={`mt-1 ${{ error: 'text-red-400', warning: 'text-yellow-400', info: 'text-green-400' }[scenarioMessage.type]}`}>
+                {scenarioMessage.text}
+                {scenarioMessage.details.length > 0 && (
+                  <ul className="list-disc pl-4 text-slate-300">
+                    {scenarioMessage.details.map((d, i) => <li key={i}>{d}</li>)}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
         </div>
 
         {/* 中央：G-Bc平面 */}
         <div className="bg-slate-800 rounded-lg p-2">
           <h2 className="text-sm font-semibold mb-1 text-center">G-Bc 平面</h2>
-          <svg width={svgW} height={svgH}>
+          <svg width={svgW} height={svgH} ref={planeSvgRef}
+            onPointerDown={handlePlanePointerDown}
+            onPointerMove={handlePlanePointerMove}
+            onPointerUp={handlePlanePointerUp}
+            onPointerCancel={handlePlanePointerUp}
+            style={{ touchAction: 'none', cursor: panStart ? 'move' : 'default' }}>
+            <defs>
+              <clipPath id="plane-clip">
+                <rect x={margin.left} y={margin.top} width={plotW} height={plotH} />
+              </clipPath>
+            </defs>
             <rect x={margin.left} y={margin.top} width={plotW} height={plotH} fill="#0f172a" />
             
             {/* グリッド */}
-            {[0, 0.05, 0.1, 0.15].map(g => (
+            {gTicks.ticks.map(g => (
               <line key={`vg${g}`} x1={toX(g)} y1={margin.top} x2={toX(g)} y2={svgH - margin.bottom} 
                 stroke="#334155" strokeWidth={g === 0 ? 1 : 0.5} />
             ))}
-            {[0.1, 0.15, 0.2, 0.25].map(bc => (
+            {bcTicks.ticks.map(bc => (
               <line key={`hb${bc}`} x1={margin.left} y1={toY(bc)} x2={svgW - margin.right} y2={toY(bc)} 
-                stroke="#334155" strokeWidth={0.5} />
+                stroke="#334155" strokeWidth={bc === 0 ? 1 : 0.5} />
             ))}
 
+            <g clipPath="url(#plane-clip)">
             {/* k等高線 */}
             {kValues.map((k) => {
               const c = calculateKCircle(k);
-              const pts = [];
-              for (let th = -Math.PI; th <= Math.PI; th += 0.02) {
-                const g = c.G_center + c.R * Math.cos(th);
-                const bc = c.Bc_center + c.R * Math.sin(th);
-                if (g >= GRange.min && g <= GRange.max && bc >= BcRange.min && bc <= BcRange.max) {
-                  pts.push(`${toX(g)},${toY(bc)}`);
-                }
-              }
-              if (pts.length < 2) return null;
               return (
-                <polyline key={`k${k}`} points={pts.join(' ')} fill="none" 
-                  stroke={kColors[k]} strokeWidth={k === 1.0 ? 2 : 1} 
+                <circle key={`k${k}`} cx={toX(c.G_center)} cy={toY(c.Bc_center)} r={c.R * pxPerUnit}
+                  fill="none" stroke={kColors[k]} strokeWidth={k === 1.0 ? 2 : 1} 
                   strokeDasharray={k === 1.0 ? "none" : "4,2"} opacity={0.6} />
               );
             })}
             
-            {/* kラベル */}
-            <text x={toX(0.12)} y={toY(0.13)} fill="#eab308" fontSize="9" fontWeight="bold">k=1.0</text>
-            <text x={toX(0.08)} y={toY(0.14)} fill="#f97316" fontSize="8">k=1.1</text>
-            <text x={toX(0.05)} y={toY(0.15)} fill="#ef4444" fontSize="8">k=1.2</text>
+            {/* kラベル（表示範囲内に見える G ≥ 0 側の周上に配置） */}
+            {kValues.map((k) => {
+              const c = calculateKCircle(k);
+              const pos = [Math.PI / 4, Math.PI / 6, Math.PI / 3, 0, -Math.PI / 6, -Math.PI / 4, Math.PI / 2.4]
+                .map(th => ({ x: toX(c.R * Math.cos(th)), y: toY(c.Bc_center + c.R * Math.sin(th)) }))
+                .find(p => p.x > margin.left + 5 && p.x < svgW - margin.right - 30 && p.y > margin.top + 10 && p.y < svgH - margin.bottom - 5);
+              if (!pos) return null;
+              return (
+                <text key={`kl${k}`} x={pos.x + 2} y={pos.y - 2} fill={kColors[k]} 
+                  fontSize={k === 1.0 ? 9 : 8} fontWeight={k === 1.0 ? 'bold' : 'normal'}>k={k.toFixed(1)}</text>
+              );
+            })}
+
+            {/* スイープした安定境界円の族（色: 第1パラメータ、線種: 第2パラメータ）*/}
+            {sweepResult && sweepSettings.overlay && sweepResult.map((series, j) => series.points.map((pt, i) => pt.valid && (
+              <g key={`sw${j}-${i}`} pointerEvents="none">
+                <circle cx={toX(0)} cy={toY(pt.Bc_center)} r={pt.R * pxPerUnit}
+                  fill="none" stroke={sweepColor(i, series.points.length)} strokeWidth={1}
+                  strokeDasharray={SWEEP_DASHES[j % SWEEP_DASHES.length]} opacity={0.8} />
+                {Math.hypot(pt.G - G, pt.Bc - Bc) > 1e-6 && (
+                  <circle cx={toX(pt.G)} cy={toY(pt.Bc)} r={2.5} fill={sweepColor(i, series.points.length)} />
+                )}
+              </g>
+            )))}
+
+            {/* モンテカルロ標本の運転点（赤: 不安定、橙: k が上限超過、緑: 安定）*/}
+            {mcResult && monteCarlo.overlay && (
+              <g pointerEvents="none" opacity={mcStale ? 0.25 : 0.5}>
+                {mcResult.points.map((pt, i) => (
+                  <circle key={`mc${i}`} cx={toX(pt.G)} cy={toY(pt.Bc)} r={1.5}
+                    fill={!pt.stable ? '#ef4444' : pt.k > mcResult.kLimit ? '#f97316' : '#22c55e'} />
+                ))}
+              </g>
+            )}
+
+            {/* 負荷プロフィールの OP の軌跡と再生中の時刻 */}
+            {profileResult && profileSettings.overlay && (
+              <g pointerEvents="none">
+                <polyline points={profileResult.points.map(pt => `${toX(pt.G)},${toY(pt.Bc)}`).join(' ')}
+                  fill="none" stroke="#2dd4bf" strokeWidth={1} opacity={0.7} />
+                {profileResult.points.map((pt, i) => (
+                  <circle key={`pf${i}`} cx={toX(pt.G)} cy={toY(pt.Bc)} r={2}
+                    fill={pt.risk ? PROFILE_RISKS[pt.risk].color : '#2dd4bf'} />
+                ))}
+                <circle cx={toX(profilePoint.G)} cy={toY(profilePoint.Bc)} r={6} fill="none" stroke="#2dd4bf" strokeWidth={2} />
+                <text x={toX(profilePoint.G) + 8} y={toY(profilePoint.Bc) - 6} fill="#2dd4bf" fontSize="9">
+                  {formatProfileTime(profilePoint.t, loadProfile.profile.period)}
+                </text>
+              </g>
+            )}
 
             {/* 安定境界円 */}
             <circle 
               cx={toX(stabilityCircle.G_center)} 
               cy={toY(stabilityCircle.Bc_center)} 
-              r={stabilityCircle.R / (GRange.max - GRange.min) * plotW}
+              r={stabilityCircle.R * pxPerUnit}
               fill="rgba(239, 68, 68, 0.15)"
               stroke="#ef4444"
               strokeWidth={3}
             />
+
+            {/* 励磁系込みの実効安定境界 */}
+            {exciterBoundary.length > 0 && (
+              <path
+                d={exciterBoundary.map(([g1, b1, g2, b2]) => `M${toX(g1)},${toY(b1)}L${toX(g2)},${toY(b2)}`).join('')}
+                fill="none" stroke="#22d3ee" strokeWidth={2} strokeDasharray="4,2" pointerEvents="none"
+              />
+            )}
+
+            {/* 複数発電機: 1機等価の安定境界円と多機系の安定境界 */}
+            {multiMachine && (
+              <g pointerEvents="none">
+                <circle cx={toX(0)} cy={toY(multiMachine.circle.Bc_center)} r={multiMachine.circle.R * pxPerUnit}
+                  fill="none" stroke="#c084fc" strokeWidth={1.5} strokeDasharray="6,3" />
+                <path
+                  d={multiMachine.boundary.map(([g1, b1, g2, b2]) => `M${toX(g1)},${toY(b1)}L${toX(g2)},${toY(b2)}`).join('')}
+                  fill="none" stroke="#34d399" strokeWidth={2}
+                />
+              </g>
+            )}
             
             {/* 領域ラベル */}
-            <text x={toX(0.015)} y={toY(0.185)} fill="#ef4444" fontSize="10" fontWeight="bold">不安定</text>
-            <text x={toX(0.015)} y={toY(0.185) + 11} fill="#ef4444" fontSize="8">(自己励磁)</text>
-            <text x={toX(0.13)} y={toY(0.22)} fill="#22c55e" fontSize="10" fontWeight="bold">安定</text>
+            {(() => {
+              const inside = stabilityCircle.R * pxPerUnit > 30;
+              const x = inside ? toX(stabilityCircle.R * 0.1) : toX(stabilityCircle.R) + 6;
+              const y = toY(stabilityCircle.Bc_center);
+              return (
+                <>
+                  <text x={x} y={y} fill="#ef4444" fontSize="10" fontWeight="bold">不安定</text>
+                  <text x={x} y={y + 11} fill="#ef4444" fontSize="8">(自己励磁)</text>
+                </>
+              );
+            })()}
+            <text x={svgW - margin.right - 30} y={margin.top + 15} fill="#22c55e" fontSize="10" fontWeight="bold">安定</text>
+
+            {/* イベントによる運転点の軌跡 */}
+            {schedule.length > 1 && (
+              <polyline points={schedule.map(seg => `${toX(seg.G)},${toY(seg.Bc)}`).join(' ')}
+                fill="none" stroke="#e2e8f0" strokeWidth={1.5} strokeDasharray="5,3" opacity={0.8} />
+            )}
+            {schedule.slice(1).map((seg, i) => (
+              <g key={`tr${seg.event.id}`}>
+                <circle cx={toX(seg.G)} cy={toY(seg.Bc)} r={4}
+                  fill={checkStability(seg.G, seg.Bc) ? '#22c55e' : '#ef4444'} stroke="#e2e8f0" strokeWidth={1} />
+                <text x={toX(seg.G) + 6 + 9 * schedule.slice(1, i + 1).filter(p => p.G === seg.G && p.Bc === seg.Bc).length}
+                  y={toY(seg.Bc) - 6} fill="#e2e8f0" fontSize="9">{eventMark(i)}</text>
+              </g>
+            ))}
+
+            {/* UFLS・OVR による運転点の移動（直近のシミュレーション結果）*/}
+            {protectionSegments.length > 0 && (
+              <g pointerEvents="none">
+                <polyline points={simResult.segments.filter(seg => seg.separated).map(seg => `${toX(seg.G)},${toY(seg.Bc)}`).join(' ')}
+                  fill="none" stroke="#f59e0b" strokeWidth={1.5} strokeDasharray="2,2" />
+                {protectionSegments.map(seg => (
+                  <g key={seg.event.id}>
+                    <rect x={toX(seg.G) - 3.5} y={toY(seg.Bc) - 3.5} width={7} height={7}
+                      fill={checkStability(seg.G, seg.Bc) ? '#22c55e' : '#ef4444'} stroke="#f59e0b" strokeWidth={1.5} />
+                    <text x={toX(seg.G) + 6} y={toY(seg.Bc) + 10} fill="#f59e0b" fontSize="8">{protectionLabel(seg.event)}</text>
+                  </g>
+                ))}
+              </g>
+            )}
+
+            {/* 制御目標点と制御ベクトル */}
+            <defs>
+              <marker id="control-arrow" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                <path d="M0,0 L8,4 L0,8 z" fill="#38bdf8" />
+              </marker>
+            </defs>
+            {controlTarget && controlTarget.feasible && controlTarget.norm > 1e-9 && (
+              <g>
+                <line x1={toX(G)} y1={toY(Bc)} x2={toX(controlTarget.G)} y2={toY(controlTarget.Bc)}
+                  stroke="#38bdf8" strokeWidth={2} markerEnd="url(#control-arrow)" />
+                <rect x={toX(controlTarget.G) - 5} y={toY(controlTarget.Bc) - 5} width={10} height={10}
+                  transform={`rotate(45, ${toX(controlTarget.G)}, ${toY(controlTarget.Bc)})`}
+                  fill="#38bdf8" stroke="white" strokeWidth={1} />
+                <text x={toX(controlTarget.G) + 8} y={toY(controlTarget.Bc) + 12} fill="#38bdf8" fontSize="9">目標</text>
+              </g>
+            )}
+
+            {/* 定インピーダンス仮定の運転点と電圧依存負荷による移動 */}
+            {showConstantZ && (
+              <g pointerEvents="none">
+                <line x1={toX(constantZPoint.G)} y1={toY(constantZPoint.Bc)} x2={toX(G)} y2={toY(Bc)}
+                  stroke="#fb923c" strokeWidth={1.5} strokeDasharray="3,2" />
+                <circle cx={toX(constantZPoint.G)} cy={toY(constantZPoint.Bc)} r={6}
+                  fill="none" stroke="#fb923c" strokeWidth={1.5} strokeDasharray="2,2" />
+                <text x={toX(constantZPoint.G)} y={toY(constantZPoint.Bc) + 16} fill="#fb923c" fontSize="8"
+                  textAnchor="middle">Z一定</text>
+              </g>
+            )}
+
+            {/* 根軌跡の変化経路と虚軸交差点（= 安定境界円との交点）*/}
+            {locusSettings.showOnPlane && (
+              <g pointerEvents="none">
+                <line x1={toX(G)} y1={toY(Bc)}
+                  x2={toX(locus.points[locus.points.length - 1].g)} y2={toY(locus.points[locus.points.length - 1].bc)}
+                  stroke="#e879f9" strokeWidth={1} strokeDasharray="2,3" opacity={0.7} />
+                {locus.crossings.map((c, i) => (
+                  <g key={`lc${i}`}>
+                    <circle cx={toX(c.g)} cy={toY(c.bc)} r={6} fill="none" stroke="#e879f9" strokeWidth={2} />
+                    <text x={toX(c.g) + 8} y={toY(c.bc) - 6} fill="#e879f9" fontSize="9">虚軸交差</text>
+                  </g>
+                ))}
+              </g>
+            )}
+            {hoveredLocusPoint && (
+              <circle cx={toX(hoveredLocusPoint.g)} cy={toY(hoveredLocusPoint.bc)} r={5}
+                fill="#e879f9" stroke="white" strokeWidth={1.5} pointerEvents="none" />
+            )}
 
             {/* 運転点 */}
             <circle cx={toX(G)} cy={toY(Bc)} r={14}
-              fill={isStable ? "#22c55e" : "#ef4444"} stroke="white" strokeWidth={3} />
+              fill={opLevel.color} stroke="white" strokeWidth={3}
+              onPointerDown={handleOpPointerDown}
+              style={{ cursor: isDragging ? 'grabbing' : 'grab' }} />
             <text x={toX(G)} y={toY(Bc) + 4} fill="white" fontSize="11" fontWeight="bold" 
               textAnchor="middle" pointerEvents="none">OP</text>
+            </g>
 
             {/* 軸ラベル */}
             <text x={svgW / 2} y={svgH - 8} fill="white" fontSize="10" textAnchor="middle">
@@ -434,18 +2772,76 @@ const InteractiveStabilityAnalysis = () => {
             </text>
             
             {/* 目盛り */}
-            {[0, 0.05, 0.1, 0.15].map(g => (
+            {gTicks.ticks.map(g => (
               <text key={`tG${g}`} x={toX(g)} y={svgH - margin.bottom + 12} fill="#94a3b8" fontSize="8" textAnchor="middle">
-                {g.toFixed(2)}
+                {g.toFixed(gTicks.decimals)}
               </text>
             ))}
-            {[0.1, 0.15, 0.2, 0.25].map(bc => (
+            {bcTicks.ticks.map(bc => (
               <text key={`tBc${bc}`} x={margin.left - 5} y={toY(bc) + 3} fill="#94a3b8" fontSize="8" textAnchor="end">
-                {bc.toFixed(2)}
+                {bc.toFixed(bcTicks.decimals)}
               </text>
             ))}
           </svg>
 
+          {/* 表示範囲 */}
+          <div className="flex items-center justify-center gap-2 text-[10px] text-slate-400">
+            <span>ホイール: ズーム / 背景ドラッグ: パン</span>
+            <button onClick={() => setPlaneView(zoomView(view, (view.gMin + view.gMax) / 2, (view.bcMin + view.bcMax) / 2, 1 / 1.5))}
+              className="px-1.5 bg-slate-600 hover:bg-slate-500 rounded text-slate-200">＋</button>
+            <button onClick={() => setPlaneView(zoomView(view, (view.gMin + view.gMax) / 2, (view.bcMin + view.bcMax) / 2, 1.5))}
+              className="px-1.5 bg-slate-600 hover:bg-slate-500 rounded text-slate-200">－</button>
+            <button onClick={() => setPlaneView(null)}
+              className={`px-1.5 rounded ${planeView ? 'bg-sky-700 hover:bg-sky-600 text-white' : 'bg-slate-600 text-slate-400'}`}>
+              自動フィット
+            </button>
+            <span className="ml-2">図:</span>
+            <button onClick={() => exportFigure('plane', 'svg')}
+              className="px-1.5 bg-slate-600 hover:bg-slate-500 rounded text-slate-200">SVG</button>
+            <button onClick={() => exportFigure('plane', 'png')}
+              className="px-1.5 bg-slate-600 hover:bg-slate-500 rounded text-slate-200">PNG</button>
+          </div>
+          {exportError && <div className="text-center text-[10px] text-red-400">{exportError}</div>}
+
+          {/* ドラッグ操作 */}
+          <div className="mt-2 p-2 bg-slate-700 rounded text-[10px] text-slate-300">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-slate-200 font-semibold">OPドラッグ:</span>
+              <select
+                value={dragSettings.mode}
+                onChange={(e) => setDragSettings({ ...dragSettings, mode: e.target.value })}
+                className="bg-slate-800 rounded"
+              >
+                {Object.entries(DRAG_MODES).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={dragSettings.snapBoundary} className="w-3 h-3"
+                  onChange={(e) => setDragSettings({ ...dragSettings, snapBoundary: e.target.checked })} />
+                境界にスナップ
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={dragSettings.snapK} className="w-3 h-3"
+                  onChange={(e) => setDragSettings({ ...dragSettings, snapK: e.target.checked })} />
+                k等高線にスナップ
+              </label>
+            </div>
+            <div className="flex flex-wrap items-center gap-2 mt-1">
+              <button onClick={() => { const p = projectToCircle(G, Bc, stabilityCircle); moveOperatingPoint(p.g, p.bc); }}
+                className="px-1 bg-slate-600 hover:bg-slate-500 rounded">境界上へ移動</button>
+              <button onClick={() => { const p = projectToCircle(G, Bc, calculateKCircle(targetK)); moveOperatingPoint(p.g, p.bc); }}
+                className="px-1 bg-slate-600 hover:bg-slate-500 rounded">k={targetK} 等高線上へ移動</button>
+              {(systemConfig.P_adj !== 0 || systemConfig.Qc_adj !== 0) && (
+                <span>
+                  仮想調整: P={systemConfig.P_adj.toFixed(4)}, Qc={systemConfig.Qc_adj.toFixed(4)}
+                  <button onClick={() => setSystemConfig({ ...systemConfig, P_adj: 0, Qc_adj: 0 })}
+                    className="ml-1 px-1 bg-slate-600 hover:bg-slate-500 rounded">解除</button>
+                </span>
+              )}
+            </div>
+          </div>
+
           {/* 状態表示 */}
           <div className={`mt-2 p-2 rounded text-center ${isStable ? 'bg-green-900/50' : 'bg-red-900/50'}`}>
             <div className="text-sm font-bold">
@@ -458,6 +2854,96 @@ const InteractiveStabilityAnalysis = () => {
                 {kValue.toFixed(3)}
               </span></span>
             </div>
+            {hasExciter && (
+              <div className={`text-xs mt-1 ${isStableWithExciter ? 'text-green-300' : 'text-red-300'}`}>
+                励磁系（{exciterModel.label}）込み: {isStableWithExciter ? '安定' : '不安定'}
+                {isStableWithExciter !== isStable && '（ΔEfd=0 の判定と異なる）'}
+              </div>
+            )}
+
+            {/* 安定余裕ゲージ */}
+            <div className="mt-2 space-y-1 text-[10px] text-left">
+              {[
+                {
+                  label: '境界までの距離',
+                  value: `${stabilityMargin.distance >= 0 ? '+' : ''}${stabilityMargin.distance.toFixed(4)} p.u.（R の ${(stabilityMargin.ratio * 100).toFixed(0)}%）`,
+                  fill: stabilityMargin.ratio,
+                },
+                {
+                  label: '境界までの ΔP',
+                  value: marginMW.dP === null ? 'G の変化では到達しない' : `${marginMW.dP > 0 ? '+' : ''}${marginMW.dP.toFixed(2)} MW`,
+                  fill: marginMW.dP === null ? 1 : Math.abs(marginMW.dP) / Math.max(P_total * systemConfig.S_base, 1e-9),
+                },
+                {
+                  label: '境界までの ΔQc',
+                  value: marginMW.dQc === null ? 'Bc の変化では到達しない' : `${marginMW.dQc > 0 ? '+' : ''}${marginMW.dQc.toFixed(2)} Mvar`,
+                  fill: marginMW.dQc === null ? 1 : Math.abs(marginMW.dQc) / Math.max(Math.abs(Qc_total) * systemConfig.S_base, 1e-9),
+                },
+              ].map(gauge => (
+                <div key={gauge.label} className="flex items-center gap-2">
+                  <span className="w-20 text-slate-300">{gauge.label}</span>
+                  <div className="flex-1 h-2 bg-slate-900 rounded overflow-hidden">
+                    <div className="h-full rounded"
+                      style={{ width: `${Math.min(Math.abs(gauge.fill), 1) * 100}%`, backgroundColor: opLevel.color }} />
+                  </div>
+                  <span className="w-36 font-mono text-slate-200">{gauge.value}</span>
+                </div>
+              ))}
+              <div className="text-slate-400">
+                余裕: <span style={{ color: opLevel.color }} className="font-bold">{opLevel.label}</span>
+                （ΔP・ΔQc のゲージは接続中の合計 P・Qc に対する比。符号は境界に向かう変化の向き）
+              </div>
+              {singleSwitchRisks.length > 0 && (
+                <div className={`p-1 rounded ${isStableWithExciter ? 'bg-red-900/60 text-red-200' : 'bg-green-900/60 text-green-200'}`}>
+                  {isStableWithExciter ? '⚠ 次の単一操作で不安定化' : '単一操作で安定化'}{hasExciter && '（励磁系込み）'}: 
+                  {singleSwitchRisks.map(r => `${r.el.name} ${r.closing ? '投入' : '開放'}`).join('、')}
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* 根軌跡 */}
+          <div className="mt-2 p-2 bg-slate-700 rounded text-[10px] text-slate-300">
+            <div className="flex flex-wrap items-center gap-2 mb-1">
+              <span className="text-xs font-bold text-slate-200">{hasExciter ? '根軌跡（励磁系込みの全根）' : '根軌跡（式8の2根）'}</span>
+              <select
+                value={locusSettings.vary}
+                onChange={(e) => setLocusSettings({ ...locusSettings, vary: e.target.value, end: 0 })}
+                className="bg-slate-800 rounded"
+              >
+                <option value="G">G を変化（負荷遮断）</option>
+                <option value="Bc">Bc を変化（コンデンサ開閉）</option>
+              </select>
+              <span>{locusSettings.vary === 'G' ? G.toFixed(4) : Bc.toFixed(4)} →</span>
+              <input type="number" value={locusSettings.end} step="0.01"
+                onChange={(e) => {
+                  const end = parseFloat(e.target.value);
+                  if (Number.isFinite(end)) setLocusSettings({ ...locusSettings, end: locusSettings.vary === 'G' ? Math.max(end, 0) : end });
+                }}
+                className="w-16 bg-slate-800 rounded px-1 text-right" />
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={locusSettings.showOnPlane} className="w-3 h-3"
+                  onChange={(e) => setLocusSettings({ ...locusSettings, showOnPlane: e.target.checked })} />
+                平面に表示
+              </label>
+            </div>
+            {renderRootLocus()}
+            <div className="text-slate-400">
+              ✕ 現在の根 / 点の色: 現在（青）→ 終点（赤）
+              {hoveredLocusPoint && (
+                <span className="ml-2 text-slate-200 font-mono">
+                  G={hoveredLocusPoint.g.toFixed(4)}, Bc={hoveredLocusPoint.bc.toFixed(4)}:
+                  {' '}{hoveredLocusPoint.eigenvalues.roots.map(r => `${r.re.toFixed(3)}${r.im >= 0 ? '+' : '−'}j${Math.abs(r.im).toFixed(3)}`).join(', ')}
+                </span>
+              )}
+            </div>
+            <div className={locus.crossings.length > 0 ? 'text-fuchsia-300' : 'text-slate-400'}>
+              {locus.crossings.length > 0
+                ? locus.crossings.map(c => (
+                  `${c.toStable ? '安定化' : '不安定化'}: G=${c.g.toFixed(4)}, Bc=${c.bc.toFixed(4)} で OP が${boundaryLabel}を横切り、根が ±j${c.eigenvalues.imag.toFixed(3)} で虚軸を通過`
+                )).join(' / ')
+                : `この範囲では虚軸交差なし（${boundaryLabel}を横切らない）`}
+            </div>
           </div>
         </div>
 
@@ -503,80 +2989,856 @@ const InteractiveStabilityAnalysis = () => {
             {/* 固有値情報 */}
             <div className="p-2 bg-slate-700 rounded">
               <h3 className="font-bold text-slate-200 mb-1">固有値（安定性指標）</h3>
-              <div className={`font-mono ${eigenvalues.stable ? 'text-green-400' : 'text-red-400'}`}>
-                {eigenvalues.oscillatory ? (
-                  <>{eigenvalues.real.toFixed(4)} ± j{eigenvalues.imag.toFixed(4)}</>
-                ) : (
-                  <>実根: {eigenvalues.real.toFixed(4)}</>
-                )}
-              </div>
+              {modal ? (
+                <table className="w-full text-[10px] font-mono">
+                  <thead>
+                    <tr className="text-slate-400">
+                      <th className="text-left font-normal">λ</th>
+                      <th className="text-right font-normal">ζ</th>
+                      <th className="text-right font-normal">f [Hz]</th>
+                      <th className="text-left font-normal pl-1">主な状態</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {modal.modes.map((mode, i) => {
+                      // 参加係数の大きい順に 0.1 以上の状態（最低1つ）
+                      const ranked = mode.participation
+                        .map((pf, k) => ({ state: modal.states[k], pf }))
+                        .sort((p, q) => q.pf - p.pf);
+                      const dominant = ranked.filter((r, k) => k === 0 || r.pf >= 0.1);
+                      return (
+                        <tr key={i} className={mode.stable ? 'text-green-400' : 'text-red-400 font-bold'}>
+                          <td>{mode.re.toFixed(4)}{mode.im > 0 && ` ± j${mode.im.toFixed(4)}`}</td>
+                          <td className="text-right">{mode.damping.toFixed(3)}</td>
+                          <td className="text-right">{mode.im > 0 ? mode.frequency.toFixed(3) : '—'}</td>
+                          <td className="pl-1 text-slate-300 font-normal">
+                            {dominant.map(r => `${r.state} ${(r.pf * 100).toFixed(0)}%`).join(', ')}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="font-mono text-red-400">直列共振（根なし）</div>
+              )}
               <p className="text-slate-400 text-[10px] mt-1">
-                実部 {'<'} 0 で安定、{'>'} 0 で不安定（発散）
+                状態行列 A（状態: {modal ? modal.states.join(', ') : "E'd, E'q"}）の全固有値を QR 法で計算。
+                実部 {'<'} 0 で安定、{'>'} 0 で不安定（発散）。ζ: 減衰比、f: 振動周波数、主な状態: 参加係数 10% 以上の状態（不安定モードの原因となる状態）
+              </p>
+            </div>
+          </div>
+
+          {/* P+Q協調制御 */}
+          <div className="mt-3 p-2 bg-slate-700 rounded text-[10px]">
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-xs font-bold text-slate-200">制御量の算出</h3>
+              <select
+                value={controlMode}
+                onChange={(e) => setControlMode(e.target.value)}
+                className="bg-slate-800 rounded"
+              >
+                {Object.entries(CONTROL_MODES).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-center gap-2 mb-1 text-slate-300">
+              <label>
+                目標 k
+                <input
+                  type="number"
+                  value={targetK}
+                  step="0.05"
+                  min={SETTING_RANGES.targetK.min}
+                  max={SETTING_RANGES.targetK.max}
+                  onChange={(e) => {
+                    const k = parseFloat(e.target.value);
+                    if (k >= SETTING_RANGES.targetK.min && k <= SETTING_RANGES.targetK.max) setTargetK(k);
+                  }}
+                  className="w-12 ml-1 bg-slate-800 rounded px-1 text-right"
+                />
+              </label>
+              <label>
+                許容 ±
+                <input
+                  type="number"
+                  value={kTolerance}
+                  step="0.01"
+                  min={SETTING_RANGES.kTolerance.min}
+                  max={SETTING_RANGES.kTolerance.max}
+                  onChange={(e) => {
+                    const tol = parseFloat(e.target.value);
+                    if (tol >= SETTING_RANGES.kTolerance.min && tol <= SETTING_RANGES.kTolerance.max) setKTolerance(tol);
+                  }}
+                  className="w-12 ml-1 bg-slate-800 rounded px-1 text-right"
+                />
+              </label>
+            </div>
+            <table className="w-full font-mono">
+              <thead>
+                <tr className="text-slate-400">
+                  <th className="text-left font-normal">方式</th>
+                  <th className="text-right font-normal">ΔP</th>
+                  <th className="text-right font-normal">ΔQc</th>
+                  <th className="text-right font-normal">k</th>
+                </tr>
+              </thead>
+              <tbody>
+                {controlResults.map(r => (
+                  <tr key={r.mode} className={r.mode === controlMode ? 'text-sky-300' : 'text-slate-300'}>
+                    <td className="font-sans">{CONTROL_MODES[r.mode].replace(/（.*）/, '')}</td>
+                    {r.feasible ? (
+                      <>
+                        <td className="text-right">{(r.dG * systemConfig.V ** 2).toFixed(4)}</td>
+                        <td className="text-right">{(r.dBc * systemConfig.V ** 2).toFixed(4)}</td>
+                        <td className="text-right">{calculateK(r.G, r.Bc).toFixed(3)}</td>
+                      </>
+                    ) : (
+                      <td colSpan={3} className="text-right text-red-400 font-sans">解なし</td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {controlTarget.feasible && (
+              <p className="mt-1 text-slate-400">
+                ΔG = {controlTarget.dG.toFixed(4)}, ΔBc = {controlTarget.dBc.toFixed(4)} p.u.
+                （|Δ| = {controlTarget.norm.toFixed(4)}）
               </p>
+            )}
+          </div>
+
+          {/* スイッチングイベント */}
+          <div className="mt-3 p-2 bg-slate-700 rounded text-[10px]">
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-xs font-bold text-slate-200">スイッチングイベント</h3>
+              <button onClick={() => setEvents(EXAMPLE_EVENTS)}
+                className="px-1 bg-slate-600 hover:bg-slate-500 rounded">例</button>
             </div>
+            <div className="space-y-1">
+              {[...events].sort((a, b) => a.t - b.t).map((ev, i) => (
+                <div key={ev.id} className="flex items-center gap-1">
+                  <span className="w-3 text-slate-300">{eventMark(i)}</span>
+                  <input
+                    type="number"
+                    value={ev.t}
+                    step="0.1"
+                    min="0"
+                    max={simSettings.tMax}
+                    onChange={(e) => {
+                      const t = parseFloat(e.target.value);
+                      if (t >= 0 && t <= simSettings.tMax) updateEvent(ev.id, { t });
+                    }}
+                    className="w-10 bg-slate-800 rounded px-1 text-right"
+                  />
+                  <span className="text-slate-400">s</span>
+                  <select
+                    value={ev.action}
+                    onChange={(e) => updateEvent(ev.id, { action: e.target.value })}
+                    className="bg-slate-800 rounded"
+                  >
+                    {Object.entries(EVENT_ACTIONS).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                  {ev.action !== 'separate' && (
+                    <select
+                      value={ev.target}
+                      onChange={(e) => updateEvent(ev.id, { target: e.target.value })}
+                      className="bg-slate-800 rounded w-16"
+                    >
+                      {systemConfig.elements.map(el => (
+                        <option key={el.id} value={el.id}>{el.name}</option>
+                      ))}
+                    </select>
+                  )}
+                  <button onClick={() => setEvents(events.filter(e2 => e2.id !== ev.id))}
+                    className="ml-auto text-slate-400 hover:text-red-400">✕</button>
+                </div>
+              ))}
+            </div>
+            <button onClick={addEvent}
+              className="mt-1 w-full bg-slate-600 hover:bg-slate-500 rounded">＋ イベント追加</button>
+          </div>
+
+          {/* 分離前の潮流（連系線・無限大母線） */}
+          <div className="mt-2 p-2 bg-slate-700 rounded text-[10px]">
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-xs font-bold text-teal-300">分離前の潮流（連系線・無限大母線）</h3>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={preSeparation.enabled} className="w-3 h-3"
+                  onChange={(e) => setPreSeparation({ ...preSeparation, enabled: e.target.checked })} />
+                初期状態に使う
+              </label>
+            </div>
+            {preSeparation.enabled && (
+              <>
+                <div className="grid grid-cols-2 gap-x-2 gap-y-0.5">
+                  {TIE_PARAM_DEFS.map(def => (
+                    <label key={def.key} className="flex items-center justify-between" title={def.label}>
+                      <span className="text-slate-300 truncate">{def.label.replace(/（.*）/, '')}</span>
+                      <span>
+                        <input type="number" value={preSeparation[def.key]} min={def.min} max={def.max} step="any"
+                          onChange={(e) => {
+                            const v = parseFloat(e.target.value);
+                            if (v >= def.min && v <= def.max) setPreSeparation({ ...preSeparation, [def.key]: v });
+                          }}
+                          className="w-12 bg-slate-800 rounded px-1 text-right" />
+                        <span className="text-slate-500 ml-0.5">{def.unit}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+                {preSeparationFlow ? (() => {
+                  const mag = (z) => Math.hypot(z.re, z.im);
+                  const deg = (z) => (Math.atan2(z.im, z.re) * 180 / Math.PI).toFixed(1);
+                  const f = preSeparationFlow;
+                  return (
+                    <div className="mt-1 grid grid-cols-2 gap-x-2 font-mono text-slate-300">
+                      <span>Vt = {mag(f.Vt).toFixed(3)}∠{deg(f.Vt)}°</span>
+                      <span>VL = {mag(f.VL).toFixed(3)}∠{deg(f.VL)}°</span>
+                      <span>Pg = {preSeparation.Pg.toFixed(3)}</span>
+                      <span>Qg = {f.Qg.toFixed(3)}</span>
+                      <span>P連系 = {f.Ptie.toFixed(3)}</span>
+                      <span>Q連系 = {f.Qtie.toFixed(3)}</span>
+                      <span>|E'| = {mag(f.E).toFixed(3)}</span>
+                      <span>δ = {(f.delta * 180 / Math.PI).toFixed(1)}°</span>
+                      <span>E'd = {f.Ed.toFixed(3)}</span>
+                      <span>E'q = {f.Eq.toFixed(3)}</span>
+                      <span>Efd = {f.Efd.toFixed(3)}</span>
+                      <span className="text-slate-500">（{f.iterations} 回で収束）</span>
+                    </div>
+                  );
+                })() : (
+                  <div className="mt-1 text-red-400">
+                    潮流が収束しません（Pg が連系線・jXL を通じた送電限界を超えています）。分離前は既定の初期状態を使います
+                  </div>
+                )}
+                <div className="text-slate-500 mt-0.5">
+                  連系線の受電（P連系, Q連系 &gt; 0 が主系統から島内へ）が分離直後の不平衡になります
+                  {frequency.enabled && '。周波数モデルの Pm0 は Pg に置き換えます'}
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* 周波数モデルと UFLS */}
+          <div className="mt-2 p-2 bg-slate-700 rounded text-[10px]">
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-xs font-bold text-slate-200">周波数・UFLS</h3>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={frequency.enabled} className="w-3 h-3"
+                  onChange={(e) => setFrequency({ ...frequency, enabled: e.target.checked })} />
+                シミュレーションに含める
+              </label>
+            </div>
+            {frequency.enabled && (
+              <>
+                <div className="grid grid-cols-2 gap-x-2 gap-y-0.5">
+                  {FREQUENCY_PARAM_DEFS.map(def => (
+                    <label key={def.key} className="flex items-center justify-between" title={def.label}>
+                      <span className="text-slate-300 truncate">{def.label.replace(/（.*）/, '')}</span>
+                      <span>
+                        <input type="number" value={frequency[def.key]} min={def.min} max={def.max} step="any"
+                          onChange={(e) => {
+                            const v = parseFloat(e.target.value);
+                            if (v >= def.min && v <= def.max) setFrequency({ ...frequency, [def.key]: v });
+                          }}
+                          className="w-12 bg-slate-800 rounded px-1 text-right" />
+                        <span className="text-slate-500 ml-0.5">{def.unit}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+                <div className="text-slate-400 mt-0.5">
+                  分離前の負荷 P = {P_total.toFixed(3)} p.u.（Pm0 との差が分離直後の電力不足）
+                </div>
+                <div className="mt-1 space-y-0.5">
+                  {[...frequency.stages].sort((a, b) => b.threshold - a.threshold).map(st => (
+                    <div key={st.id} className="flex items-center gap-1">
+                      <span className="text-slate-300">第{st.id}段</span>
+                      <input type="number" value={st.threshold} step="0.1"
+                        onChange={(e) => {
+                          const v = parseFloat(e.target.value);
+                          if (v > 0 && v < frequency.f0) updateUflsStage(st.id, { threshold: v });
+                        }}
+                        className="w-11 bg-slate-800 rounded px-1 text-right" />
+                      <span className="text-slate-400">Hz</span>
+                      <input type="number" value={st.delay} step="0.05" min="0"
+                        onChange={(e) => {
+                          const v = parseFloat(e.target.value);
+                          if (v >= 0 && v <= 10) updateUflsStage(st.id, { delay: v });
+                        }}
+                        className="w-10 bg-slate-800 rounded px-1 text-right" />
+                      <span className="text-slate-400">s</span>
+                      <select value={st.target} onChange={(e) => updateUflsStage(st.id, { target: e.target.value })}
+                        className="bg-slate-800 rounded w-16">
+                        {loadElements.map(el => <option key={el.id} value={el.id}>{el.name}</option>)}
+                      </select>
+                      <input type="number" value={Math.round(st.fraction * 100)} step="10" min="1" max="100"
+                        onChange={(e) => {
+                          const v = parseFloat(e.target.value);
+                          if (v > 0 && v <= 100) updateUflsStage(st.id, { fraction: v / 100 });
+                        }}
+                        className="w-10 bg-slate-800 rounded px-1 text-right" />
+                      <span className="text-slate-400">%</span>
+                      <button onClick={() => setFrequency({ ...frequency, stages: frequency.stages.filter(s2 => s2.id !== st.id) })}
+                        className="ml-auto text-slate-400 hover:text-red-400">✕</button>
+                    </div>
+                  ))}
+                </div>
+                <button onClick={addUflsStage} disabled={loadElements.length === 0}
+                  className="mt-1 w-full bg-slate-600 hover:bg-slate-500 rounded disabled:opacity-40">＋ UFLS 段を追加</button>
+                <div className="text-slate-400 mt-0.5">
+                  周波数が整定値を下回った状態が遅延時間続くと、対象負荷の定格の指定割合を自動遮断（G が減少し OP は安定境界円に近づく）
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* 過電圧継電器 */}
+          <div className="mt-2 p-2 bg-slate-700 rounded text-[10px]">
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-xs font-bold text-slate-200">過電圧継電器（OVR）</h3>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={ovr.enabled} className="w-3 h-3"
+                  onChange={(e) => setOvr({ ...ovr, enabled: e.target.checked })} />
+                シミュレーションに含める
+              </label>
+            </div>
+            {ovr.enabled && (
+              <>
+                <div className="space-y-0.5">
+                  {ovr.relays.map(r => (
+                    <div key={r.id} className={`flex items-center gap-1 ${isValidRelay(r, systemConfig.elements) ? '' : 'opacity-50'}`}>
+                      <span className="text-slate-300">OVR{r.id}</span>
+                      <select value={r.target} onChange={(e) => updateRelay(r.id, { target: e.target.value })}
+                        className="bg-slate-800 rounded w-16">
+                        {!ovrTargets.some(el => el.id === r.target) && <option value={r.target}>（削除済み）</option>}
+                        {ovrTargets.map(el => <option key={el.id} value={el.id}>{el.name}</option>)}
+                      </select>
+                      <input type="number" value={r.pickup} step="0.01" title="動作値 [p.u.]"
+                        onChange={(e) => {
+                          const v = parseFloat(e.target.value);
+                          if (v > 0 && v <= 3) updateRelay(r.id, { pickup: v });
+                        }}
+                        className="w-11 bg-slate-800 rounded px-1 text-right" />
+                      <span className="text-slate-400">pu</span>
+                      <select value={r.curve} onChange={(e) => updateRelay(r.id, { curve: e.target.value })}
+                        className="bg-slate-800 rounded">
+                        {Object.entries(OVR_CURVES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                      </select>
+                      {r.curve === 'inverse' ? (
+                        <input type="number" value={r.tms} step="0.05" min="0.01" title="時間倍率 TMS"
+                          onChange={(e) => {
+                            const v = parseFloat(e.target.value);
+                            if (v > 0 && v <= 10) updateRelay(r.id, { tms: v });
+                          }}
+                          className="w-10 bg-slate-800 rounded px-1 text-right" />
+                      ) : (
+                        <input type="number" value={r.delay} step="0.05" min="0" title="動作時間 [s]"
+                          onChange={(e) => {
+                            const v = parseFloat(e.target.value);
+                            if (v >= 0 && v <= 10) updateRelay(r.id, { delay: v });
+                          }}
+                          className="w-10 bg-slate-800 rounded px-1 text-right" />
+                      )}
+                      <span className="text-slate-400">{r.curve === 'inverse' ? 'TMS' : 's'}</span>
+                      <select value={r.action} onChange={(e) => updateRelay(r.id, { action: e.target.value })}
+                        className="bg-slate-800 rounded">
+                        {Object.entries(OVR_ACTIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                      </select>
+                      <button onClick={() => setOvr({ ...ovr, relays: ovr.relays.filter(r2 => r2.id !== r.id) })}
+                        className="ml-auto text-slate-400 hover:text-red-400">✕</button>
+                    </div>
+                  ))}
+                </div>
+                <button onClick={addRelay} disabled={ovrTargets.length === 0}
+                  className="mt-1 w-full bg-slate-600 hover:bg-slate-500 rounded disabled:opacity-40">＋ OVR を追加</button>
+                <div className="text-slate-400 mt-0.5">
+                  分離後の VL が動作値以上の状態が続くと対象を開放（コンデンサ・ケーブル）または投入（分路リアクトル）。
+                  定限時は設定時間、反限時は t = TMS / (VL/動作値 − 1) で動作（開放で Bc が減少）
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="mt-2 flex items-center gap-2 text-[10px]">
+            <select
+              value={simSettings.method}
+              onChange={(e) => setSimSettings({ ...simSettings, method: e.target.value })}
+              className="bg-slate-700 rounded px-1"
+            >
+              <option value="rk4">RK4（固定刻み）</option>
+              <option value="adaptive">適応刻み（DP45）</option>
+            </select>
+            <label className="text-slate-400">
+              Δt
+              <input
+                type="number"
+                value={simSettings.dt}
+                step="0.005"
+                min={SETTING_RANGES.dt.min}
+                max={SETTING_RANGES.dt.max}
+                onChange={(e) => {
+                  const dt = parseFloat(e.target.value);
+                  if (dt >= SETTING_RANGES.dt.min && dt <= SETTING_RANGES.dt.max) setSimSettings({ ...simSettings, dt });
+                }}
+                className="w-14 ml-1 bg-slate-700 rounded px-1 text-right"
+              />
+              s
+            </label>
           </div>
 
           <button onClick={runSimulation}
-            className="mt-3 w-full bg-blue-600 hover:bg-blue-700 py-2 rounded text-sm font-medium">
+            className="mt-2 w-full bg-blue-600 hover:bg-blue-700 py-2 rounded text-sm font-medium">
             ▶ 時間応答シミュレーション
           </button>
         </div>
       </div>
 
       {/* 時間応答グラフ */}
-      {timeData.length > 0 && (
+      {timeData.length > 0 && simResult && (
         <div className="mt-3 flex justify-center">
           <div className="bg-slate-800 rounded-lg p-2">
             <h2 className="text-sm font-semibold mb-1 text-center">
-              時間応答（t=0.5sで系統分離）
+              時間応答（{simEvents.length > 0 ? simEvents.map((ev, i) => `${eventMark(i)} ${ev.t}s ${formatEvent(ev, systemConfig.elements)}`).join(' → ') : '系統分離なし'}）
             </h2>
-            <svg width={tgW} height={tgH}>
-              <rect x={tgM.left} y={tgM.top} width={tgW - tgM.left - tgM.right} height={tgH - tgM.top - tgM.bottom} fill="#0f172a" />
+            <h2 className="text-[10px] text-slate-400 mb-1 text-center">
+              {simSettings.method === 'rk4' ? `RK4 Δt=${simSettings.dt}s` : 'Dormand-Prince 適応刻み'}
+            </h2>
+            <svg width={tgW} height={tgH} ref={timeSvgRef}>
+              <rect x={tgM.left} y={tgM.top} width={tgPlotW} height={tgPlotH} fill="#0f172a" />
               
               {/* 基準線 */}
-              <line x1={tgM.left} y1={tgM.top + (tgH - tgM.top - tgM.bottom) * (1 - (1.0 - 0.4) / 2.1)} 
-                x2={tgW - tgM.right} y2={tgM.top + (tgH - tgM.top - tgM.bottom) * (1 - (1.0 - 0.4) / 2.1)} 
-                stroke="#475569" strokeDasharray="3,3" />
-              <line x1={tgM.left} y1={tgM.top + (tgH - tgM.top - tgM.bottom) * (1 - (1.2 - 0.4) / 2.1)} 
-                x2={tgW - tgM.right} y2={tgM.top + (tgH - tgM.top - tgM.bottom) * (1 - (1.2 - 0.4) / 2.1)} 
-                stroke="#f97316" strokeDasharray="2,2" opacity={0.5} />
+              {[0, 1.0].filter(v => v >= tgRange.min && v <= tgRange.max).map(v => (
+                <line key={`ref${v}`} x1={tgM.left} y1={tgToY(v)} x2={tgW - tgM.right} y2={tgToY(v)}
+                  stroke="#475569" strokeDasharray="3,3" />
+              ))}
+              {tgRange.max >= 1.2 && (
+                <line x1={tgM.left} y1={tgToY(1.2)} x2={tgW - tgM.right} y2={tgToY(1.2)}
+                  stroke="#f97316" strokeDasharray="2,2" opacity={0.5} />
+              )}
               
-              {/* 分離時刻 */}
-              <line x1={tgM.left + (tgW - tgM.left - tgM.right) * 0.5 / 8} y1={tgM.top} 
-                x2={tgM.left + (tgW - tgM.left - tgM.right) * 0.5 / 8} y2={tgH - tgM.bottom} 
-                stroke="#f97316" strokeDasharray="4,2" />
-              <text x={tgM.left + (tgW - tgM.left - tgM.right) * 0.5 / 8} y={tgM.top - 5} 
-                fill="#f97316" fontSize="9" textAnchor="middle">分離</text>
+              {/* イベント時刻 */}
+              {simEvents.filter(ev => ev.t <= tgTMax).map((ev, i) => (
+                <g key={`ev${ev.id}`}>
+                  <line x1={tgToX(ev.t)} y1={tgM.top} x2={tgToX(ev.t)} y2={tgH - tgM.bottom}
+                    stroke={ev.action === 'separate' ? '#f97316' : '#94a3b8'} strokeDasharray="4,2" />
+                  <text x={tgToX(ev.t)} y={tgM.top - 5}
+                    fill={ev.action === 'separate' ? '#f97316' : '#cbd5e1'} fontSize="9" textAnchor="middle">{eventMark(i)}</text>
+                </g>
+              ))}
               
-              {/* 電圧波形 */}
-              <path
-                d={timeData.map((d, i) => {
-                  const x = tgM.left + (d.t / 8) * (tgW - tgM.left - tgM.right);
-                  const y = tgM.top + (tgH - tgM.top - tgM.bottom) * (1 - (d.VL - 0.4) / 2.1);
-                  return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
-                }).join(' ')}
-                fill="none" stroke={isStable ? "#22c55e" : "#ef4444"} strokeWidth={2.5} />
+              {/* 波形 */}
+              {TIME_SERIES.map(series => (
+                <path key={series.key}
+                  d={timeData.map((d, i) => `${i === 0 ? 'M' : 'L'} ${tgToX(d.t)} ${tgToY(d[series.key])}`).join(' ')}
+                  fill="none"
+                  stroke={series.key === 'VL' ? (simStable ? "#22c55e" : "#ef4444") : series.color}
+                  strokeWidth={series.key === 'VL' ? 2.5 : 1.2}
+                  strokeDasharray={series.dash} />
+              ))}
+
+              {/* 凡例 */}
+              {TIME_SERIES.map((series, i) => (
+                <text key={`lg${series.key}`} x={tgW - tgM.right + 4} y={tgM.top + 10 + i * 12}
+                  fill={series.key === 'VL' ? (simStable ? "#22c55e" : "#ef4444") : series.color} fontSize="8">
+                  {series.label}
+                </text>
+              ))}
               
               <text x={tgW / 2} y={tgH - 5} fill="#94a3b8" fontSize="9" textAnchor="middle">時間 [s]</text>
-              <text x={8} y={tgH / 2} fill="#94a3b8" fontSize="9" textAnchor="middle" transform={`rotate(-90, 8, ${tgH / 2})`}>VL [p.u.]</text>
+              <text x={8} y={tgH / 2} fill="#94a3b8" fontSize="9" textAnchor="middle" transform={`rotate(-90, 8, ${tgH / 2})`}>[p.u.]</text>
               
-              {[0.6, 1.0, 1.4, 1.8, 2.2].map(v => (
-                <text key={v} x={tgM.left - 5} y={tgM.top + (tgH - tgM.top - tgM.bottom) * (1 - (v - 0.4) / 2.1) + 3} 
-                  fill="#94a3b8" fontSize="8" textAnchor="end">{v}</text>
+              {tgTicks.map(v => (
+                <text key={v} x={tgM.left - 5} y={tgToY(v) + 3} 
+                  fill="#94a3b8" fontSize="8" textAnchor="end">{v.toFixed(1)}</text>
               ))}
-              {[0, 2, 4, 6, 8].map(t => (
-                <text key={t} x={tgM.left + (t / 8) * (tgW - tgM.left - tgM.right)} y={tgH - tgM.bottom + 12} 
+              {[0, 0.25, 0.5, 0.75, 1].map(f => f * tgTMax).map(t => (
+                <text key={t} x={tgToX(t)} y={tgH - tgM.bottom + 12} 
                   fill="#94a3b8" fontSize="8" textAnchor="middle">{t}</text>
               ))}
             </svg>
+            {freqChart && renderFrequencyChart()}
+            {relayLanes.length > 0 && renderRelayChart()}
             
-            <div className={`text-center text-xs mt-1 ${isStable ? 'text-green-400' : 'text-red-400'}`}>
-              {isStable ? `安定収束（k=${kValue.toFixed(2)}の定常過電圧）` : '不安定発散（自己励磁現象）！'}
+            <div className={`text-center text-xs mt-1 ${simStable ? 'text-green-400' : 'text-red-400'}`}>
+              {simResult.diverged
+                ? '不安定発散（自己励磁現象）！ |E\'| が 20 p.u. を超えたため計算打切り'
+                : simStable
+                  ? `安定収束（VL → ${simLast.VL.toFixed(3)} p.u., k=${calculateK(simLast.G, simLast.Bc).toFixed(2)}）`
+                  : simResult.saturated
+                    ? '自己励磁現象！ 発電機の飽和で電圧上昇が頭打ちになり過電圧が持続'
+                    : '不安定発散（自己励磁現象）！'}
+            </div>
+            {simResult.saturated && !simResult.diverged && simSustained && (
+              <div className="text-center text-[10px] text-orange-300">
+                持続電圧 VL ≈ {simSustained.VL.toFixed(3)} p.u.（最後の 1 s の最大値）
+                {simSustained.tReach !== null && `、分離後 ${simSustained.tReach.toFixed(2)} s で上昇分の 90% に到達`}
+              </div>
+            )}
+            <div className="text-center text-[10px] text-slate-400 font-mono">
+              最終状態の固有値 s = {simResult.eigenvalues.real.toFixed(4)}
+              {simResult.eigenvalues.oscillatory && ` ± j${simResult.eigenvalues.imag.toFixed(4)}`}
+              {' '}（時定数 {Math.abs(1 / simResult.eigenvalues.real).toFixed(2)} s）
+            </div>
+            {simResult.trips && simResult.trips.length > 0 && (
+              <div className="text-center text-[10px] text-amber-300">
+                {protectionSegments.map(seg => {
+                  const margin = StabilityCore.stabilityMargin(params, seg.G, seg.Bc);
+                  return `${seg.event.t.toFixed(2)}s ${formatEvent(seg.event, systemConfig.elements)}`
+                    + ` → 境界まで ${(margin.ratio * 100).toFixed(0)}%R${margin.distance < 0 ? '（円内）' : ''}`;
+                }).join(' / ')}
+              </div>
+            )}
+            {protectionLog.length > 0 && (
+              <div className="mt-1 max-h-24 overflow-y-auto">
+                <table className="w-full text-[10px] font-mono">
+                  <thead className="text-slate-400">
+                    <tr><th className="text-right">t [s]</th><th className="text-left pl-2">保護</th><th className="text-left">状態</th><th className="text-right">計測値</th><th className="text-left pl-2">対象</th></tr>
+                  </thead>
+                  <tbody>
+                    {protectionLog.map((entry, i) => {
+                      const relay = entry.kind === 'ovr' ? (simResult.relays || []).find(r => r.id === entry.relay) : null;
+                      const target = relay ? relay.target : entry.target;
+                      const el = systemConfig.elements.find(e => e.id === target);
+                      return (
+                        <tr key={i} className={entry.type === 'trip' ? 'text-red-300' : 'text-slate-300'}>
+                          <td className="text-right">{entry.t.toFixed(3)}</td>
+                          <td className="pl-2">{entry.kind === 'ovr' ? `OVR${entry.relay}` : `UFLS第${entry.stage}段`}</td>
+                          <td>{PROTECTION_LOG_TYPES[entry.type]}</td>
+                          <td className="text-right">{entry.kind === 'ovr' ? `VL=${entry.VL.toFixed(3)}` : `f=${entry.f.toFixed(2)}Hz`}</td>
+                          <td className="pl-2">
+                            {el ? el.name : target}
+                            {entry.type === 'trip' && (relay ? ` ${OVR_ACTIONS[relay.action]}` : ` ${Math.round(entry.fraction * 100)}%遮断`)}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <div className="flex items-center justify-center gap-1 mt-1 text-[10px] text-slate-400">
+              <span>結果:</span>
+              {['csv', 'json'].map(format => (
+                <button key={format} onClick={() => exportSimulation(format)}
+                  className="px-1.5 bg-slate-600 hover:bg-slate-500 rounded text-slate-200">{format.toUpperCase()}</button>
+              ))}
+              <span className="ml-2">図:</span>
+              {['svg', 'png'].map(format => (
+                <button key={format} onClick={() => exportFigure('time', format)}
+                  className="px-1.5 bg-slate-600 hover:bg-slate-500 rounded text-slate-200">{format.toUpperCase()}</button>
+              ))}
             </div>
           </div>
         </div>
       )}
 
+      {/* パラメータスイープ */}
+      <div className="mt-3 max-w-5xl mx-auto bg-slate-800 rounded-lg p-2 text-[10px] text-slate-300">
+        <div className="flex flex-wrap items-center gap-2">
+          <h2 className="text-sm font-semibold text-slate-100">パラメータスイープ</h2>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={sweepSettings.enabled} className="w-3 h-3"
+              onChange={(e) => setSweepSettings({ ...sweepSettings, enabled: e.target.checked })} />
+            有効
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={sweepSettings.overlay} className="w-3 h-3"
+              onChange={(e) => setSweepSettings({ ...sweepSettings, overlay: e.target.checked })} />
+            G-Bc 平面に円の族を重ねる
+          </label>
+        </div>
+        {sweepSettings.axes.map((axis, i) => (
+          <div key={i} className="flex flex-wrap items-center gap-1 mt-1">
+            <span className="w-14">{i === 0 ? '第1（色）' : '第2（線種）'}</span>
+            <select
+              value={axis.key || ''}
+              onChange={(e) => updateSweepAxis(i, { key: e.target.value || null })}
+              className="bg-slate-700 rounded"
+            >
+              {i === 1 && <option value="">なし</option>}
+              {Object.entries(SWEEP_PARAMS)
+                .filter(([key]) => i === 0 || key !== sweepSettings.axes[0].key)
+                .map(([key, def]) => <option key={key} value={key}>{def.label}</option>)}
+            </select>
+            {axis.key && (
+              <>
+                {['from', 'to'].map(field => (
+                  <input key={field} type="number" value={axis[field]} step="0.05"
+                    onChange={(e) => {
+                      const v = parseFloat(e.target.value);
+                      if (Number.isFinite(v)) updateSweepAxis(i, { [field]: v });
+                    }}
+                    className="w-14 bg-slate-700 rounded px-1 text-right" />
+                ))}
+                <span>点数</span>
+                <input type="number" value={axis.steps} min="2" max={i === 0 ? 21 : 6}
+                  onChange={(e) => {
+                    const n = parseInt(e.target.value, 10);
+                    if (Number.isFinite(n)) updateSweepAxis(i, { steps: Math.min(Math.max(n, 2), i === 0 ? 21 : 6) });
+                  }}
+                  className="w-10 bg-slate-700 rounded px-1 text-right" />
+                <span className="text-slate-500">（現在 {sweepCurrentValue(axis.key)}）</span>
+              </>
+            )}
+          </div>
+        ))}
+        {sweepResult && (
+          <>
+            <div className="flex flex-wrap justify-center gap-2 mt-2">
+              {SWEEP_QUANTITIES.map(renderSweepChart)}
+            </div>
+            <div className="flex flex-wrap justify-center gap-3 mt-1 text-slate-400">
+              <span>点の色: {SWEEP_PARAMS[sweepSettings.axes[0].key].label} 小（青）→ 大（赤）</span>
+              <span className="text-amber-400">┆ 現在値</span>
+              {sweepSettings.axes[1].key && sweepResult.map((series, j) => (
+                <span key={j} className="flex items-center gap-1">
+                  <svg width="20" height="6">
+                    <line x1="0" y1="3" x2="20" y2="3" stroke="#e2e8f0" strokeDasharray={SWEEP_DASHES[j % SWEEP_DASHES.length]} />
+                  </svg>
+                  {SWEEP_PARAMS[sweepSettings.axes[1].key].label} = {+series.value.toFixed(3)}
+                </span>
+              ))}
+              {sweepResult.some(series => series.points.some(pt => !pt.valid)) && (
+                <span className="text-yellow-400">入力範囲外（Xd ≤ Xd' など）の点は除外</span>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* モンテカルロ評価 */}
+      <div className="mt-3 max-w-5xl mx-auto bg-slate-800 rounded-lg p-2 text-[10px] text-slate-300">
+        <div className="flex flex-wrap items-center gap-2">
+          <h2 className="text-sm font-semibold text-slate-100">モンテカルロ評価（負荷・コンデンサの不確かさ）</h2>
+          <label className="flex items-center gap-1">
+            標本数
+            <input type="number" value={monteCarlo.samples} min="100" max="20000" step="500"
+              onChange={(e) => {
+                const n = parseInt(e.target.value, 10);
+                if (n >= 100 && n <= 20000) setMonteCarlo({ ...monteCarlo, samples: n });
+              }}
+              className="w-14 bg-slate-700 rounded px-1 text-right" />
+          </label>
+          <label className="flex items-center gap-1">
+            乱数の種
+            <input type="number" value={monteCarlo.seed} min="1" step="1"
+              onChange={(e) => {
+                const n = parseInt(e.target.value, 10);
+                if (n >= 1) setMonteCarlo({ ...monteCarlo, seed: n });
+              }}
+              className="w-12 bg-slate-700 rounded px-1 text-right" />
+          </label>
+          <label className="flex items-center gap-1">
+            k の上限
+            <input type="number" value={monteCarlo.kLimit} min="0.5" max="5" step="0.05"
+              onChange={(e) => {
+                const v = parseFloat(e.target.value);
+                if (v >= 0.5 && v <= 5) setMonteCarlo({ ...monteCarlo, kLimit: v });
+              }}
+              className="w-12 bg-slate-700 rounded px-1 text-right" />
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={monteCarlo.overlay} className="w-3 h-3"
+              onChange={(e) => setMonteCarlo({ ...monteCarlo, overlay: e.target.checked })} />
+            G-Bc 平面に標本の OP を重ねる
+          </label>
+          <button onClick={runMonteCarloEvaluation}
+            className="ml-auto px-2 py-0.5 bg-blue-600 hover:bg-blue-500 rounded text-white">▶ 評価</button>
+        </div>
+        <table className="mt-1 w-full">
+          <thead>
+            <tr className="text-slate-400">
+              <th className="text-left font-normal">要素</th>
+              <th className="text-right font-normal">定格</th>
+              <th className="text-left font-normal pl-2">分布（定格に対する倍率）</th>
+              <th className="text-left font-normal">パラメータ</th>
+            </tr>
+          </thead>
+          <tbody>
+            {systemConfig.elements.map(el => {
+              const dist = distributions[el.id];
+              return (
+                <tr key={el.id} className={connected[el.id] ? '' : 'text-slate-500'}>
+                  <td>{el.name}{!connected[el.id] && '（切離中）'}</td>
+                  <td className="text-right font-mono">{el.rating.toFixed(3)}</td>
+                  <td className="pl-2">
+                    <select value={dist.type} onChange={(e) => updateDistribution(el.id, { type: e.target.value })}
+                      className="bg-slate-700 rounded">
+                      {Object.entries(MC_DISTRIBUTIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                  </td>
+                  <td>
+                    {dist.type === 'normal' && (
+                      <span>
+                        標準偏差
+                        <input type="number" value={Math.round(dist.sd * 1000) / 10} min="0" max="100" step="1"
+                          onChange={(e) => {
+                            const v = parseFloat(e.target.value);
+                            if (v >= 0 && v <= 100) updateDistribution(el.id, { sd: v / 100 });
+                          }}
+                          className="w-12 mx-1 bg-slate-700 rounded px-1 text-right" />%
+                      </span>
+                    )}
+                    {dist.type === 'uniform' && (
+                      <span>
+                        {['low', 'high'].map((key, i) => (
+                          <React.Fragment key={key}>
+                            {i > 0 && '〜'}
+                            <input type="number" value={dist[key]} min="0" step="0.05"
+                              onChange={(e) => {
+                                const v = parseFloat(e.target.value);
+                                const next = { ...dist, [key]: v };
+                                if (v >= 0 && next.high > next.low) updateDistribution(el.id, { [key]: v });
+                              }}
+                              className="w-12 mx-1 bg-slate-700 rounded px-1 text-right" />
+                          </React.Fragment>
+                        ))}
+                        倍
+                      </span>
+                    )}
+                    {dist.type === 'histogram' && (
+                      <input type="text" value={histogramDrafts[el.id] ?? formatHistogram(dist.bins)}
+                        onChange={(e) => updateHistogram(el.id, e.target.value)}
+                        title="区間の倍率と重み（例: 0.8-1.0:1, 1.0-1.2:2）"
+                        className={`w-48 bg-slate-700 rounded px-1 font-mono ${parseHistogram(histogramDrafts[el.id] ?? formatHistogram(dist.bins)) ? '' : 'ring-1 ring-red-500'}`} />
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <div className="text-slate-500 mt-0.5">
+          各標本で定格を抽出して G, Bc を縮約し、安定境界円（checkStability）、k（calculateK）、固有値で評価（切離中の要素は OP に影響しません）
+        </div>
+        {mcResult && (
+          <div className={`flex flex-wrap items-start justify-center gap-3 mt-2 ${mcStale ? 'opacity-50' : ''}`}>
+            <table className="font-mono">
+              <tbody>
+                {[
+                  ['不安定（安定境界円の内側）', mcResult.pUnstable, mcResult.ci.unstable, 'text-red-400'],
+                  [`不安定（固有値${hasExciter ? '・励磁系込み' : ''}）`, mcResult.pEigenUnstable, mcResult.ci.eigenUnstable, 'text-red-400'],
+                  [`k > ${mcResult.kLimit}`, mcResult.pKHigh, mcResult.ci.kHigh, 'text-orange-400'],
+                ].map(([label, p, ci, color]) => (
+                  <tr key={label}>
+                    <td className="pr-2 font-sans text-slate-300">P（{label}）</td>
+                    <td className={`text-right ${color}`}>{(p * 100).toFixed(1)}%</td>
+                    <td className="pl-1 text-slate-500">± {(ci * 100).toFixed(1)}%</td>
+                  </tr>
+                ))}
+                <tr>
+                  <td className="pr-2 font-sans text-slate-400">標本数</td>
+                  <td className="text-right">{mcResult.points.length}</td>
+                  <td className="pl-1 font-sans text-slate-500">（± は 95% 信頼区間）</td>
+                </tr>
+              </tbody>
+            </table>
+            {renderKHistogram()}
+            {mcStale && <div className="w-full text-center text-yellow-400">条件が変わりました。▶ 評価で再計算してください</div>}
+          </div>
+        )}
+      </div>
+
+      {/* 負荷プロフィールの再生 */}
+      <div className="mt-3 max-w-5xl mx-auto bg-slate-800 rounded-lg p-2 text-[10px] text-slate-300">
+        <div className="flex flex-wrap items-center gap-2">
+          <h2 className="text-sm font-semibold text-slate-100">負荷プロフィール（分離時刻によるリスク）</h2>
+          <button onClick={() => profileFileRef.current.click()}
+            className="px-2 py-0.5 bg-slate-600 hover:bg-slate-500 rounded">CSV 読込</button>
+          <input ref={profileFileRef} type="file" accept=".csv,.txt" onChange={importLoadProfile} className="hidden" />
+          <button onClick={() => applyProfileText(EXAMPLE_PROFILE_CSV, '例（日負荷）')}
+            className="px-2 py-0.5 bg-slate-600 hover:bg-slate-500 rounded">例を読込</button>
+          <label className="flex items-center gap-1">
+            値
+            <select value={profileSettings.unit} onChange={(e) => setProfileSettings({ ...profileSettings, unit: e.target.value })}
+              className="bg-slate-700 rounded">
+              {Object.entries(PROFILE_UNITS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            k の上限
+            <input type="number" value={profileSettings.kLimit} min="0.5" max="5" step="0.05"
+              onChange={(e) => {
+                const v = parseFloat(e.target.value);
+                if (v >= 0.5 && v <= 5) setProfileSettings({ ...profileSettings, kLimit: v });
+              }}
+              className="w-12 bg-slate-700 rounded px-1 text-right" />
+          </label>
+          <label className="flex items-center gap-1">
+            <input type="checkbox" checked={profileSettings.overlay} className="w-3 h-3"
+              onChange={(e) => setProfileSettings({ ...profileSettings, overlay: e.target.checked })} />
+            G-Bc 平面に OP の軌跡を重ねる
+          </label>
+          {loadProfile && (
+            <button onClick={() => { setLoadProfile(null); setPlayback({ ...playback, playing: false }); }}
+              className="ml-auto text-slate-400 hover:text-red-400">✕ 解除</button>
+          )}
+        </div>
+        {profileMessage && (
+          <div className={`mt-1 ${profileMessage.type === 'error' ? 'text-red-400' : 'text-yellow-400'}`}>
+            {profileMessage.text}
+            {profileMessage.details.length > 0 && (
+              <ul className="list-disc list-inside text-slate-400">
+                {profileMessage.details.map((d, i) => <li key={i}>{d}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+        {!loadProfile && (
+          <div className="text-slate-500 mt-1">
+            1 列目に時刻（時間数 または HH:MM）、以降の列に要素 ID か要素名を見出しとした時系列（24 時間を超えれば週間プロフィール）。
+            列の無い要素は定格のまま。各時刻に分離した場合の OP を現在の接続状態で評価します
+          </div>
+        )}
+        {profileResult && (
+          <>
+            <div className="flex flex-wrap items-center gap-2 mt-1">
+              <span className="text-slate-400">{loadProfile.filename}（{profileResult.points.length} 点、
+                列: {Object.keys(loadProfile.profile.series).map(id => elementById[id]?.name || id).join('・')}）</span>
+              <button onClick={() => setPlayback({ ...playback, playing: !playback.playing })}
+                className="px-2 py-0.5 bg-blue-600 hover:bg-blue-500 rounded text-white">
+                {playback.playing ? '❚❚ 停止' : '▶ 再生'}
+              </button>
+              <input type="range" min="0" max={profileResult.points.length - 1} value={Math.min(playback.index, profileResult.points.length - 1)}
+                onChange={(e) => setPlayback({ ...playback, index: parseInt(e.target.value, 10) })} className="w-40" />
+              <select value={playback.interval} onChange={(e) => setPlayback({ ...playback, interval: parseInt(e.target.value, 10) })}
+                className="bg-slate-700 rounded">
+                {[100, 300, 1000].map(ms => <option key={ms} value={ms}>{ms} ms/点</option>)}
+              </select>
+              <span className="font-mono">
+                {formatProfileTime(profilePoint.t, loadProfile.profile.period)}　G = {profilePoint.G.toFixed(4)}　Bc = {profilePoint.Bc.toFixed(4)}　k = {Number.isFinite(profilePoint.k) ? profilePoint.k.toFixed(3) : '∞'}
+              </span>
+              <span className={profilePoint.risk ? 'font-bold' : 'text-green-400'}
+                style={profilePoint.risk ? { color: PROFILE_RISKS[profilePoint.risk].color } : undefined}>
+                {profilePoint.risk ? PROFILE_RISKS[profilePoint.risk].label : '安定'}
+              </span>
+            </div>
+            <div className="flex justify-center mt-1">{renderProfileTimeline()}</div>
+            <div className="flex flex-wrap justify-center gap-3 text-slate-400">
+              {Object.entries(PROFILE_RISKS).map(([key, { label, color }]) => (
+                <span key={key} className="flex items-center gap-1">
+                  <span className="inline-block w-3 h-2" style={{ background: color, opacity: 0.6 }} />{label}
+                </span>
+              ))}
+            </div>
+            <div className="mt-1 text-center">
+              {profileResult.periods.length === 0 ? (
+                <span className="text-green-400">どの時刻に分離しても安定で、k は上限以下です</span>
+              ) : profileResult.periods.map((pd, i) => (
+                <span key={i} className="mr-3" style={{ color: PROFILE_RISKS[pd.risk].color }}>
+                  {formatProfileTime(pd.from, loadProfile.profile.period)}〜{formatProfileTime(pd.to, loadProfile.profile.period)} {PROFILE_RISKS[pd.risk].label}
+                </span>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
       {/* 操作ガイド */}
       <div className="mt-3 max-w-3xl mx-auto bg-slate-800 rounded-lg p-2 text-xs text-slate-400">
         <span className="text-amber-400 font-semibold">操作ガイド:</span>
@@ -0,0 +1,504 @@
+/**
+ * 系統データ（MATPOWER / PSS/E RAW）の読込と分離系統の縮約（React非依存）
+ *
+ * ブラウザでは <script> で読み込むと window.NetworkImport として、
+ * Node.js では require('./src/network_import.js') として利用できる。
+ * 分離系統の母線と発電機を選ぶと、系統内の負荷・調相設備・線路充電を G + jBc に集約し、
+ * 発電機母線から見た駆動点インピーダンスが一致するよう等価直列リアクタンス XL を求める。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.NetworkImport = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /**
+   * @typedef {Object} CaseBus 母線（電力は MW / Mvar、1 p.u. 電圧での値）
+   * @property {number} id 母線番号
+   * @property {string} name
+   * @property {number} baseKV
+   * @property {number} Pd 負荷の有効電力
+   * @property {number} Qd 負荷の無効電力（遅れが正）
+   * @property {number} Gs 並列コンダクタンス分の有効電力
+   * @property {number} Bs 並列サセプタンス分の無効電力（進みが正）
+   */
+
+  /**
+   * @typedef {Object} CaseBranch 線路・変圧器（インピーダンスはシステム基準 [p.u.]）
+   * @property {number} from
+   * @property {number} to
+   * @property {number} r
+   * @property {number} x
+   * @property {number} b 全充電サセプタンス（両端に b/2）
+   * @property {number} tap from 側の変圧比（線路は 1）
+   * @property {number} shift 移相角 [deg]
+   * @property {number} [gi] from 端の並列コンダクタンス
+   * @property {number} [bi] from 端の並列サセプタンス
+   * @property {number} [gj] to 端の並列コンダクタンス
+   * @property {number} [bj] to 端の並列サセプタンス
+   */
+
+  /**
+   * @typedef {Object} CaseGenerator 発電機
+   * @property {string} id 表示用の識別子（母線番号と機番）
+   * @property {number} bus
+   * @property {number} Pg [MW]
+   * @property {number} mBase 定格容量 [MVA]
+   */
+
+  /**
+   * @typedef {Object} NetworkCase 読み込んだ系統データ（停止中の設備は除外済み）
+   * @property {'matpower'|'psse'} format
+   * @property {number} baseMVA
+   * @property {CaseBus[]} buses
+   * @property {CaseBranch[]} branches
+   * @property {CaseGenerator[]} generators
+   */
+
+  // ===== 複素数演算（[re, im]）=====
+  const cadd = (a, b) => [a[0] + b[0], a[1] + b[1]];
+  const csub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+  const cmul = (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+  const cdiv = (a, b) => {
+    const d = b[0] * b[0] + b[1] * b[1];
+    return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d];
+  };
+  const cabs = (a) => Math.hypot(a[0], a[1]);
+
+  // ===== MATPOWER =====
+  // 対応する mpc のフィールド（これ以外は警告して無視）
+  const MATPOWER_FIELDS = ['version', 'baseMVA', 'bus', 'gen', 'branch', 'gencost', 'bus_name', 'areas'];
+  // 行列の必要な列数（bus: BUS_I..BASE_KV、gen: GEN_BUS..GEN_STATUS、branch: F_BUS..BR_STATUS）
+  const MATPOWER_COLUMNS = { bus: 10, gen: 8, branch: 11 };
+
+  // mpc.NAME = [ ... ]; の行列を数値の2次元配列に変換する
+  const parseMatrix = (body) => body
+    .split(/[;\n]/)
+    .map(row => row.trim())
+    .filter(row => row !== '')
+    .map(row => row.split(/[\s,]+/).filter(v => v !== '').map(Number));
+
+  /**
+   * MATPOWER 形式（version 2）の .m ファイルを読み込む
+   * @param {string} text
+   * @returns {{network: NetworkCase|null, errors: string[], warnings: string[]}}
+   */
+  const parseMatpower = (text) => {
+    const errors = [];
+    const warnings = [];
+    const src = text.replace(/%[^\n]*/g, '');
+    const fields = {};
+    const re = /mpc\.(\w+)\s*=\s*(\[[\s\S]*?\]|\{[\s\S]*?\}|'[^']*'|[^;\n]+)\s*;?/g;
+    let m;
+    while ((m = re.exec(src))) fields[m[1]] = m[2].trim();
+    if (Object.keys(fields).length === 0) {
+      return { network: null, errors: ['mpc.* の定義が見つかりません（MATPOWER 形式ではありません）'], warnings };
+    }
+    Object.keys(fields).filter(key => !MATPOWER_FIELDS.includes(key)).forEach(key => {
+      warnings.push(`未対応のレコード mpc.${key} を無視しました`);
+    });
+    if (fields.version !== undefined && fields.version.replace(/'/g, '') !== '2') {
+      errors.push(`MATPOWER version ${fields.version} は未対応です（version 2 のみ）`);
+    }
+    const baseMVA = Number(fields.baseMVA);
+    if (!(baseMVA > 0)) errors.push('mpc.baseMVA がありません');
+    const matrices = {};
+    Object.entries(MATPOWER_COLUMNS).forEach(([key, columns]) => {
+      if (fields[key] === undefined || !fields[key].startsWith('[')) {
+        if (key !== 'gen') errors.push(`mpc.${key} がありません`);
+        matrices[key] = [];
+        return;
+      }
+      const rows = parseMatrix(fields[key].slice(1, -1));
+      rows.forEach((row, i) => {
+        if (row.length < columns) errors.push(`mpc.${key} の ${i + 1} 行目の列数が不足しています（${row.length} < ${columns}）`);
+        else if (row.some(v => !Number.isFinite(v))) errors.push(`mpc.${key} の ${i + 1} 行目に数値でない値があります`);
+      });
+      matrices[key] = rows;
+    });
+    if (errors.length > 0) return { network: null, errors, warnings };
+
+    const names = fields.bus_name ? (fields.bus_name.match(/'[^']*'/g) || []).map(s => s.slice(1, -1).trim()) : [];
+    // 母線名は bus 行と同じ順序（孤立母線 type 4 を除く前に対応付ける）
+    const buses = matrices.bus
+      .map((row, i) => ({ row, name: names[i] || `母線${row[0]}` }))
+      .filter(({ row }) => row[1] !== 4)
+      .map(({ row, name }) => ({
+        id: row[0], name, baseKV: row[9], Pd: row[2], Qd: row[3], Gs: row[4], Bs: row[5],
+      }));
+    const generators = matrices.gen
+      .filter(row => row[7] > 0)
+      .map((row, i) => ({ id: `${row[0]}-${i + 1}`, bus: row[0], Pg: row[1], mBase: row[6] || baseMVA }));
+    const branches = matrices.branch
+      .filter(row => row[10] > 0)
+      .map(row => ({ from: row[0], to: row[1], r: row[2], x: row[3], b: row[4], tap: row[8] || 1, shift: row[9] }));
+    return { network: { format: 'matpower', baseMVA, buses, branches, generators }, errors, warnings };
+  };
+
+  // ===== PSS/E RAW（Rev.33）=====
+  // 0 で区切られるデータ部の順序（Rev.33）
+  const PSSE_SECTIONS = [
+    'bus', 'load', 'fixedShunt', 'generator', 'branch', 'transformer', 'area', 'twoTerminalDC', 'vscDC',
+    'impedanceCorrection', 'multiTerminalDC', 'multiSectionLine', 'zone', 'interAreaTransfer', 'owner',
+    'facts', 'switchedShunt', 'gne', 'inductionMachine',
+  ];
+  const PSSE_SECTION_LABELS = {
+    twoTerminalDC: '2端子直流', vscDC: 'VSC 直流', multiTerminalDC: '多端子直流', facts: 'FACTS',
+    gne: 'GNE', inductionMachine: '誘導機', impedanceCorrection: 'インピーダンス補正', multiSectionLine: '多区間線路',
+  };
+
+  // 1 行を値の配列に分割（' ' で囲まれた文字列はそのまま、/ 以降はコメント）
+  const splitRawLine = (line) => {
+    const tokens = [];
+    const re = /'([^']*)'|([^,\s/]+)|(\/)/g;
+    let m;
+    while ((m = re.exec(line))) {
+      if (m[3]) break;
+      tokens.push(m[1] !== undefined ? m[1].trim() : m[2]);
+    }
+    return tokens;
+  };
+
+  /**
+   * PSS/E RAW 形式（Rev.33）を読み込む
+   * 2巻線変圧器・固定/開閉式分路（BINIT）まで対応し、直流・FACTS・3巻線変圧器などは警告して無視する
+   * @param {string} text
+   * @returns {{network: NetworkCase|null, errors: string[], warnings: string[]}}
+   */
+  const parsePsseRaw = (text) => {
+    const errors = [];
+    const warnings = [];
+    const lines = text.split(/\r?\n/);
+    const header = splitRawLine(lines[0] || '');
+    const baseMVA = Number(header[1]);
+    const rev = Number(header[2]);
+    if (!(baseMVA > 0)) return { network: null, errors: ['1 行目にシステム基準容量 SBASE がありません（PSS/E RAW 形式ではありません）'], warnings };
+    if (rev !== 33) return { network: null, errors: [`PSS/E RAW Rev.${header[2] || '?'} は未対応です（Rev.33 のみ）`], warnings };
+
+    // データ部ごとのレコード（行の配列）に分ける
+    const sections = Object.fromEntries(PSSE_SECTIONS.map(name => [name, []]));
+    let index = 0;
+    for (let i = 3; i < lines.length && index < PSSE_SECTIONS.length; i++) {
+      const tokens = splitRawLine(lines[i]);
+      if (tokens.length === 0) continue;
+      if (tokens[0] === 'Q') break;
+      if (tokens[0] === '0' && tokens.length === 1) {
+        index += 1;
+        continue;
+      }
+      sections[PSSE_SECTIONS[index]].push({ tokens, line: i + 1 });
+    }
+
+    const num = (rec, k, fallback = 0) => (rec.tokens[k] === undefined || rec.tokens[k] === '' ? fallback : Number(rec.tokens[k]));
+    const badRecord = (label, rec) => errors.push(`${rec.line} 行目: ${label}データを読めません`);
+
+    const busMap = new Map();
+    sections.bus.forEach(rec => {
+      const id = num(rec, 0, NaN);
+      if (!Number.isInteger(id)) return badRecord('母線', rec);
+      if (num(rec, 3, 1) === 4) return;
+      busMap.set(id, { id, name: rec.tokens[1] || `母線${id}`, baseKV: num(rec, 2), Pd: 0, Qd: 0, Gs: 0, Bs: 0 });
+    });
+    const busOf = (rec, k, label) => {
+      const bus = busMap.get(Math.abs(num(rec, k, NaN)));
+      if (!bus) errors.push(`${rec.line} 行目: ${label}の母線 ${rec.tokens[k]} がありません（停止中の母線を含む）`);
+      return bus;
+    };
+
+    // 負荷: 定電力 + 定電流 + 定アドミタンス（1 p.u. 電圧での値。YQ は遅れが負）
+    sections.load.forEach(rec => {
+      if (num(rec, 2, 1) === 0) return;
+      const bus = busOf(rec, 0, '負荷');
+      if (!bus) return;
+      bus.Pd += num(rec, 5) + num(rec, 7) + num(rec, 9);
+      bus.Qd += num(rec, 6) + num(rec, 8) - num(rec, 10);
+    });
+    sections.fixedShunt.forEach(rec => {
+      if (num(rec, 2, 1) === 0) return;
+      const bus = busOf(rec, 0, '固定分路');
+      if (!bus) return;
+      bus.Gs += num(rec, 3);
+      bus.Bs += num(rec, 4);
+    });
+    sections.switchedShunt.forEach(rec => {
+      if (num(rec, 3, 1) === 0) return;
+      const bus = busOf(rec, 0, '開閉式分路');
+      if (bus) bus.Bs += num(rec, 9);
+    });
+
+    const generators = [];
+    sections.generator.forEach(rec => {
+      if (num(rec, 14, 1) === 0) return;
+      const bus = busOf(rec, 0, '発電機');
+      if (!bus) return;
+      if (num(rec, 12) !== 0) warnings.push(`${rec.line} 行目: 発電機の昇圧変圧器（XT）は無視しました（変圧器は枝として入力してください）`);
+      generators.push({ id: `${bus.id}-${rec.tokens[1] || '1'}`, bus: bus.id, Pg: num(rec, 2), mBase: num(rec, 8, baseMVA) || baseMVA });
+    });
+
+    const branches = [];
+    sections.branch.forEach(rec => {
+      if (num(rec, 13, 1) === 0) return;
+      const from = busOf(rec, 0, '線路'), to = busOf(rec, 1, '線路');
+      if (!from || !to) return;
+      const values = [3, 4, 5, 9, 10, 11, 12].map(k => num(rec, k));
+      if (values.some(v => !Number.isFinite(v))) return badRecord('線路', rec);
+      const [r, x, b, gi, bi, gj, bj] = values;
+      branches.push({ from: from.id, to: to.id, r, x, b, tap: 1, shift: 0, gi, bi, gj, bj });
+    });
+
+    // 変圧器: 2巻線は 4 行、3巻線は 5 行で 1 レコード
+    const tr = sections.transformer;
+    for (let i = 0; i < tr.length;) {
+      const rec = tr[i];
+      const threeWinding = num(rec, 2) !== 0;
+      const size = threeWinding ? 5 : 4;
+      if (i + size > tr.length) {
+        badRecord('変圧器', rec);
+        break;
+      }
+      const [, imp, w1, w2] = tr.slice(i, i + size);
+      i += size;
+      if (threeWinding) {
+        warnings.push(`${rec.line} 行目: 3巻線変圧器は未対応のため無視しました`);
+        continue;
+      }
+      if (num(rec, 11, 1) === 0) continue;
+      const from = busOf(rec, 0, '変圧器'), to = busOf(rec, 1, '変圧器');
+      if (!from || !to) continue;
+      const [cw, cz, cm] = [4, 5, 6].map(k => num(rec, k, 1));
+      let r = num(imp, 0), x = num(imp, 1);
+      if (cz === 2) {
+        const sbase = num(imp, 2, baseMVA) || baseMVA;
+        r *= baseMVA / sbase;
+        x *= baseMVA / sbase;
+      } else if (cz !== 1) {
+        warnings.push(`${rec.line} 行目: 変圧器のインピーダンス指定 CZ=${cz} は未対応のため CZ=1 として扱いました`);
+      }
+      // 巻線電圧を各母線の基準電圧に対する比に換算（CW=1: p.u.、CW=2: kV、CW=3: 定格電圧に対する p.u.）
+      const ratio = (w, bus) => {
+        const v = num(w, 0, 1), nom = num(w, 1) || bus.baseKV;
+        if (cw === 2) return bus.baseKV > 0 ? v / bus.baseKV : v;
+        if (cw === 3) return bus.baseKV > 0 ? v * nom / bus.baseKV : v;
+        return v;
+      };
+      const t1 = ratio(w1, from), t2 = ratio(w2, to);
+      // 巻線2 の変圧比をインピーダンス側に移し、from 側の変圧比 t1/t2 の π 形とする
+      const branch = { from: from.id, to: to.id, r: r * t2 * t2, x: x * t2 * t2, b: 0, tap: t1 / t2, shift: num(w1, 2) };
+      if (cm === 1) {
+        branch.gi = num(rec, 7);
+        branch.bi = num(rec, 8);
+      } else if (num(rec, 7) !== 0 || num(rec, 8) !== 0) {
+        warnings.push(`${rec.line} 行目: 変圧器の励磁アドミタンス（CM=${cm}）は無視しました`);
+      }
+      branches.push(branch);
+    }
+
+    Object.entries(PSSE_SECTION_LABELS).forEach(([name, label]) => {
+      if (sections[name].length > 0) warnings.push(`未対応のレコード（${label}データ ${sections[name].length} 件）を無視しました`);
+    });
+    if (busMap.size === 0) errors.push('母線データがありません');
+    if (errors.length > 0) return { network: null, errors, warnings };
+    return { network: { format: 'psse', baseMVA, buses: [...busMap.values()], branches, generators }, errors, warnings };
+  };
+
+  /**
+   * 形式を判定して読み込む（mpc.* を含めば MATPOWER、それ以外は PSS/E RAW）
+   * @param {string} text
+   * @param {string} [filename] 拡張子 .m / .raw があれば優先して判定
+   * @returns {{network: NetworkCase|null, errors: string[], warnings: string[]}}
+   */
+  const parseNetworkCase = (text, filename = '') => {
+    if (/\.m$/i.test(filename) || (!/\.raw$/i.test(filename) && /mpc\.\w+\s*=/.test(text))) return parseMatpower(text);
+    return parsePsseRaw(text);
+  };
+
+  /**
+   * @typedef {Object} IslandEquivalent 分離系統の縮約結果（[p.u.]、発電機の定格容量基準・1 p.u. 電圧）
+   * @property {number} base 換算の基準容量 [MVA]（発電機母線の発電機の mBase の合計）
+   * @property {number} G 系統内の負荷・並列コンダクタンスの合計
+   * @property {number} Bc 系統内の調相設備・線路充電・負荷無効電力の正味の合計（進みが正）
+   * @property {number} XL 等価直列リアクタンス
+   * @property {number} R 等価直列抵抗（G-Bc 平面の解析では無視）
+   * @property {{r: number, x: number}} Zin 発電機母線から見た駆動点インピーダンス
+   * @property {number} lineCharging 線路充電・変圧器励磁の正味の無効電力（進みが正）
+   * @property {number} lineLoss 枝の並列コンダクタンス（変圧器の鉄損など）の合計
+   * @property {CaseBus[]} buses 選択した母線
+   * @property {number} ties 分離で開放される連系線の数
+   */
+
+  /**
+   * 分離系統の縮約
+   * 系統内の母線アドミタンス行列（負荷は 1 p.u. 電圧での定インピーダンス）から発電機母線の駆動点
+   * インピーダンス Zin を求め、並列分の合計 Y = G + jBc を負荷端に集約したときに
+   * jXL + 1/Y が Zin に一致するよう XL = Im(Zin - 1/Y) とする。
+   * 発電機定数（Xd など）と同じ基準にするため、結果は発電機母線の mBase 基準に換算する
+   * @param {NetworkCase} network
+   * @param {number[]} busIds 分離系統を構成する母線番号
+   * @param {number} generatorBus 分離系統内の発電機母線
+   * @returns {{equivalent: IslandEquivalent|null, errors: string[], warnings: string[]}}
+   */
+  const reduceIsland = (network, busIds, generatorBus) => {
+    const errors = [];
+    const warnings = [];
+    const ids = new Set(busIds);
+    const buses = network.buses.filter(bus => ids.has(bus.id));
+    if (buses.length === 0) return { equivalent: null, errors: ['分離系統の母線を選択してください'], warnings };
+    if (!ids.has(generatorBus) || !network.generators.some(gen => gen.bus === generatorBus)) {
+      return { equivalent: null, errors: [`母線 ${generatorBus} は選択した母線内の発電機母線ではありません`], warnings };
+    }
+    const index = new Map(buses.map((bus, i) => [bus.id, i]));
+    const n = buses.length;
+    const base = network.baseMVA;
+    const Y = Array.from({ length: n }, () => Array.from({ length: n }, () => [0, 0]));
+    const adjacency = Array.from({ length: n }, () => []);
+    let lineCharging = 0, lineLoss = 0;
+    let ties = 0;
+
+    network.branches.forEach((br, k) => {
+      const inFrom = index.has(br.from), inTo = index.has(br.to);
+      if (inFrom !== inTo) ties += 1;
+      if (!inFrom || !inTo) return;
+      const i = index.get(br.from), j = index.get(br.to);
+      adjacency[i].push(j);
+      adjacency[j].push(i);
+      // r = x = 0 の直結はアドミタンスが無限大になるため扱えない
+      if (Math.hypot(br.r, br.x) < 1e-12) {
+        errors.push(`ブランチ ${k + 1}（母線 ${br.from}–${br.to}）のインピーダンスが 0 です（両端の母線を1つにまとめてください）`);
+        return;
+      }
+      // π 形等価回路（変圧比 t∠θ は from 側）
+      const ys = cdiv([1, 0], [br.r, br.x]);
+      const th = br.shift * Math.PI / 180;
+      const t = [br.tap * Math.cos(th), br.tap * Math.sin(th)];
+      const tConj = [t[0], -t[1]];
+      const shI = [br.gi || 0, (br.bi || 0) + br.b / 2];
+      const shJ = [br.gj || 0, (br.bj || 0) + br.b / 2];
+      Y[i][i] = cadd(Y[i][i], cdiv(cadd(ys, shI), [br.tap * br.tap, 0]));
+      Y[j][j] = cadd(Y[j][j], cadd(ys, shJ));
+      Y[i][j] = csub(Y[i][j], cdiv(ys, tConj));
+      Y[j][i] = csub(Y[j][i], cdiv(ys, t));
+      lineCharging += shI[1] / (br.tap * br.tap) + shJ[1];
+      lineLoss += shI[0] / (br.tap * br.tap) + shJ[0];
+    });
+
+    // 負荷と並列分（G = P/V²、B = (Bs - Qd)/V²）
+    let G = lineLoss, Bc = lineCharging;
+    buses.forEach((bus, i) => {
+      const g = (bus.Pd + bus.Gs) / base, b = (bus.Bs - bus.Qd) / base;
+      Y[i][i] = cadd(Y[i][i], [g, b]);
+      G += g;
+      Bc += b;
+    });
+
+    // 発電機母線から到達できない母線は別の系統
+    const reached = new Set([index.get(generatorBus)]);
+    const stack = [index.get(generatorBus)];
+    while (stack.length > 0) {
+      adjacency[stack.pop()].forEach(k => {
+        if (!reached.has(k)) {
+          reached.add(k);
+          stack.push(k);
+        }
+      });
+    }
+    const isolated = buses.filter((_, i) => !reached.has(i));
+    if (isolated.length > 0) {
+      errors.push(`発電機母線と接続されていない母線があります: ${isolated.map(bus => bus.id).join(', ')}`);
+    }
+    const sources = buses.filter(bus => bus.Pd + bus.Gs < 0);
+    if (sources.length > 0) {
+      errors.push(`有効電力負荷が負の母線があります（発電機以外の電源は未対応）: ${sources.map(bus => bus.id).join(', ')}`);
+    }
+    if (errors.length > 0) return { equivalent: null, errors, warnings };
+    const others = network.generators.filter(gen => ids.has(gen.bus) && gen.bus !== generatorBus);
+    if (others.length > 0) {
+      warnings.push(`選択した発電機以外の発電機（${others.map(gen => gen.id).join(', ')}）は縮約に含めていません（複数発電機で設定してください）`);
+    }
+
+    // Y v = e_g を複素ガウス消去（部分ピボット）で解き、Zin = v_g
+    const g0 = index.get(generatorBus);
+    const M = Y.map((row, i) => [...row.map(v => [...v]), [i === g0 ? 1 : 0, 0]]);
+    for (let c = 0; c < n; c++) {
+      let p = c;
+      for (let r = c + 1; r < n; r++) if (cabs(M[r][c]) > cabs(M[p][c])) p = r;
+      if (cabs(M[p][c]) < 1e-12) return { equivalent: null, errors: ['母線アドミタンス行列が特異です（分離系統に並列要素がありません）'], warnings };
+      [M[c], M[p]] = [M[p], M[c]];
+      for (let r = c + 1; r < n; r++) {
+        const f = cdiv(M[r][c], M[c][c]);
+        for (let k = c; k <= n; k++) M[r][k] = csub(M[r][k], cmul(f, M[c][k]));
+      }
+    }
+    const v = Array(n).fill(null);
+    for (let r = n - 1; r >= 0; r--) {
+      let acc = M[r][n];
+      for (let k = r + 1; k < n; k++) acc = csub(acc, cmul(M[r][k], v[k]));
+      v[r] = cdiv(acc, M[r][r]);
+    }
+    const Zin = v[g0];
+
+    if (Math.hypot(G, Bc) < 1e-9) return { equivalent: null, errors: ['分離系統の並列アドミタンスの合計が 0 です'], warnings };
+    const Zs = csub(Zin, cdiv([1, 0], [G, Bc]));
+
+    // システム基準 → mBase 基準: アドミタンスは baseMVA/mBase 倍、インピーダンスは mBase/baseMVA 倍
+    const mBase = network.generators.filter(gen => gen.bus === generatorBus).reduce((sum, gen) => sum + gen.mBase, 0);
+    const f = base / mBase;
+    if (Math.abs(f - 1) > 1e-9) {
+      warnings.push(`G, Bc, XL を発電機の定格容量 ${mBase} MVA 基準に換算しました（システム基準 ${base} MVA）`);
+    }
+    return {
+      equivalent: {
+        base: mBase,
+        G: G * f,
+        Bc: Bc * f,
+        XL: Zs[1] / f,
+        R: Zs[0] / f,
+        Zin: { r: Zin[0] / f, x: Zin[1] / f },
+        lineCharging: lineCharging * f,
+        lineLoss: lineLoss * f,
+        buses,
+        ties,
+      },
+      errors: [],
+      warnings,
+    };
+  };
+
+  /**
+   * 縮約結果を系統構成要素（NetworkElement[]）に変換する
+   * 母線ごとに負荷（P + 並列コンダクタンス）、負荷無効電力、調相設備を、系統全体の線路充電を1要素とし、
+   * 母線名をグループ名にする。要素の合計は equivalent の G, Bc に一致する
+   * @param {IslandEquivalent} equivalent
+   * @returns {Object[]} NetworkElement の配列（定格は equivalent.base 基準の [p.u.]）
+   */
+  const islandElements = (equivalent) => {
+    const baseMVA = equivalent.base;
+    const elements = [];
+    const shunt = (id, name, group, q) => {
+      if (Math.abs(q) < 1e-9) return;
+      elements.push({ id, name, type: q > 0 ? 'capacitor' : 'reactor', group, rating: Math.abs(q) });
+    };
+    equivalent.buses.forEach(bus => {
+      const P = (bus.Pd + bus.Gs) / baseMVA;
+      if (Math.abs(P) > 1e-9) elements.push({ id: `b${bus.id}_load`, name: `${bus.name} 負荷`, type: 'load', group: bus.name, rating: P, model: 'Z' });
+      shunt(`b${bus.id}_q`, `${bus.name} 負荷無効電力`, bus.name, -bus.Qd / baseMVA);
+      shunt(`b${bus.id}_sh`, `${bus.name} 調相設備`, bus.name, bus.Bs / baseMVA);
+    });
+    if (equivalent.lineLoss > 1e-9) {
+      elements.push({ id: 'line_loss', name: '変圧器励磁損など', type: 'load', group: '', rating: equivalent.lineLoss, model: 'Z' });
+    }
+    if (equivalent.lineCharging > 1e-9) {
+      elements.push({ id: 'line_charging', name: '線路充電', type: 'cable', group: '', rating: equivalent.lineCharging });
+    } else {
+      shunt('line_charging', '線路充電（正味）', '', equivalent.lineCharging);
+    }
+    return elements;
+  };
+
+  return {
+    parseMatpower,
+    parsePsseRaw,
+    parseNetworkCase,
+    reduceIsland,
+    islandElements,
+  };
+}));
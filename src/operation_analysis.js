@@ -0,0 +1,246 @@
+/**
+ * 運用解析（React非依存）: 開閉計画の探索、定格の不確かさのモンテカルロ評価、負荷プロフィールの評価
+ *
+ * ブラウザでは <script> で読み込むと window.OperationAnalysis として、
+ * Node.js では require('./src/operation_analysis.js') として利用できる（StabilityCore に依存）。
+ * 系統構成を変えた多数の運転点を、呼び出し側が与える縮約関数 reduce と評価関数 evaluate で判定する。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./stability_core.js'));
+  else root.OperationAnalysis = factory(root.StabilityCore);
+}(typeof self !== 'undefined' ? self : this, function (StabilityCore) {
+  'use strict';
+
+  const { reduceNetwork } = StabilityCore;
+
+  // ===== 開閉計画の探索 =====
+  // 全組合せを評価する要素数の上限（超える場合は操作回数 3 以下の組合せに限定）
+  const PLAN_FULL_SEARCH_LIMIT = 12;
+
+  /**
+   * 要素の開閉の組合せを評価し、条件を満たす計画を順位付けして返す
+   * evaluate(G, Bc) は { stable, k, eigenvalues, margin } を返す関数、reduce(state) は接続状態から運転点を求める関数
+   * shedMW は現在接続中で開放する負荷の合計、ops は状態を変える開閉器の数
+   * @param {Object} options
+   * @param {Object} options.systemConfig
+   * @param {Object<string, boolean>} options.connected 現在の接続状態
+   * @param {string} options.objective 'shed'（遮断負荷 MW 最小）| 'ops'（操作回数最小）
+   * @param {number} options.kMin
+   * @param {number} options.kMax
+   * @param {boolean} options.requireStable
+   * @param {boolean} options.allowClose 開放中の要素の投入を含める
+   * @returns {Object[]} 計画 { connected, changes, G, Bc, shedMW, ops, ...evaluate の結果 }（最大 limit 件）
+   */
+  const searchSwitchingPlans = ({
+    systemConfig, connected, evaluate, objective, kMin, kMax, requireStable, allowClose, limit = 8,
+    reduce = (state) => reduceNetwork(systemConfig, state),
+  }) => {
+    const ids = systemConfig.elements.map(el => el.id);
+    const maxOps = ids.length <= PLAN_FULL_SEARCH_LIMIT ? ids.length : 3;
+    const plans = [];
+
+    const visit = (start, changes) => {
+      const state = { ...connected };
+      changes.forEach(id => { state[id] = !connected[id]; });
+
+      if (allowClose || !changes.some(id => state[id])) {
+        const { G, Bc } = reduce(state);
+        const result = evaluate(G, Bc);
+        if ((!requireStable || result.stable) && result.k >= kMin && result.k <= kMax) {
+          const shedP = systemConfig.elements
+            .filter(el => el.type === 'load' && changes.includes(el.id) && !state[el.id])
+            .reduce((sum, el) => sum + el.rating, 0);
+          plans.push({ connected: state, changes, G, Bc, ...result, shedMW: shedP * systemConfig.S_base, ops: changes.length });
+        }
+      }
+      if (changes.length === maxOps) return;
+      for (let i = start; i < ids.length; i++) visit(i + 1, [...changes, ids[i]]);
+    };
+    visit(0, []);
+
+    const primary = objective === 'shed' ? ['shedMW', 'ops'] : ['ops', 'shedMW'];
+    return plans
+      .sort((a, b) => (a[primary[0]] - b[primary[0]]) || (a[primary[1]] - b[primary[1]]) || (b.margin - a.margin))
+      .slice(0, limit);
+  };
+
+
+  // ===== モンテカルロ評価 =====
+  // ヒストグラムの書式: "0.8-1.0:1, 1.0-1.2:2"（区間の倍率と重み）
+  const formatHistogram = (bins) => bins.map(b => `${b.from}-${b.to}:${b.weight}`).join(', ');
+
+  // 書式が不正、または重みがすべて 0 なら null
+  const parseHistogram = (text) => {
+    const bins = text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      const m = part.match(/^([0-9.]+)\s*-\s*([0-9.]+)\s*:\s*([0-9.]+)$/);
+      return m && { from: parseFloat(m[1]), to: parseFloat(m[2]), weight: parseFloat(m[3]) };
+    });
+    const valid = bins.length > 0 && bins.every(b => b && b.to > b.from && b.weight >= 0)
+      && bins.some(b => b.weight > 0);
+    return valid ? bins : null;
+  };
+
+  // 再現性のため乱数は種から生成（mulberry32）
+  const createRandom = (seed) => {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  };
+
+  // 分布から倍率を1つ抽出（正規分布は Box-Muller 法）
+  const sampleFactor = (dist, random) => {
+    if (!dist || dist.type === 'fixed') return 1;
+    if (dist.type === 'uniform') return Math.max(0, dist.low + (dist.high - dist.low) * random());
+    if (dist.type === 'histogram') {
+      const total = dist.bins.reduce((sum, b) => sum + b.weight, 0);
+      let u = random() * total;
+      const bin = dist.bins.find(b => (u -= b.weight) < 0) || dist.bins[dist.bins.length - 1];
+      return bin.from + (bin.to - bin.from) * random();
+    }
+    const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    return Math.max(0, 1 + dist.sd * z);
+  };
+
+  /**
+   * 要素の定格を分布に従って抽出し、各標本の運転点を評価する
+   * reduce(systemConfig) は運転点 { G, Bc }、evaluate(g, bc) は { stable, k, eigenvalues } を返す関数
+   * 確率には 95% 信頼区間の半幅（正規近似）を添える
+   * @param {Object} options
+   * @param {Object} options.systemConfig
+   * @param {Object<string, Object>} options.distributions 要素 id → 分布 { type, sd, low, high, bins }（無い要素は定格のまま）
+   * @param {number} options.samples
+   * @param {number} options.seed 乱数の種（同じ種なら同じ標本列）
+   * @param {number} options.kLimit
+   * @returns {{points: Object[], pUnstable: number, pEigenUnstable: number, pKHigh: number,
+   *           ci: {unstable: number, eigenUnstable: number, kHigh: number}, kLimit: number}}
+   */
+  const runMonteCarlo = ({ systemConfig, distributions, samples, seed, kLimit, reduce, evaluate }) => {
+    const random = createRandom(seed);
+    const points = Array.from({ length: samples }, () => {
+      const elements = systemConfig.elements.map(el => ({ ...el, rating: el.rating * sampleFactor(distributions[el.id], random) }));
+      const { G, Bc } = reduce({ ...systemConfig, elements });
+      const { stable, k, eigenvalues } = evaluate(G, Bc);
+      return { G, Bc, stable, k, eigenStable: eigenvalues.stable, real: eigenvalues.real };
+    });
+    const probability = (count) => count / samples;
+    const halfWidth = (p) => 1.96 * Math.sqrt(p * (1 - p) / samples);
+    const pUnstable = probability(points.filter(pt => !pt.stable).length);
+    const pEigenUnstable = probability(points.filter(pt => !pt.eigenStable).length);
+    const pKHigh = probability(points.filter(pt => pt.k > kLimit).length);
+    return {
+      points, pUnstable, pEigenUnstable, pKHigh, kLimit,
+      ci: { unstable: halfWidth(pUnstable), eigenUnstable: halfWidth(pEigenUnstable), kHigh: halfWidth(pKHigh) },
+    };
+  };
+
+
+  // ===== 負荷プロフィールの再生 =====
+  // CSV: 1 列目は時刻（時間数 または HH:MM）、2 列目以降は要素 ID か要素名を見出しとする時系列
+  // 値は定格に対する倍率（ratio）または定格値そのもの [p.u.]（rating）。列の無い要素は定格のまま
+  // 時刻のセル: 時間数（12.5）または HH:MM（12:30）。読めなければ null
+  const parseProfileTime = (cell) => {
+    const m = cell.match(/^(\d+):(\d{2})$/);
+    if (m) return parseInt(m[1], 10) + parseInt(m[2], 10) / 60;
+    const v = Number(cell);
+    return cell !== '' && Number.isFinite(v) ? v : null;
+  };
+
+  /**
+   * 負荷プロフィール CSV の解析
+   * 24 時間を超える時刻があれば週間（168 時間）、それ以外は日間（24 時間）のプロフィールとする
+   * @param {string} text
+   * @param {{id: string, name: string}[]} elements 見出しと照合する要素一覧
+   * @returns {{profile: {times: number[], series: Object<string, number[]>, period: number}|null, errors: string[], warnings: string[]}}
+   */
+  const parseLoadProfile = (text, elements) => {
+    const errors = [];
+    const warnings = [];
+    const rows = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'))
+      .map(line => line.split(/[,\t]/).map(cell => cell.trim()));
+    if (rows.length < 3) return { profile: null, errors: ['見出し行と 2 行以上のデータが必要です'], warnings };
+
+    const columns = rows[0].slice(1).map(name => {
+      const el = elements.find(e => e.id === name) || elements.find(e => e.name === name);
+      if (!el) warnings.push(`列「${name}」に対応する要素が無いため無視しました`);
+      return el ? el.id : null;
+    });
+    if (columns.every(id => id === null)) errors.push('要素に対応する列がありません');
+
+    const times = [];
+    const series = Object.fromEntries(columns.filter(Boolean).map(id => [id, []]));
+    rows.slice(1).forEach((row, i) => {
+      const line = i + 2;
+      const t = parseProfileTime(row[0]);
+      if (t === null || t < 0) errors.push(`${line} 行目: 時刻「${row[0]}」が不正です`);
+      else if (times.length > 0 && t <= times[times.length - 1]) errors.push(`${line} 行目: 時刻が増加していません`);
+      times.push(t);
+      columns.forEach((id, j) => {
+        if (!id) return;
+        const v = Number(row[j + 1]);
+        if (row[j + 1] === undefined || row[j + 1] === '' || !Number.isFinite(v) || v < 0) {
+          errors.push(`${line} 行目: ${id} の値「${row[j + 1] ?? ''}」が不正です`);
+        }
+        series[id].push(v);
+      });
+    });
+    if (errors.length > 0) return { profile: null, errors: errors.slice(0, 10), warnings };
+    const period = times[times.length - 1] > 24 ? 168 : 24;
+    if (times[times.length - 1] > 168) warnings.push('168 時間を超える時刻があります（週間プロフィールとして表示）');
+    return { profile: { times, series, period }, errors, warnings };
+  };
+
+  // 時刻の表示（週間プロフィールは日数を付ける）
+  const formatProfileTime = (t, period) => {
+    const minutes = Math.round(t * 60);
+    const mm = String(minutes % 60).padStart(2, '0');
+    if (period <= 24) return `${Math.floor(minutes / 60)}:${mm}`;
+    return `${Math.floor(minutes / 1440) + 1}日目 ${Math.floor((minutes % 1440) / 60)}:${mm}`;
+  };
+
+  /**
+   * プロフィールの各時刻で分離した場合の運転点を評価する
+   * reduce(systemConfig) は運転点 { G, Bc }、evaluate(g, bc) は { stable, k } を返す関数
+   * k が kLimit を超える時刻を過電圧のおそれありとする
+   * @returns {{points: Object[], periods: {from: number, to: number, risk: string}[]}}
+   *          periods は不安定（'unstable'）・過電圧（'overvoltage'）が続く区間
+   */
+  const evaluateProfile = ({ profile, unit, systemConfig, reduce, evaluate, kLimit }) => {
+    const points = profile.times.map((t, i) => {
+      const elements = systemConfig.elements.map(el => {
+        const values = profile.series[el.id];
+        if (!values) return el;
+        return { ...el, rating: unit === 'ratio' ? el.rating * values[i] : values[i] };
+      });
+      const { G, Bc } = reduce({ ...systemConfig, elements });
+      const { stable, k } = evaluate(G, Bc);
+      return { t, G, Bc, stable, k, risk: !stable ? 'unstable' : k > kLimit ? 'overvoltage' : null };
+    });
+    // 同じ判定が続く区間にまとめる（区間の終わりは次の時刻）
+    const periods = [];
+    points.forEach((pt, i) => {
+      const to = i + 1 < points.length ? points[i + 1].t : pt.t;
+      const last = periods[periods.length - 1];
+      if (!pt.risk) return;
+      if (last && last.risk === pt.risk && last.to === pt.t) last.to = to;
+      else periods.push({ from: pt.t, to, risk: pt.risk });
+    });
+    return { points, periods };
+  };
+
+
+  return {
+    PLAN_FULL_SEARCH_LIMIT,
+    searchSwitchingPlans,
+    formatHistogram,
+    parseHistogram,
+    runMonteCarlo,
+    parseLoadProfile,
+    formatProfileTime,
+    evaluateProfile,
+  };
+}));
@@ -0,0 +1,564 @@
+/**
+ * シナリオ（解析条件一式）の項目定義と保存形式（React非依存）
+ *
+ * ブラウザでは <script> で読み込むと window.Scenario として、
+ * Node.js では require('./src/scenario.js') として利用できる（StabilityCore に依存）。
+ * 発電機定数・負荷モデル・励磁系・保護などの入力範囲と既定値を定義し、
+ * 書き出したシナリオ JSON の検査と旧版からの移行、URL ハッシュ用の符号化を行う。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./stability_core.js'));
+  else root.Scenario = factory(root.StabilityCore);
+}(typeof self !== 'undefined' ? self : this, function (StabilityCore) {
+  'use strict';
+
+  const { ELEMENT_TYPES } = StabilityCore;
+
+  // ===== パラメータ入力範囲 =====
+  const PARAM_DEFS = [
+    { key: 'Xd', label: 'Xd（同期リアクタンス）', unit: 'p.u.', min: 0.5, max: 3.0, step: 0.05 },
+    { key: 'Xd_prime', label: "Xd'（過渡リアクタンス）", unit: 'p.u.', min: 0.1, max: 0.6, step: 0.01 },
+    { key: 'XL', label: 'XL（分路リアクトル）', unit: 'p.u.', min: 0.1, max: 10.0, step: 0.1 },
+    { key: 'Td0_prime', label: "Td0'（d軸開路時定数）", unit: 's', min: 0.5, max: 15.0, step: 0.1 },
+    { key: 'Tq0_prime', label: "Tq0'（q軸開路時定数）", unit: 's', min: 0.1, max: 5.0, step: 0.05 },
+  ];
+
+  // パラメータの妥当性検査（キーごとのエラーメッセージを返す）
+  const validateParams = (p) => {
+    const errors = {};
+    PARAM_DEFS.forEach(({ key, min, max }) => {
+      const v = p[key];
+      if (!Number.isFinite(v)) errors[key] = '数値を入力してください';
+      else if (v < min || v > max) errors[key] = `${min}〜${max} の範囲で入力してください`;
+    });
+    if (!errors.Xd && !errors.Xd_prime && p.Xd <= p.Xd_prime) {
+      errors.Xd = "Xd は Xd' より大きくしてください";
+    }
+    return errors;
+  };
+
+  // ===== 負荷の電圧特性 =====
+  // P = P0 (aZ (V/V0)² + aI (V/V0) + aP)、指数モデルは P = P0 (V/V0)^α
+  const LOAD_MODELS = {
+    Z: '定インピーダンス',
+    ZIP: 'ZIP',
+    exp: '指数',
+  };
+
+  const DEFAULT_LOAD_MODEL = { zip: [0.4, 0.3, 0.3], alpha: 1.0 };
+
+  // シナリオ読込時に ZIP係数の合計を 1 とみなす許容差
+  const ZIP_SUM_TOLERANCE = 1e-3;
+
+  // ===== 複数発電機（リアクタンスは自己容量基準）=====
+  const GENERATOR_UNIT_DEFS = [
+    { key: 'rating', label: '容量', unit: 'MVA', min: 1, max: 2000 },
+    { key: 'Xd', label: 'Xd', unit: 'p.u.', min: 0.5, max: 3.0 },
+    { key: 'Xd_prime', label: "Xd'", unit: 'p.u.', min: 0.1, max: 0.6 },
+    { key: 'XT', label: 'XT', unit: 'p.u.', min: 0, max: 0.5 },
+    { key: 'Td0_prime', label: "Td0'", unit: 's', min: 0.5, max: 15.0 },
+    { key: 'Tq0_prime', label: "Tq0'", unit: 's', min: 0.1, max: 5.0 },
+  ];
+
+  const MAX_GENERATOR_UNITS = 4;
+
+  const DEFAULT_GENERATOR_UNITS = [
+    { id: 'gen1', name: '発電機1', rating: 60, Xd: 1.8, Xd_prime: 0.3, XT: 0.1, Td0_prime: 8.0, Tq0_prime: 1.0 },
+    { id: 'gen2', name: '発電機2', rating: 40, Xd: 1.2, Xd_prime: 0.35, XT: 0.1, Td0_prime: 4.5, Tq0_prime: 1.0 },
+  ];
+
+  // 発電機定数の妥当性検査（キーごとのエラーメッセージを返す）
+  const validateGeneratorUnit = (unit) => {
+    const errors = {};
+    GENERATOR_UNIT_DEFS.forEach(({ key, min, max }) => {
+      const v = unit[key];
+      if (!Number.isFinite(v)) errors[key] = '数値を入力してください';
+      else if (v < min || v > max) errors[key] = `${min}〜${max} の範囲で入力してください`;
+    });
+    if (!errors.Xd && !errors.Xd_prime && unit.Xd <= unit.Xd_prime) {
+      errors.Xd = "Xd は Xd' より大きくしてください";
+    }
+    return errors;
+  };
+
+  // 励磁系パラメータの既定値
+  const defaultExciter = (model) => ({
+    model,
+    params: Object.fromEntries(StabilityCore.EXCITER_MODELS[model].params.map(def => [def.key, def.default])),
+  });
+
+  // ===== 発電機の磁気飽和 =====
+  // S(1.0), S(1.2): 無負荷飽和曲線上で E = 1.0, 1.2 p.u. を得るのに必要な界磁の、エアギャップ線に対する増分比
+  const DEFAULT_SATURATION = { enabled: false, S10: 0.1, S12: 0.4 };
+
+  // 飽和係数の検証（キー → エラーメッセージ）
+  const validateSaturation = ({ S10, S12 }) => {
+    const errors = {};
+    if (!Number.isFinite(S10) || S10 <= 0 || S10 > 1) errors.S10 = '0 より大きく 1 以下で入力してください';
+    if (!Number.isFinite(S12) || S12 > 5) errors.S12 = '5 以下で入力してください';
+    else if (!errors.S10 && S12 < 1.2 * S10) errors.S12 = `S(1.0) の 1.2 倍（${(1.2 * S10).toFixed(3)}）以上にしてください`;
+    return errors;
+  };
+
+  // ===== 孤立系の周波数モデル =====
+  const FREQUENCY_PARAM_DEFS = [
+    { key: 'f0', label: '定格周波数', unit: 'Hz', min: 45, max: 65 },
+    { key: 'H', label: 'H（慣性定数）', unit: 's', min: 0.1, max: 20 },
+    { key: 'D', label: 'D（負荷の周波数特性）', unit: 'p.u.', min: 0, max: 5 },
+    { key: 'R', label: 'R（調速機ドループ）', unit: 'p.u.', min: 0.01, max: 0.2 },
+    { key: 'TG', label: 'TG（調速機時定数）', unit: 's', min: 0.1, max: 20 },
+    { key: 'Pm0', label: 'Pm0（分離前の発電機出力）', unit: 'p.u.', min: 0, max: 2 },
+    { key: 'Pmax', label: 'Pmax（調速機の出力上限）', unit: 'p.u.', min: 0, max: 2 },
+  ];
+
+  // UFLS（不足周波数負荷遮断）: 周波数が整定値を下回った状態が遅延時間続くと、対象負荷の定格の fraction を遮断する
+  const DEFAULT_FREQUENCY = {
+    enabled: false, f0: 50, H: 2.0, D: 1.0, R: 0.05, TG: 1.0, Pm0: 0.08, Pmax: 0.10,
+    stages: [
+      { id: 1, threshold: 49.0, delay: 0.2, target: 'load3', fraction: 1.0 },
+      { id: 2, threshold: 48.7, delay: 0.2, target: 'load2', fraction: 0.5 },
+      { id: 3, threshold: 48.4, delay: 0.2, target: 'load1', fraction: 0.5 },
+    ],
+  };
+
+  // ===== 分離前の連系（無限大母線）=====
+  // 分離前は負荷母線が連系線インピーダンス Zt = Rt + jXt を介して無限大母線 Vinf∠0 につながり、
+  // 発電機は端子電圧 Vt・出力 Pg の PV 母線として運転する。分離（separate イベント）で連系線を開放する
+  const TIE_PARAM_DEFS = [
+    { key: 'Rt', label: 'Rt（連系線抵抗）', unit: 'p.u.', min: 0, max: 2 },
+    { key: 'Xt', label: 'Xt（連系線リアクタンス）', unit: 'p.u.', min: 0.001, max: 5 },
+    { key: 'Vinf', label: 'Vinf（無限大母線電圧）', unit: 'p.u.', min: 0.8, max: 1.2 },
+    { key: 'Pg', label: 'Pg（発電機出力）', unit: 'p.u.', min: 0, max: 2 },
+    { key: 'Vt', label: 'Vt（発電機端子電圧）', unit: 'p.u.', min: 0.8, max: 1.2 },
+  ];
+
+  const DEFAULT_TIE = { enabled: false, Rt: 0, Xt: 0.2, Vinf: 1.0, Pg: 0.1, Vt: 1.0 };
+
+  // ===== 過電圧継電器（OVR）=====
+  // 負荷端電圧 VL が整定値 pickup [p.u.] 以上の状態が続くと対象要素を開放（コンデンサ等）または投入（分路リアクトル）する。
+  // 定限時は遅延時間 delay [s]、反限時は t = TMS / (VL/pickup - 1)
+  const OVR_CURVES = {
+    definite: '定限時',
+    inverse: '反限時',
+  };
+
+  const OVR_ACTIONS = {
+    open: '開放',
+    close: '投入',
+  };
+
+  // OVR を設置できる要素（無効電力を調整する要素）
+  const OVR_TARGET_TYPES = ['capacitor', 'reactor', 'cable'];
+
+  const DEFAULT_OVR = {
+    enabled: false,
+    relays: [
+      { id: 1, target: 'cap1', pickup: 1.15, curve: 'definite', delay: 0.3, tms: 0.1, action: 'open' },
+      { id: 2, target: 'cap2', pickup: 1.2, curve: 'inverse', delay: 0.3, tms: 0.1, action: 'open' },
+    ],
+  };
+
+  // OVR の整定の妥当性（不正なら false）
+  const isValidRelay = (r, elements) => {
+    const el = elements.find(e => e.id === r.target);
+    return !!el && OVR_TARGET_TYPES.includes(el.type) && r.pickup > 0 && OVR_CURVES[r.curve] !== undefined
+      && r.delay >= 0 && r.tms > 0 && OVR_ACTIONS[r.action] !== undefined;
+  };
+
+  // ===== スイッチングイベント =====
+  const EVENT_ACTIONS = {
+    separate: '系統分離',
+    open: '開放（遮断・切離）',
+    close: '投入',
+  };
+
+  const DEFAULT_EVENTS = [{ id: 1, t: 0.5, action: 'separate' }];
+
+  // ===== P+Q協調制御の方式 =====
+  const CONTROL_MODES = {
+    P_Q: 'P+Q協調',
+    P: 'Pのみ（負荷遮断）',
+    Q: 'Qのみ（調相）',
+  };
+
+  // 目標 k 制御と時間応答計算の設定範囲（画面の入力欄と読込時の検査で共用）
+  const SETTING_RANGES = {
+    targetK: { label: '目標 k', min: 0.5, max: 1.5 },
+    kTolerance: { label: '目標 k の許容幅', min: 0.01, max: 0.3 },
+    dt: { label: 'シミュレーション刻み Δt', min: 0.001, max: 0.1 },
+    tMax: { label: 'シミュレーション時間', min: 1, max: 60 },
+  };
+
+  const DEFAULT_SIM_SETTINGS = { method: 'rk4', dt: 0.01, tMax: 8 };
+
+  // ===== シナリオの保存形式 =====
+  // version を上げるときは SCENARIO_MIGRATIONS に旧版からの変換を追加する
+  const SCENARIO_FORMAT = 'g-bc-scenario';
+  const SCENARIO_VERSION = 1;
+
+  // 要素一覧化以前の固定構成（systemConfig.P_load1 など）の対応表
+  const LEGACY_ELEMENTS = [
+    { id: 'load1', key: 'P_load1', name: '負荷1（工場）', type: 'load' },
+    { id: 'load2', key: 'P_load2', name: '負荷2（住宅）', type: 'load' },
+    { id: 'load3', key: 'P_load3', name: '負荷3（その他）', type: 'load' },
+    { id: 'cap1', key: 'Qc_cap1', name: 'コンデンサ1', type: 'capacitor' },
+    { id: 'cap2', key: 'Qc_cap2', name: 'コンデンサ2', type: 'capacitor' },
+    { id: 'cable', key: 'Qc_cable', name: 'ケーブル充電', type: 'cable' },
+  ];
+
+  // SCENARIO_MIGRATIONS[n] は version n のシナリオを version n + 1 に変換する
+  // version の無いデータは、アプリの状態をそのまま書き出した version 0 とみなす
+  const SCENARIO_MIGRATIONS = {
+    0: (raw) => {
+      const sc = raw.systemConfig;
+      if (!sc || typeof sc !== 'object' || Array.isArray(sc.elements)) return { ...raw, version: 1 };
+      const { V, S_base, P_adj, Qc_adj } = sc;
+      const elements = LEGACY_ELEMENTS
+        .filter(({ key }) => key in sc)
+        .map(({ id, key, name, type }) => ({ id, name, type, group: '', rating: sc[key] }));
+      return { ...raw, version: 1, systemConfig: { elements, V, S_base, P_adj, Qc_adj } };
+    },
+  };
+
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const finiteOr = (v, fallback) => (Number.isFinite(v) ? v : fallback);
+
+  // 設定値の検査: 範囲外は端の値に丸め、数値でなければ既定値とする（いずれも警告）
+  const rangedSetting = (v, key, fallback, warnings) => {
+    if (v === undefined) return fallback;
+    const { label, min, max } = SETTING_RANGES[key];
+    if (!Number.isFinite(v)) { warnings.push(`${label} が不正のため既定値としました`); return fallback; }
+    const clamped = Math.min(max, Math.max(min, v));
+    if (clamped !== v) warnings.push(`${label} ${v} を ${min}〜${max} の範囲に丸めました`);
+    return clamped;
+  };
+
+  // 要素1件の検査（不正な値は errors に、補完した値は warnings に追加）
+  const validateElement = (el, i, ids, errors, warnings) => {
+    const where = `要素 ${i + 1}`;
+    if (!isObject(el)) { errors.push(`${where}: オブジェクトではありません`); return null; }
+    if (typeof el.id !== 'string' || el.id === '') { errors.push(`${where}: id がありません`); return null; }
+    if (ids.has(el.id)) { errors.push(`${where}: id「${el.id}」が重複しています`); return null; }
+    ids.add(el.id);
+    if (!ELEMENT_TYPES[el.type]) { errors.push(`${where}: 種類「${el.type}」は不明です`); return null; }
+    if (!Number.isFinite(el.rating) || el.rating < 0) { errors.push(`${where}: 定格が不正です`); return null; }
+
+    const next = {
+      id: el.id,
+      name: typeof el.name === 'string' ? el.name : el.id,
+      type: el.type,
+      group: typeof el.group === 'string' ? el.group : '',
+      rating: el.rating,
+    };
+    if (el.type !== 'load') return next;
+
+    next.model = LOAD_MODELS[el.model] ? el.model : 'Z';
+    if (el.model !== undefined && next.model !== el.model) warnings.push(`${where}: 負荷モデル「${el.model}」は不明のため定インピーダンスとしました`);
+    if (next.model === 'ZIP') {
+      const valid = Array.isArray(el.zip) && el.zip.length === 3 && el.zip.every(a => Number.isFinite(a) && a >= 0)
+        && el.zip.some(a => a > 0);
+      if (!valid) warnings.push(`${where}: ZIP係数が不正のため既定値としました`);
+      // 合計が 1 でないと基準電圧での消費電力が定格と一致しないため、比率を保って正規化する
+      const zipSum = valid ? el.zip.reduce((sum, a) => sum + a, 0) : 1;
+      if (Math.abs(zipSum - 1) > ZIP_SUM_TOLERANCE) warnings.push(`${where}: ZIP係数の合計 ${zipSum} を 1 に正規化しました`);
+      next.zip = !valid ? DEFAULT_LOAD_MODEL.zip
+        : Math.abs(zipSum - 1) > ZIP_SUM_TOLERANCE ? el.zip.map(a => a / zipSum) : el.zip;
+    }
+    if (next.model === 'exp') {
+      if (!Number.isFinite(el.alpha)) warnings.push(`${where}: 電圧指数が不正のため既定値としました`);
+      next.alpha = finiteOr(el.alpha, DEFAULT_LOAD_MODEL.alpha);
+    }
+    return next;
+  };
+
+  // シミュレーション結果の形式検査（不正なら null）
+  const validateSimulation = (sim) => {
+    if (!isObject(sim) || !Array.isArray(sim.data) || !Array.isArray(sim.segments) || sim.segments.length === 0) return null;
+    const numeric = ['t', 'Ed', 'Eq', 'VL', 'I', 'G', 'Bc'];
+    if (!sim.data.every(row => isObject(row) && numeric.every(key => Number.isFinite(row[key])))) return null;
+    if (!sim.segments.every(seg => isObject(seg) && ['tStart', 'G', 'Bc'].every(key => Number.isFinite(seg[key])))) return null;
+    if (!isObject(sim.eigenvalues) || !Number.isFinite(sim.eigenvalues.real) || !Number.isFinite(sim.eigenvalues.imag)) return null;
+    return {
+      data: sim.data.map(row => ({ ...row, Efd: finiteOr(row.Efd, 1.0), stable: !!row.stable, separated: !!row.separated })),
+      diverged: !!sim.diverged,
+      segments: sim.segments,
+      trips: Array.isArray(sim.trips) ? sim.trips : [],
+      relayLog: Array.isArray(sim.relayLog) ? sim.relayLog : [],
+      eigenvalues: sim.eigenvalues,
+    };
+  };
+
+  /**
+   * シナリオ（読み込んだ JSON）の検査と旧版からの移行
+   * @param {*} raw JSON.parse の結果
+   * @returns {{scenario: Object|null, errors: string[], warnings: string[]}}
+   *          errors が空でなければ scenario は null（読み込まない）
+   */
+  const parseScenario = (raw) => {
+    const errors = [];
+    const warnings = [];
+    if (!isObject(raw)) return { scenario: null, errors: ['シナリオがオブジェクトではありません'], warnings };
+    if (raw.format !== undefined && raw.format !== SCENARIO_FORMAT) {
+      return { scenario: null, errors: [`形式「${raw.format}」はシナリオではありません`], warnings };
+    }
+
+    let data = raw;
+    let version = raw.version === undefined ? 0 : raw.version;
+    if (!Number.isInteger(version) || version < 0) return { scenario: null, errors: [`バージョン「${raw.version}」が不正です`], warnings };
+    if (version > SCENARIO_VERSION) {
+      return { scenario: null, errors: [`バージョン ${version} はこのツール（${SCENARIO_VERSION}）より新しいため読み込めません`], warnings };
+    }
+    if (version < SCENARIO_VERSION) warnings.push(`バージョン ${version} から ${SCENARIO_VERSION} に移行しました`);
+    while (version < SCENARIO_VERSION) {
+      data = SCENARIO_MIGRATIONS[version](data);
+      version = data.version;
+    }
+
+    // 発電機・系統パラメータ
+    const params = {};
+    if (!isObject(data.params)) {
+      errors.push('params がありません');
+    } else {
+      PARAM_DEFS.forEach(({ key }) => { params[key] = data.params[key]; });
+      Object.entries(validateParams(params)).forEach(([key, msg]) => errors.push(`params.${key}: ${msg}`));
+    }
+
+    // 系統構成
+    const sc = data.systemConfig;
+    let systemConfig = null;
+    if (!isObject(sc) || !Array.isArray(sc.elements)) {
+      errors.push('systemConfig.elements がありません');
+    } else {
+      const ids = new Set();
+      const elements = sc.elements.map((el, i) => validateElement(el, i, ids, errors, warnings));
+      if (!(sc.V > 0)) errors.push('systemConfig.V は正の数にしてください');
+      if (sc.S_base !== undefined && !(sc.S_base > 0)) errors.push('systemConfig.S_base は正の数にしてください');
+      systemConfig = {
+        elements,
+        V: sc.V,
+        S_base: finiteOr(sc.S_base, 100),
+        P_adj: finiteOr(sc.P_adj, 0),
+        Qc_adj: finiteOr(sc.Qc_adj, 0),
+      };
+    }
+    if (errors.length > 0) return { scenario: null, errors, warnings };
+
+    // 接続状態（未記載の要素は開放、存在しない要素は無視）
+    const rawConnected = isObject(data.connected) ? data.connected : {};
+    if (!isObject(data.connected)) warnings.push('connected が無いため全要素を開放としました');
+    const connected = Object.fromEntries(systemConfig.elements.map(el => [el.id, rawConnected[el.id] === true]));
+    const unknown = Object.keys(rawConnected).filter(id => !(id in connected));
+    if (unknown.length > 0) warnings.push(`存在しない要素の接続状態を無視しました: ${unknown.join(', ')}`);
+
+    // スイッチングイベント（不正なものは除外）
+    let events = DEFAULT_EVENTS;
+    if (Array.isArray(data.events)) {
+      events = data.events.filter(ev => isObject(ev) && Number.isFinite(ev.t) && ev.t >= 0 && EVENT_ACTIONS[ev.action]
+        && (ev.action === 'separate' || connected[ev.target] !== undefined));
+      if (events.length < data.events.length) warnings.push(`不正なイベント ${data.events.length - events.length} 件を除外しました`);
+      events = events.map((ev, i) => ({ ...ev, id: Number.isInteger(ev.id) ? ev.id : i + 1 }));
+    }
+
+    // 表示・計算設定（未記載は既定値）
+    const s = isObject(data.settings) ? data.settings : {};
+    let exciter = defaultExciter('none');
+    if (isObject(s.exciter) && StabilityCore.EXCITER_MODELS[s.exciter.model]) {
+      exciter = defaultExciter(s.exciter.model);
+      StabilityCore.EXCITER_MODELS[s.exciter.model].params.forEach(({ key, label, min, max }) => {
+        const v = isObject(s.exciter.params) ? s.exciter.params[key] : undefined;
+        if (v === undefined) return;
+        if (Number.isFinite(v) && v >= min && v <= max) exciter.params[key] = v;
+        else warnings.push(`励磁系 ${label} が不正のため既定値としました`);
+      });
+    } else if (s.exciter !== undefined) {
+      warnings.push('励磁系の設定が不正のため「なし」としました');
+    }
+    // 発電機の磁気飽和（不正な係数は既定値）
+    let saturation = DEFAULT_SATURATION;
+    if (isObject(s.saturation)) {
+      const candidate = { S10: finiteOr(s.saturation.S10, DEFAULT_SATURATION.S10), S12: finiteOr(s.saturation.S12, DEFAULT_SATURATION.S12) };
+      if (Object.keys(validateSaturation(candidate)).length === 0) saturation = { enabled: s.saturation.enabled === true, ...candidate };
+      else warnings.push('飽和係数が不正のため既定値としました');
+    } else if (s.saturation !== undefined) {
+      warnings.push('飽和の設定が不正のため既定値としました');
+    }
+    // 複数発電機（不正な発電機は除外）
+    let generators = { enabled: false, units: DEFAULT_GENERATOR_UNITS };
+    if (isObject(data.generators) && Array.isArray(data.generators.units)) {
+      const ids = new Set();
+      const units = data.generators.units.filter(unit => {
+        if (!isObject(unit) || typeof unit.id !== 'string' || ids.has(unit.id)) return false;
+        if (Object.keys(validateGeneratorUnit(unit)).length > 0) return false;
+        ids.add(unit.id);
+        return true;
+      }).slice(0, MAX_GENERATOR_UNITS).map(unit => ({
+        ...Object.fromEntries(GENERATOR_UNIT_DEFS.map(({ key }) => [key, unit[key]])),
+        id: unit.id,
+        name: typeof unit.name === 'string' ? unit.name : unit.id,
+      }));
+      if (units.length < data.generators.units.length) {
+        warnings.push(`不正な発電機 ${data.generators.units.length - units.length} 台を除外しました`);
+      }
+      if (units.length > 0) generators = { enabled: data.generators.enabled === true, units };
+      else warnings.push('有効な発電機が無いため複数発電機の設定は既定値としました');
+    } else if (data.generators !== undefined) {
+      warnings.push('generators の形式が不正のため既定値としました');
+    }
+
+    // 周波数モデルと UFLS（範囲外の定数は既定値、不正な段は除外）
+    let frequency = DEFAULT_FREQUENCY;
+    if (isObject(s.frequency)) {
+      frequency = { ...DEFAULT_FREQUENCY, enabled: s.frequency.enabled === true };
+      FREQUENCY_PARAM_DEFS.forEach(({ key, label, min, max }) => {
+        const v = s.frequency[key];
+        if (v === undefined) return;
+        if (Number.isFinite(v) && v >= min && v <= max) frequency[key] = v;
+        else warnings.push(`周波数モデル ${label} が不正のため既定値としました`);
+      });
+      if (Array.isArray(s.frequency.stages)) {
+        const loads = new Set(systemConfig.elements.filter(el => el.type === 'load').map(el => el.id));
+        frequency.stages = s.frequency.stages
+          .filter(st => isObject(st) && Number.isFinite(st.threshold) && st.delay >= 0 && loads.has(st.target)
+            && st.fraction > 0 && st.fraction <= 1)
+          .map((st, i) => ({ id: Number.isInteger(st.id) ? st.id : i + 1, threshold: st.threshold, delay: st.delay, target: st.target, fraction: st.fraction }));
+        if (frequency.stages.length < s.frequency.stages.length) {
+          warnings.push(`不正な UFLS 段 ${s.frequency.stages.length - frequency.stages.length} 件を除外しました`);
+        }
+      }
+    } else if (s.frequency !== undefined) {
+      warnings.push('周波数モデルの設定が不正のため既定値としました');
+    }
+
+    // 過電圧継電器（不正な整定・対象の継電器は除外）
+    let ovr = DEFAULT_OVR;
+    if (isObject(s.ovr)) {
+      ovr = { enabled: s.ovr.enabled === true, relays: DEFAULT_OVR.relays };
+      if (Array.isArray(s.ovr.relays)) {
+        ovr.relays = s.ovr.relays
+          .filter(r => isObject(r) && isValidRelay({ delay: 0, tms: 0.1, ...r }, systemConfig.elements))
+          .map((r, i) => ({
+            id: Number.isInteger(r.id) ? r.id : i + 1, target: r.target, pickup: r.pickup, curve: r.curve,
+            delay: finiteOr(r.delay, 0.3), tms: finiteOr(r.tms, 0.1), action: r.action,
+          }));
+        if (ovr.relays.length < s.ovr.relays.length) {
+          warnings.push(`不正な OVR ${s.ovr.relays.length - ovr.relays.length} 件を除外しました`);
+        }
+      }
+    } else if (s.ovr !== undefined) {
+      warnings.push('過電圧継電器の設定が不正のため既定値としました');
+    }
+
+    // 分離前の連系（範囲外の定数は既定値）
+    let preSeparation = DEFAULT_TIE;
+    if (isObject(s.preSeparation)) {
+      preSeparation = { ...DEFAULT_TIE, enabled: s.preSeparation.enabled === true };
+      TIE_PARAM_DEFS.forEach(({ key, label, min, max }) => {
+        const v = s.preSeparation[key];
+        if (v === undefined) return;
+        if (Number.isFinite(v) && v >= min && v <= max) preSeparation[key] = v;
+        else warnings.push(`連系線 ${label} が不正のため既定値としました`);
+      });
+    } else if (s.preSeparation !== undefined) {
+      warnings.push('分離前の連系の設定が不正のため既定値としました');
+    }
+
+    const settings = {
+      voltageDependentLoads: s.voltageDependentLoads !== false,
+      exciter,
+      saturation,
+      frequency,
+      preSeparation,
+      ovr,
+      controlMode: CONTROL_MODES[s.controlMode] ? s.controlMode : 'P_Q',
+      targetK: rangedSetting(s.targetK, 'targetK', 1.0, warnings),
+      kTolerance: rangedSetting(s.kTolerance, 'kTolerance', 0.05, warnings),
+      simSettings: DEFAULT_SIM_SETTINGS,
+    };
+    if (isObject(s.simSettings)) {
+      settings.simSettings = {
+        method: s.simSettings.method === 'adaptive' ? 'adaptive' : 'rk4',
+        dt: rangedSetting(s.simSettings.dt, 'dt', DEFAULT_SIM_SETTINGS.dt, warnings),
+        tMax: rangedSetting(s.simSettings.tMax, 'tMax', DEFAULT_SIM_SETTINGS.tMax, warnings),
+      };
+    } else if (s.simSettings !== undefined) {
+      warnings.push('シミュレーションの設定が不正のため既定値としました');
+    }
+
+    let simulation = null;
+    if (data.simulation != null) {
+      simulation = validateSimulation(data.simulation);
+      if (!simulation) warnings.push('シミュレーション結果の形式が不正のため読み込みませんでした');
+    }
+
+    const scenario = {
+      format: SCENARIO_FORMAT,
+      version: SCENARIO_VERSION,
+      name: typeof data.name === 'string' ? data.name : '',
+      savedAt: typeof data.savedAt === 'string' ? data.savedAt : null,
+      params, systemConfig, connected, events, generators, settings, simulation,
+    };
+    return { scenario, errors, warnings };
+  };
+
+  /**
+   * 画面の状態から保存・共有用のシナリオを組み立てる（parseScenario で読み戻せる形）
+   * @param {{name: string, params: Object, systemConfig: Object, connected: Object, events: Array,
+   *          generators: Object, settings: Object}} state
+   * @param {Object|null} [simulation] 併せて保存するシミュレーション結果
+   * @returns {Object} シナリオ
+   */
+  const buildScenario = ({ name, params, systemConfig, connected, events, generators, settings }, simulation = null) => ({
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name, params, systemConfig, connected, events, generators, settings, simulation,
+  });
+
+  // URL ハッシュ用: UTF-8 JSON を base64url に符号化
+  const encodeScenarioHash = (scenario) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(scenario));
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  };
+
+  const decodeScenarioHash = (encoded) => {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+  };
+
+  return {
+    PARAM_DEFS,
+    validateParams,
+    LOAD_MODELS,
+    DEFAULT_LOAD_MODEL,
+    GENERATOR_UNIT_DEFS,
+    MAX_GENERATOR_UNITS,
+    DEFAULT_GENERATOR_UNITS,
+    validateGeneratorUnit,
+    defaultExciter,
+    DEFAULT_SATURATION,
+    validateSaturation,
+    FREQUENCY_PARAM_DEFS,
+    DEFAULT_FREQUENCY,
+    TIE_PARAM_DEFS,
+    DEFAULT_TIE,
+    OVR_CURVES,
+    OVR_ACTIONS,
+    OVR_TARGET_TYPES,
+    DEFAULT_OVR,
+    isValidRelay,
+    EVENT_ACTIONS,
+    DEFAULT_EVENTS,
+    CONTROL_MODES,
+    SETTING_RANGES,
+    DEFAULT_SIM_SETTINGS,
+    SCENARIO_FORMAT,
+    SCENARIO_VERSION,
+    SCENARIO_MIGRATIONS,
+    isObject,
+    parseScenario,
+    buildScenario,
+    encodeScenarioHash,
+    decodeScenarioHash,
+  };
+}));
@@ -0,0 +1,1092 @@
+/**
+ * G-Bc平面解析の計算ライブラリ（React非依存）
+ *
+ * ブラウザでは <script> で読み込むと window.StabilityCore として、
+ * Node.js では require('./src/stability_core.js') として利用できる。
+ * 式番号は docs/theory_analysis.md に対応する。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.StabilityCore = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /**
+   * @typedef {Object} MachineParams 発電機・系統パラメータ
+   * @property {number} Xd 同期リアクタンス [p.u.]
+   * @property {number} Xd_prime 過渡リアクタンス [p.u.]
+   * @property {number} XL 分路リアクトル [p.u.]
+   * @property {number} Td0_prime d軸開路時定数 [s]
+   * @property {number} Tq0_prime q軸開路時定数 [s]
+   */
+
+  /**
+   * @typedef {Object} Circle G-Bc平面上の円（中心は G = 0 軸上）
+   * @property {number} G_center
+   * @property {number} Bc_center
+   * @property {number} R
+   */
+
+  /**
+   * @typedef {Object} NetworkAdmittance Xd' を含むネットワークアドミタンス Y'r + jY'i
+   * @property {number} Yr
+   * @property {number} Yi
+   */
+
+  /**
+   * @typedef {Object} Root 複素数の根 re + j·im
+   * @property {number} re
+   * @property {number} im
+   */
+
+  /**
+   * @typedef {Object} Eigenvalues 特性方程式（式8）の根
+   * @property {number} real 支配根の実部（実根の場合は大きい方の根）
+   * @property {number} imag 虚部（正の側）
+   * @property {boolean} stable すべての根の実部が負
+   * @property {boolean} oscillatory 複素共役根
+   * @property {Root[]} roots 状態行列の全固有値（励磁系なしでは式8の2根。実部の大きい順、共役根は虚部が正の根が先。直列共振点では空）
+   */
+
+  /**
+   * @typedef {Object} ReducedNetwork 縮約結果
+   * @property {number} G コンダクタンス [p.u.]
+   * @property {number} Bc 容量性サセプタンス [p.u.]
+   * @property {number} P_total 接続中の有効電力負荷 [p.u.]
+   * @property {number} Qc_total 接続中の正味の進み無効電力 [p.u.]
+   */
+
+  /**
+   * @typedef {Object} NetworkElement 系統要素（負荷・コンデンサ・分路リアクトル・ケーブル）
+   * @property {string} id 一意な識別子（接続状態・イベントの参照キー）
+   * @property {string} name 表示名
+   * @property {'load'|'capacitor'|'reactor'|'cable'} type 要素の種類
+   * @property {string} group グループ名（空文字は未分類）
+   * @property {number} rating 定格 [p.u.]（負荷は基準電圧での P、それ以外は無効電力の大きさ）
+   * @property {'Z'|'ZIP'|'exp'} [model] 負荷の電圧特性（省略時は定インピーダンス）
+   * @property {number[]} [zip] ZIP係数 [aZ, aI, aP]（合計 1）
+   * @property {number} [alpha] 指数モデルの電圧指数 α（P = P0 (V/V0)^α）
+   */
+
+  // ===== 要素の種類 =====
+  // bcSign: Bc への寄与の符号（リアクトルは遅れ無効電力のため負）
+  const ELEMENT_TYPES = {
+    load: { label: '負荷', quantity: 'P', bcSign: 0 },
+    capacitor: { label: 'コンデンサ', quantity: 'Qc', bcSign: 1 },
+    reactor: { label: '分路リアクトル', quantity: 'QL', bcSign: -1 },
+    cable: { label: 'ケーブル', quantity: 'Qc', bcSign: 1 },
+  };
+
+  /**
+   * 負荷の電圧特性 P(V)/P0
+   * @param {NetworkElement} el
+   * @param {number} vr 電圧比 V/V0
+   * @returns {number}
+   */
+  const loadVoltageFactor = (el, vr) => {
+    if (el.model === 'ZIP') {
+      const [aZ, aI, aP] = el.zip;
+      return aZ * vr * vr + aI * vr + aP;
+    }
+    if (el.model === 'exp') return vr ** el.alpha;
+    return vr * vr;
+  };
+
+  /**
+   * 系統縮約: 接続中の要素から G, Bc を求める
+   * 負荷は負荷端電圧 VL での消費電力から G = P(VL)/VL²（VL = V のとき G = P/V²）、
+   * コンデンサ・ケーブル・リアクトルは定インピーダンスとして Bc = Qc/V² とする。
+   * Qc はコンデンサ・ケーブルの進み無効電力からリアクトルの遅れ無効電力を差し引いた正味値。
+   * 仮想調整要素 P_adj, Qc_adj は常時接続の定インピーダンスとして加算する
+   * @param {Object} systemConfig elements（NetworkElement[]）と基準電圧 V
+   * @param {Object<string, boolean>} connected 要素 id ごとの接続状態
+   * @param {number} [VL] 負荷端電圧 [p.u.]（省略時は V = 定インピーダンス仮定）
+   * @returns {ReducedNetwork} P_total, Qc_total は基準電圧での定格の合計
+   */
+  const reduceNetwork = (systemConfig, connected, VL = systemConfig.V) => {
+    const V2 = systemConfig.V * systemConfig.V;
+    let P = 0, Qc = 0, G = 0;
+    systemConfig.elements.forEach(el => {
+      if (!connected[el.id]) return;
+      if (el.type === 'load') {
+        P += el.rating;
+        G += el.rating * loadVoltageFactor(el, VL / systemConfig.V) / (VL * VL);
+      } else {
+        Qc += ELEMENT_TYPES[el.type].bcSign * el.rating;
+      }
+    });
+    P += systemConfig.P_adj || 0;
+    Qc += systemConfig.Qc_adj || 0;
+    return { G: G + (systemConfig.P_adj || 0) / V2, Bc: Qc / V2, P_total: P, Qc_total: Qc };
+  };
+
+  /**
+   * ネットワークアドミタンス（式5, X = XL + Xd'）
+   * Y' = 1 / (jX + 1/(G + jBc))
+   * @param {number} g
+   * @param {number} bc
+   * @param {number} X
+   * @returns {NetworkAdmittance|null} 分母が 0 に近い（直列共振）場合は null
+   */
+  const calcNetworkAdmittance = (g, bc, X) => {
+    const denom = (1 - bc * X) ** 2 + (g * X) ** 2;
+    if (denom < 1e-10) return null;
+    return { Yr: g / denom, Yi: (bc - (g * g + bc * bc) * X) / denom };
+  };
+
+  /**
+   * 安定境界円（式9）
+   * @param {MachineParams} params
+   * @returns {Circle} 円の外部が安定領域
+   */
+  const stabilityCircle = ({ Xd, Xd_prime, XL }) => ({
+    G_center: 0,
+    Bc_center: 0.5 * (1 / (XL + Xd_prime) + 1 / (XL + Xd)),
+    R: (Xd - Xd_prime) / (2 * (XL + Xd_prime) * (XL + Xd)),
+  });
+
+  /**
+   * 電圧係数 k の等高線（式20, 21 を G, Bc について整理した円）
+   * G² + (Bc - 1/X)² = 1/(kX)²
+   * @param {MachineParams} params
+   * @param {number} k
+   * @returns {Circle}
+   */
+  const kCircle = (params, k) => {
+    const X = params.XL + params.Xd_prime;
+    return { G_center: 0, Bc_center: 1 / X, R: 1 / (k * X) };
+  };
+
+  /**
+   * 安定判別（式9）
+   * @param {MachineParams} params
+   * @param {number} g
+   * @param {number} bc
+   * @returns {boolean} 安定境界円の外部なら true
+   */
+  const checkStability = (params, g, bc) => {
+    const { Bc_center, R } = stabilityCircle(params);
+    return Math.sqrt(g * g + (bc - Bc_center) ** 2) > R;
+  };
+
+  /**
+   * 安定余裕: 運転点から安定境界円までの距離と、境界に達する最小の ΔG, ΔBc
+   * distance は円の外側（安定）で正、内側（不安定）で負。
+   * dG は Bc 固定で G だけ、dBc は G 固定で Bc だけ変えたときに境界に達する最小の変化量（符号付き）で、
+   * その方向に境界が無い場合は null
+   * @param {MachineParams} params
+   * @param {number} g
+   * @param {number} bc
+   * @returns {{distance: number, ratio: number, dG: number|null, dBc: number|null}} ratio = distance / R
+   */
+  const stabilityMargin = (params, g, bc) => {
+    const { Bc_center, R } = stabilityCircle(params);
+    const distance = Math.sqrt(g * g + (bc - Bc_center) ** 2) - R;
+    const hG = R * R - (bc - Bc_center) ** 2;
+    const hBc = R * R - g * g;
+    let dBc = null;
+    if (hBc > 0) {
+      const [lower, upper] = [Bc_center - Math.sqrt(hBc), Bc_center + Math.sqrt(hBc)];
+      dBc = Math.abs(lower - bc) < Math.abs(upper - bc) ? lower - bc : upper - bc;
+    }
+    return { distance, ratio: distance / R, dG: hG > 0 ? Math.sqrt(hG) - g : null, dBc };
+  };
+
+  /**
+   * 電圧係数 k = |VL|/|V|（式21）
+   * @param {MachineParams} params
+   * @param {number} g
+   * @param {number} bc
+   * @returns {number} 直列共振点では 999
+   */
+  const calculateK = (params, g, bc) => {
+    const X = params.XL + params.Xd_prime;
+    const denom = Math.sqrt((1 - bc * X) ** 2 + (g * X) ** 2);
+    return denom < 1e-10 ? 999 : 1 / denom;
+  };
+
+  // ===== 発電機の磁気飽和 =====
+  // 無負荷飽和曲線を2次飽和関数 S(E) = B(E - A)² / E（E ≤ A では 0）で近似し、
+  // 内部電圧 E' を保つのに必要な界磁が (1 + S(|E'|)) 倍になるとして d軸・q軸の両方に適用する。
+  // G-Bc 平面の安定判別（式9）は飽和を無視した小信号解析のまま
+
+  /**
+   * 飽和係数 S(1.0), S(1.2) から2次飽和関数の定数 A, B を求める
+   * @param {{S10: number, S12: number}} sat S(1.0), S(1.2)（0 < S10、S12 ≥ 1.2·S10）
+   * @returns {{A: number, B: number}|null} 係数が不正な場合は null
+   */
+  const saturationCoefficients = ({ S10, S12 }) => {
+    if (!(S10 > 0) || !(S12 >= 1.2 * S10)) return null;
+    // 1.2·S(1.2) / (1.0·S(1.0)) = ((1.2 - A) / (1.0 - A))²
+    const r = Math.sqrt(1.2 * S12 / S10);
+    const A = (r - 1.2) / (r - 1);
+    return { A, B: S10 / (1 - A) ** 2 };
+  };
+
+  /**
+   * 飽和係数 S(E)
+   * @param {{A: number, B: number}|null} coeffs saturationCoefficients の結果（null なら飽和なし）
+   * @param {number} E 内部電圧の大きさ [p.u.]
+   * @returns {number}
+   */
+  const saturationFactor = (coeffs, E) => (coeffs && E > coeffs.A ? coeffs.B * (E - coeffs.A) ** 2 / E : 0);
+
+  /**
+   * 飽和を考慮した分離後の平衡点（界磁電圧一定）
+   * (a - S)E'd + rE'q = 0, Efd - rE'd + (a - S)E'q = 0（a = QY'i - 1, r = QY'r）から
+   * |E'| = Efd / √((S(|E'|) - a)² + r²) を解き、漸近安定な解のうち最大のもの
+   * （自己励磁で電圧が上昇した後に落ち着く持続電圧）を返す
+   * @param {MachineParams} params
+   * @param {number} g
+   * @param {number} bc
+   * @param {number} Efd 界磁電圧 [p.u.]
+   * @param {{A: number, B: number}} coeffs
+   * @param {number} [Emax] 探索する |E'| の上限 [p.u.]
+   * @returns {{Ed: number, Eq: number, E: number, VL: number}|null} 安定な平衡点が無い場合は null
+   */
+  const saturatedEquilibrium = (params, g, bc, Efd, coeffs, Emax = 10) => {
+    const X = params.XL + params.Xd_prime;
+    const Y = calcNetworkAdmittance(g, bc, X);
+    if (!Y) return null;
+    const Q = params.Xd - params.Xd_prime;
+    const a = Q * Y.Yi - 1;
+    const r = Q * Y.Yr;
+    const h = (E) => E * Math.hypot(saturationFactor(coeffs, E) - a, r) - Efd;
+    const f = (Ed, Eq) => {
+      const S = saturationFactor(coeffs, Math.hypot(Ed, Eq));
+      return [((a - S) * Ed + r * Eq) / params.Tq0_prime, (Efd - r * Ed + (a - S) * Eq) / params.Td0_prime];
+    };
+    const steps = 1000;
+    for (let i = steps; i > 0; i--) {
+      let lo = Emax * (i - 1) / steps, hi = Emax * i / steps;
+      if (h(lo) > 0 === h(hi) > 0) continue;
+      for (let k = 0; k < 60; k++) {
+        const mid = 0.5 * (lo + hi);
+        if (h(mid) > 0 === h(hi) > 0) hi = mid;
+        else lo = mid;
+      }
+      const E = 0.5 * (lo + hi);
+      const c = saturationFactor(coeffs, E) - a;
+      const d = c * c + r * r;
+      const Ed = Efd * r / d, Eq = Efd * c / d;
+      // 数値ヤコビ行列の trace < 0 かつ det > 0 なら漸近安定
+      const eps = 1e-6;
+      const [f0d, f0q] = f(Ed, Eq);
+      const [fdd, fqd] = f(Ed + eps, Eq).map((v, j) => (v - [f0d, f0q][j]) / eps);
+      const [fdq, fqq] = f(Ed, Eq + eps).map((v, j) => (v - [f0d, f0q][j]) / eps);
+      if (fdd + fqq < 0 && fdd * fqq - fdq * fqd > 0) {
+        return { Ed, Eq, E, VL: E / Math.sqrt((1 - bc * X) ** 2 + (g * X) ** 2) };
+      }
+    }
+    return null;
+  };
+
+  // ===== 励磁系（AVR）モデル =====
+  // 励磁系は誤差 e = Vref - |Vt| を入力、ΔEfd を出力とする偏差形の線形状態方程式で表す。
+  // ST1A, DC1A は IEEE Std 421.5 のブロック図から、ST1A は速度帰還・電流制限、
+  // DC1A は励磁機飽和を省略した形。limit は出力段 VR の上下限（絶対値）
+  const EXCITER_MODELS = {
+    none: { label: 'なし（ΔEfd = 0）', params: [], states: [] },
+    simple: {
+      label: '一次遅れ励磁系',
+      params: [
+        { key: 'KA', label: 'KA', default: 20, min: 0, max: 500 },
+        { key: 'TE', label: 'TE [s]', default: 0.5, min: 0.01, max: 10 },
+      ],
+      states: ['Efd'],
+    },
+    ST1A: {
+      label: 'IEEE ST1A',
+      params: [
+        { key: 'TR', label: 'TR [s]', default: 0.02, min: 0.001, max: 1 },
+        { key: 'TC', label: 'TC [s]', default: 1.0, min: 0, max: 20 },
+        { key: 'TB', label: 'TB [s]', default: 10.0, min: 0.001, max: 20 },
+        { key: 'KA', label: 'KA', default: 200, min: 0, max: 1000 },
+        { key: 'TA', label: 'TA [s]', default: 0.02, min: 0.001, max: 5 },
+        { key: 'VRMAX', label: 'VRMAX', default: 7.0, min: 0, max: 20 },
+        { key: 'VRMIN', label: 'VRMIN', default: -6.0, min: -20, max: 0 },
+      ],
+      states: ['Vm', 'LL', 'VR'],
+    },
+    DC1A: {
+      label: 'IEEE DC1A',
+      params: [
+        { key: 'TR', label: 'TR [s]', default: 0.02, min: 0.001, max: 1 },
+        { key: 'TC', label: 'TC [s]', default: 1.0, min: 0, max: 20 },
+        { key: 'TB', label: 'TB [s]', default: 1.0, min: 0.001, max: 20 },
+        { key: 'KA', label: 'KA', default: 46, min: 0, max: 1000 },
+        { key: 'TA', label: 'TA [s]', default: 0.06, min: 0.001, max: 5 },
+        { key: 'VRMAX', label: 'VRMAX', default: 1.7, min: 0, max: 20 },
+        { key: 'VRMIN', label: 'VRMIN', default: -1.7, min: -20, max: 0 },
+        { key: 'KE', label: 'KE', default: 1.0, min: -1, max: 2 },
+        { key: 'TE', label: 'TE [s]', default: 0.46, min: 0.01, max: 5 },
+        { key: 'KF', label: 'KF', default: 0.1, min: 0, max: 2 },
+        { key: 'TF', label: 'TF [s]', default: 1.0, min: 0.01, max: 10 },
+      ],
+      states: ['Vm', 'LL', 'VR', 'Efd', 'RF'],
+    },
+  };
+
+  /**
+   * @typedef {Object} ExciterSettings
+   * @property {'none'|'simple'|'ST1A'|'DC1A'} model
+   * @property {Object<string, number>} params EXCITER_MODELS[model].params の key ごとの値
+   */
+
+  /**
+   * 励磁系の状態方程式 dx/dt = A x + B e, ΔEfd = C x（x は定常値からの偏差）
+   * @param {ExciterSettings} exciter
+   * @param {number} Efd0 定常状態の界磁電圧（出力段の上下限を偏差に換算するために使う）
+   * @returns {{A: number[][], B: number[], C: number[], limit: {index: number, min: number, max: number}|null}}
+   */
+  const exciterStateSpace = ({ model, params: p }, Efd0 = 1.0) => {
+    if (model === 'simple') {
+      return { A: [[-1 / p.TE]], B: [p.KA / p.TE], C: [1], limit: null };
+    }
+    // 進み遅れ補償 (1 + sTC)/(1 + sTB) の出力 = α u + β xLL
+    const alpha = p.TC / p.TB, beta = 1 - alpha;
+    if (model === 'ST1A') {
+      return {
+        A: [
+          [-1 / p.TR, 0, 0],
+          [1 / p.TB, -1 / p.TB, 0],
+          [p.KA * alpha / p.TA, p.KA * beta / p.TA, -1 / p.TA],
+        ],
+        B: [1 / p.TR, 0, 0],
+        C: [0, 0, 1],
+        limit: { index: 2, min: p.VRMIN - Efd0, max: p.VRMAX - Efd0 },
+      };
+    }
+    if (model === 'DC1A') {
+      // 速度帰還 KF s/(1 + sTF) Efd = z + kf Efd（状態 z）
+      const kf = p.KF / p.TF;
+      return {
+        A: [
+          [-1 / p.TR, 0, 0, 0, 0],
+          [1 / p.TB, -1 / p.TB, 0, -kf / p.TB, -1 / p.TB],
+          [p.KA * alpha / p.TA, p.KA * beta / p.TA, -1 / p.TA, -p.KA * alpha * kf / p.TA, -p.KA * alpha / p.TA],
+          [0, 0, 1 / p.TE, -p.KE / p.TE, 0],
+          [0, 0, 0, -kf / p.TF, -1 / p.TF],
+        ],
+        B: [1 / p.TR, 0, 0, 0, 0],
+        C: [0, 0, 0, 1, 0],
+        limit: { index: 2, min: p.VRMIN - p.KE * Efd0, max: p.VRMAX - p.KE * Efd0 },
+      };
+    }
+    return { A: [], B: [], C: [], limit: null };
+  };
+
+  /**
+   * 端子電圧の比 |Vt|/|E'|（Vt = E' - jXd' I, I = Y'E'）
+   * @param {MachineParams} params
+   * @param {NetworkAdmittance} Y
+   * @returns {number}
+   */
+  const terminalVoltageRatio = (params, Y) => Math.hypot(1 + params.Xd_prime * Y.Yi, params.Xd_prime * Y.Yr);
+
+  /**
+   * 発電機（式7）と励磁系を結合した状態行列
+   * 状態は [E'd, E'q, 励磁系の状態...]。|Vt| は ΔEfd = 0 の平衡点 E'0 ∝ (QY'r, 1 - QY'i) の方向で線形化する
+   * @param {MachineParams} params
+   * @param {number} g
+   * @param {number} bc
+   * @param {ExciterSettings} [exciter]
+   * @returns {{A: number[][], states: string[]}|null} 直列共振点では null
+   */
+  const stateMatrix = (params, g, bc, exciter = { model: 'none', params: {} }) => {
+    const { Xd, Xd_prime, XL, Td0_prime, Tq0_prime } = params;
+    const Y = calcNetworkAdmittance(g, bc, XL + Xd_prime);
+    if (!Y) return null;
+    const a = (Xd - Xd_prime) * Y.Yi - 1;
+    const r = (Xd - Xd_prime) * Y.Yr;
+    const exc = exciterStateSpace(exciter);
+    const n = 2 + exc.A.length;
+    const A = Array.from({ length: n }, () => new Array(n).fill(0));
+    A[0][0] = a / Tq0_prime; A[0][1] = r / Tq0_prime;
+    A[1][0] = -r / Td0_prime; A[1][1] = a / Td0_prime;
+
+    const norm = Math.hypot(r, a);
+    const u = norm > 1e-12 ? [r / norm, -a / norm] : [0, 1];
+    const vt = terminalVoltageRatio(params, Y);
+    exc.A.forEach((row, i) => {
+      row.forEach((v, j) => { A[2 + i][2 + j] = v; });
+      A[1][2 + i] = exc.C[i] / Td0_prime;
+      // e = -δ|Vt| = -|Vt/E'| u·δE'
+      A[2 + i][0] = -exc.B[i] * vt * u[0];
+      A[2 + i][1] = -exc.B[i] * vt * u[1];
+    });
+    return { A, states: ["E'd", "E'q", ...EXCITER_MODELS[exciter.model].states] };
+  };
+
+  /**
+   * 特性多項式 det(sI - A) = s^n + c[1] s^(n-1) + ... + c[n]（Faddeev-LeVerrier 法）
+   * @param {number[][]} A
+   * @returns {number[]} 係数 [1, c1, ..., cn]
+   */
+  const characteristicPolynomial = (A) => {
+    const n = A.length;
+    const c = [1];
+    let M = A.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+    for (let k = 1; k <= n; k++) {
+      const AM = A.map(row => M[0].map((_, j) => row.reduce((sum, v, l) => sum + v * M[l][j], 0)));
+      c[k] = -AM.reduce((sum, row, i) => sum + row[i], 0) / k;
+      M = AM.map((row, i) => row.map((v, j) => (i === j ? v + c[k] : v)));
+    }
+    return c;
+  };
+
+  /**
+   * Routh-Hurwitz の安定判別（すべての根の実部が負なら true）
+   * 第1列に 0 以下が現れた場合（虚軸上の根を含む）は不安定とみなす
+   * @param {number[]} coeffs 降べきの係数（先頭は正）
+   * @returns {boolean}
+   */
+  const isHurwitzStable = (coeffs) => {
+    if (coeffs.some(ck => !(ck > 0))) return false;
+    let prev = coeffs.filter((_, i) => i % 2 === 0);
+    let row = coeffs.filter((_, i) => i % 2 === 1);
+    while (row.length > 0) {
+      if (!(row[0] > 0)) return false;
+      const next = prev.slice(1).map((v, i) => v - prev[0] * (row[i + 1] || 0) / row[0]);
+      prev = row;
+      row = next.length > 0 && next.some(v => v !== 0) ? next : [];
+      if (next.length > 0 && row.length === 0) return false;
+    }
+    return true;
+  };
+
+  /**
+   * 平衡化（行・列のノルムをそろえて固有値の丸め誤差を抑える。固有値は変わらない）
+   * @param {number[][]} a 上書きされる
+   */
+  const balanceMatrix = (a) => {
+    const n = a.length;
+    let done = false;
+    while (!done) {
+      done = true;
+      for (let i = 0; i < n; i++) {
+        let c = 0, r = 0;
+        for (let j = 0; j < n; j++) {
+          if (j === i) continue;
+          c += Math.abs(a[j][i]);
+          r += Math.abs(a[i][j]);
+        }
+        if (c === 0 || r === 0) continue;
+        const s = c + r;
+        let f = 1;
+        while (c < r / 2) { f *= 2; c *= 4; }
+        while (c > r * 2) { f /= 2; c /= 4; }
+        if ((c + r) / f < 0.95 * s) {
+          done = false;
+          for (let j = 0; j < n; j++) a[i][j] /= f;
+          for (let j = 0; j < n; j++) a[j][i] *= f;
+        }
+      }
+    }
+  };
+
+  /**
+   * 上ヘッセンベルグ形への相似変換（部分ピボット付きガウス消去）
+   * @param {number[][]} a 上書きされる
+   */
+  const reduceToHessenberg = (a) => {
+    const n = a.length;
+    for (let m = 1; m < n - 1; m++) {
+      let x = 0, i = m;
+      for (let j = m; j < n; j++) {
+        if (Math.abs(a[j][m - 1]) > Math.abs(x)) { x = a[j][m - 1]; i = j; }
+      }
+      if (i !== m) {
+        [a[i], a[m]] = [a[m], a[i]];
+        for (let j = 0; j < n; j++) [a[j][i], a[j][m]] = [a[j][m], a[j][i]];
+      }
+      if (x === 0) continue;
+      for (i = m + 1; i < n; i++) {
+        const y = a[i][m - 1] / x;
+        if (y === 0) continue;
+        a[i][m - 1] = 0;
+        for (let j = m; j < n; j++) a[i][j] -= y * a[m][j];
+        for (let j = 0; j < n; j++) a[j][m] += y * a[j][i];
+      }
+    }
+  };
+
+  /**
+   * 上ヘッセンベルグ行列の固有値（Francis の二重シフト QR 法）
+   * @param {number[][]} a 上書きされる
+   * @returns {{wr: number[], wi: number[]}}
+   */
+  const hessenbergQR = (a) => {
+    const n = a.length;
+    const wr = new Array(n).fill(0), wi = new Array(n).fill(0);
+    let anorm = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = Math.max(i - 1, 0); j < n; j++) anorm += Math.abs(a[i][j]);
+    }
+    let nn = n - 1, t = 0;
+    let p = 0, q = 0, r = 0, s = 0, w = 0, x = 0, y = 0, z = 0;
+    while (nn >= 0) {
+      let its = 0, l;
+      do {
+        // 小さい副対角要素で分割
+        for (l = nn; l >= 1; l--) {
+          s = Math.abs(a[l - 1][l - 1]) + Math.abs(a[l][l]);
+          if (s === 0) s = anorm;
+          if (Math.abs(a[l][l - 1]) + s === s) { a[l][l - 1] = 0; break; }
+        }
+        x = a[nn][nn];
+        if (l === nn) {
+          // 1根を分離
+          wr[nn] = x + t;
+          wi[nn--] = 0;
+        } else {
+          y = a[nn - 1][nn - 1];
+          w = a[nn][nn - 1] * a[nn - 1][nn];
+          if (l === nn - 1) {
+            // 2根を分離
+            p = 0.5 * (y - x);
+            q = p * p + w;
+            z = Math.sqrt(Math.abs(q));
+            x += t;
+            if (q >= 0) {
+              z = p + (p >= 0 ? z : -z);
+              wr[nn - 1] = wr[nn] = x + z;
+              if (z) wr[nn] = x - w / z;
+              wi[nn - 1] = wi[nn] = 0;
+            } else {
+              wr[nn - 1] = wr[nn] = x + p;
+              wi[nn - 1] = -(wi[nn] = z);
+            }
+            nn -= 2;
+          } else {
+            if (its === 60) throw new Error('QR 法が収束しません');
+            if (its === 10 || its === 20) {
+              // 例外シフト
+              t += x;
+              for (let i = 0; i <= nn; i++) a[i][i] -= x;
+              s = Math.abs(a[nn][nn - 1]) + Math.abs(a[nn - 1][nn - 2]);
+              y = x = 0.75 * s;
+              w = -0.4375 * s * s;
+            }
+            ++its;
+            let m;
+            for (m = nn - 2; m >= l; m--) {
+              z = a[m][m];
+              r = x - z;
+              s = y - z;
+              p = (r * s - w) / a[m + 1][m] + a[m][m + 1];
+              q = a[m + 1][m + 1] - z - r - s;
+              r = a[m + 2][m + 1];
+              s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+              p /= s; q /= s; r /= s;
+              if (m === l) break;
+              const u = Math.abs(a[m][m - 1]) * (Math.abs(q) + Math.abs(r));
+              const v = Math.abs(p) * (Math.abs(a[m - 1][m - 1]) + Math.abs(z) + Math.abs(a[m + 1][m + 1]));
+              if (u + v === v) break;
+            }
+            for (let i = m + 2; i <= nn; i++) {
+              a[i][i - 2] = 0;
+              if (i !== m + 2) a[i][i - 3] = 0;
+            }
+            // 二重シフト QR ステップ（Householder 変換でバルジを追い出す）
+            for (let k = m; k <= nn - 1; k++) {
+              if (k !== m) {
+                p = a[k][k - 1];
+                q = a[k + 1][k - 1];
+                r = k !== nn - 1 ? a[k + 2][k - 1] : 0;
+                x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                if (x !== 0) { p /= x; q /= x; r /= x; }
+              }
+              s = Math.sqrt(p * p + q * q + r * r) * (p >= 0 ? 1 : -1);
+              if (s === 0) continue;
+              if (k === m) {
+                if (l !== m) a[k][k - 1] = -a[k][k - 1];
+              } else {
+                a[k][k - 1] = -s * x;
+              }
+              p += s;
+              x = p / s; y = q / s; z = r / s;
+              q /= p; r /= p;
+              for (let j = k; j <= nn; j++) {
+                p = a[k][j] + q * a[k + 1][j];
+                if (k !== nn - 1) {
+                  p += r * a[k + 2][j];
+                  a[k + 2][j] -= p * z;
+                }
+                a[k + 1][j] -= p * y;
+                a[k][j] -= p * x;
+              }
+              for (let i = l; i <= Math.min(nn, k + 3); i++) {
+                p = x * a[i][k] + y * a[i][k + 1];
+                if (k !== nn - 1) {
+                  p += z * a[i][k + 2];
+                  a[i][k + 2] -= p * r;
+                }
+                a[i][k + 1] -= p * q;
+                a[i][k] -= p;
+              }
+            }
+          }
+        }
+      } while (nn >= 0 && l < nn - 1);
+    }
+    return { wr, wi };
+  };
+
+  /**
+   * 行列の固有値（平衡化 → ヘッセンベルグ化 → 二重シフト QR 法）
+   * @param {number[][]} A
+   * @returns {Root[]} 実部の大きい順（共役根は虚部が正の根が先）
+   */
+  const matrixEigenvalues = (A) => {
+    const a = A.map(row => row.slice());
+    balanceMatrix(a);
+    reduceToHessenberg(a);
+    const { wr, wi } = hessenbergQR(a);
+    const tol = (v) => 1e-9 * Math.max(1, Math.abs(v));
+    return wr
+      .map((re, i) => ({ re, im: Math.abs(wi[i]) < tol(re) ? 0 : wi[i] }))
+      .sort((p, q) => (Math.abs(q.re - p.re) > tol(p.re) ? q.re - p.re : q.im - p.im));
+  };
+
+  /**
+   * 複素連立一次方程式 (M - λI) x = b の解（部分ピボット付きガウス消去）
+   * 特異な場合はピボットを微小値で置き換える（逆反復で固有ベクトルを求めるため）
+   * @param {number[][]} M
+   * @param {Root} lambda
+   * @param {number[]} br
+   * @param {number[]} bi
+   * @returns {{re: number[], im: number[]}}
+   */
+  const solveShifted = (M, lambda, br, bi) => {
+    const n = M.length;
+    const ar = M.map((row, i) => row.map((v, j) => (i === j ? v - lambda.re : v)));
+    const ai = M.map((row, i) => row.map((_, j) => (i === j ? -lambda.im : 0)));
+    const xr = br.slice(), xi = bi.slice();
+    const scale = Math.max(1e-300, ...M.flat().map(Math.abs));
+    for (let k = 0; k < n; k++) {
+      let piv = k;
+      for (let i = k + 1; i < n; i++) {
+        if (Math.hypot(ar[i][k], ai[i][k]) > Math.hypot(ar[piv][k], ai[piv][k])) piv = i;
+      }
+      [ar[k], ar[piv]] = [ar[piv], ar[k]];
+      [ai[k], ai[piv]] = [ai[piv], ai[k]];
+      [xr[k], xr[piv]] = [xr[piv], xr[k]];
+      [xi[k], xi[piv]] = [xi[piv], xi[k]];
+      if (Math.hypot(ar[k][k], ai[k][k]) < 1e-14 * scale) { ar[k][k] = 1e-14 * scale; ai[k][k] = 0; }
+      const dr = ar[k][k], di = ai[k][k], dd = dr * dr + di * di;
+      for (let i = k + 1; i < n; i++) {
+        // f = a[i][k] / a[k][k]
+        const fr = (ar[i][k] * dr + ai[i][k] * di) / dd, fi = (ai[i][k] * dr - ar[i][k] * di) / dd;
+        for (let j = k; j < n; j++) {
+          ar[i][j] -= fr * ar[k][j] - fi * ai[k][j];
+          ai[i][j] -= fr * ai[k][j] + fi * ar[k][j];
+        }
+        xr[i] -= fr * xr[k] - fi * xi[k];
+        xi[i] -= fr * xi[k] + fi * xr[k];
+      }
+    }
+    for (let k = n - 1; k >= 0; k--) {
+      let sr = xr[k], si = xi[k];
+      for (let j = k + 1; j < n; j++) {
+        sr -= ar[k][j] * xr[j] - ai[k][j] * xi[j];
+        si -= ar[k][j] * xi[j] + ai[k][j] * xr[j];
+      }
+      const dr = ar[k][k], di = ai[k][k], dd = dr * dr + di * di;
+      xr[k] = (sr * dr + si * di) / dd;
+      xi[k] = (si * dr - sr * di) / dd;
+    }
+    return { re: xr, im: xi };
+  };
+
+  /**
+   * 固有値 λ に対する固有ベクトル（逆反復法）
+   * @param {number[][]} M
+   * @param {Root} lambda
+   * @returns {{re: number[], im: number[]}} 最大成分の絶対値が 1
+   */
+  const eigenvector = (M, lambda) => {
+    let v = { re: M.map(() => 1), im: M.map(() => 0) };
+    for (let iter = 0; iter < 3; iter++) {
+      v = solveShifted(M, lambda, v.re, v.im);
+      const norm = Math.max(...v.re.map((re, i) => Math.hypot(re, v.im[i])));
+      v = { re: v.re.map(x => x / norm), im: v.im.map(x => x / norm) };
+    }
+    return v;
+  };
+
+  /**
+   * @typedef {Object} Mode
+   * @property {number} re 実部 σ
+   * @property {number} im 虚部 ω（≥ 0。共役根の対は1つのモードにまとめる）
+   * @property {number} damping 減衰比 ζ = -σ/|λ|（負なら発散）
+   * @property {number} frequency 振動周波数 ω/2π [Hz]
+   * @property {number[]} participation 状態ごとの参加係数 |w_k v_k| / Σ|w_j v_j|（右・左固有ベクトル v, w）
+   * @property {boolean} stable
+   */
+
+  /**
+   * 状態行列のモード解析（固有値・減衰比・周波数・参加係数）
+   * @param {number[][]} A
+   * @returns {Mode[]} 実部の大きい順
+   */
+  const modalAnalysis = (A) => {
+    const AT = A.map((row, i) => row.map((_, j) => A[j][i]));
+    return matrixEigenvalues(A)
+      .filter(root => root.im >= 0)
+      .map(({ re, im }) => {
+        const lambda = { re, im };
+        const v = eigenvector(A, lambda);
+        const w = eigenvector(AT, lambda);
+        const pk = v.re.map((vr, k) => Math.hypot(vr * w.re[k] - v.im[k] * w.im[k], vr * w.im[k] + v.im[k] * w.re[k]));
+        const total = pk.reduce((sum, x) => sum + x, 0) || 1;
+        const mag = Math.hypot(re, im);
+        return {
+          re, im,
+          damping: mag > 0 ? -re / mag : 0,
+          frequency: im / (2 * Math.PI),
+          participation: pk.map(x => x / total),
+          stable: re < 0,
+        };
+      });
+  };
+
+  /**
+   * 励磁系込みの安定判別（固有値を求めずに Routh-Hurwitz で判定する）
+   * @param {MachineParams} params
+   * @param {number} g
+   * @param {number} bc
+   * @param {ExciterSettings} exciter
+   * @returns {boolean}
+   */
+  const checkStabilityWithExciter = (params, g, bc, exciter) => {
+    const system = stateMatrix(params, g, bc, exciter);
+    return !!system && isHurwitzStable(characteristicPolynomial(system.A));
+  };
+
+  /**
+   * 特性方程式（式8）の根
+   * Td0'Tq0' s² - (Td0' + Tq0')(Y'iQ - 1)s + (Y'iQ - 1)² + Y'r²Q² = 0
+   * 状態行列 A を組み立てて全固有値を QR 法で求める（励磁系を指定した場合は結合系の固有値）
+   * @param {MachineParams} params
+   * @param {number} g
+   * @param {number} bc
+   * @param {ExciterSettings} [exciter]
+   * @returns {Eigenvalues}
+   */
+  const calculateEigenvalues = (params, g, bc, exciter) => {
+    const system = stateMatrix(params, g, bc, exciter);
+    if (!system) return { real: 0, imag: 0, stable: false, oscillatory: false, roots: [] };
+    const roots = matrixEigenvalues(system.A);
+    return {
+      real: roots[0].re, imag: Math.abs(roots[0].im), stable: roots.every(r => r.re < 0),
+      oscillatory: roots[0].im !== 0, roots,
+    };
+  };
+
+  /**
+   * 運転点 (g, bc) でのモード解析
+   * @param {MachineParams} params
+   * @param {number} g
+   * @param {number} bc
+   * @param {ExciterSettings} [exciter]
+   * @returns {{states: string[], modes: Mode[]}|null} 直列共振点では null
+   */
+  const eigenAnalysis = (params, g, bc, exciter) => {
+    const system = stateMatrix(params, g, bc, exciter);
+    return system && { states: system.states, modes: modalAnalysis(system.A) };
+  };
+
+  // ===== 複数発電機 =====
+  // 各発電機は昇圧リアクタンス XT を介して共通母線に接続し、共通母線から jXL を介して負荷母線（G + jBc）に至る。
+  // 系統分離後の孤立系では回転子角の動揺を考えないため、各機の回転子角は等しい（d, q 軸がそろう）と仮定する
+
+  /**
+   * @typedef {Object} GeneratorUnit 発電機（リアクタンスは自己容量基準）
+   * @property {string} id
+   * @property {string} name
+   * @property {number} rating 定格容量 [MVA]
+   * @property {number} Xd 同期リアクタンス [p.u.]
+   * @property {number} Xd_prime 過渡リアクタンス [p.u.]
+   * @property {number} XT 昇圧変圧器リアクタンス [p.u.]
+   * @property {number} Td0_prime d軸開路時定数 [s]
+   * @property {number} Tq0_prime q軸開路時定数 [s]
+   */
+
+  // 自己容量基準のリアクタンスを系統基準 S_base に換算
+  const unitOnSystemBase = (unit, S_base) => {
+    const scale = S_base / unit.rating;
+    return { ...unit, Xd: unit.Xd * scale, Xd_prime: unit.Xd_prime * scale, XT: unit.XT * scale };
+  };
+
+  /**
+   * 1機等価モデル: 各機の (Xd' + XT), (Xd + XT) を並列合成し、XL は共通のまま残す
+   * 全機の自己容量基準の定数が等しければ（容量は異なってよい）多機系の安定判別と厳密に一致する。
+   * 時定数は過渡リアクタンス側のアドミタンス 1/(Xd'i + XTi) で重み付けした平均
+   * @param {GeneratorUnit[]} units
+   * @param {number} XL 共通の系統リアクタンス [p.u.]（系統基準）
+   * @param {number} S_base 系統基準容量 [MVA]
+   * @returns {MachineParams}
+   */
+  const equivalentMachine = (units, XL, S_base) => {
+    const sys = units.map(u => unitOnSystemBase(u, S_base));
+    const w = sys.map(u => 1 / (u.Xd_prime + u.XT));
+    const wSum = w.reduce((sum, x) => sum + x, 0);
+    return {
+      Xd: 1 / sys.reduce((sum, u) => sum + 1 / (u.Xd + u.XT), 0),
+      Xd_prime: 1 / wSum,
+      XL,
+      Td0_prime: sys.reduce((sum, u, i) => sum + w[i] * u.Td0_prime, 0) / wSum,
+      Tq0_prime: sys.reduce((sum, u, i) => sum + w[i] * u.Tq0_prime, 0) / wSum,
+    };
+  };
+
+  /**
+   * 複数発電機の状態行列（ΔEfd = 0）
+   * 内部電圧 E'i から見た縮約アドミタンス行列 Y'ij = yi δij - yi yj / (Yh + Σ yk)
+   * （yi = 1/j(Xd'i + XTi)、Yh = 共通母線から見た jXL と負荷の直列）を用い、各機に式7を適用する
+   * @param {GeneratorUnit[]} units
+   * @param {number} XL
+   * @param {number} g
+   * @param {number} bc
+   * @param {number} S_base
+   * @returns {{A: number[][], states: string[]}|null} 共振（縮約できない）場合は null
+   */
+  const multiMachineStateMatrix = (units, XL, g, bc, S_base) => {
+    const sys = units.map(u => unitOnSystemBase(u, S_base));
+    const m = sys.length;
+    // yi = -j / (Xd'i + XTi)
+    const yi = sys.map(u => -1 / (u.Xd_prime + u.XT));
+    // Yh + Σy = (N + M Σy) / M, N = g + jbc, M = 1 - bc XL + j g XL
+    const sumY = yi.reduce((sum, b) => sum + b, 0);
+    const Mr = 1 - bc * XL, Mi = g * XL;
+    const Dr = g - Mi * sumY, Di = bc + Mr * sumY;
+    const dd = Dr * Dr + Di * Di;
+    if (dd < 1e-12) return null;
+    // yi yj M / D（yi yj は実数の負号付き: (-j bi)(-j bj) = -bi bj）
+    const kr = -(Mr * Dr + Mi * Di) / dd, ki = -(Mi * Dr - Mr * Di) / dd;
+
+    const A = Array.from({ length: 2 * m }, () => new Array(2 * m).fill(0));
+    sys.forEach((u, i) => {
+      const Q = u.Xd - u.Xd_prime;
+      sys.forEach((_, j) => {
+        // Y'ij = yi δij - yi yj M / D（yi = j·yi[i] の虚部表現）
+        const b = yi[i] * yi[j];
+        const Yr = -b * kr;
+        const Yi = (i === j ? yi[i] : 0) - b * ki;
+        // -j Y'ij E'j の実数表現 [[Yi, Yr], [-Yr, Yi]]
+        A[2 * i][2 * j] = Q * Yi / u.Tq0_prime;
+        A[2 * i][2 * j + 1] = Q * Yr / u.Tq0_prime;
+        A[2 * i + 1][2 * j] = -Q * Yr / u.Td0_prime;
+        A[2 * i + 1][2 * j + 1] = Q * Yi / u.Td0_prime;
+      });
+      A[2 * i][2 * i] -= 1 / u.Tq0_prime;
+      A[2 * i + 1][2 * i + 1] -= 1 / u.Td0_prime;
+    });
+    return { A, states: sys.flatMap((u, i) => [`E'd${i + 1}`, `E'q${i + 1}`]) };
+  };
+
+  /**
+   * 複数発電機系のモード解析と安定判別
+   * @param {GeneratorUnit[]} units
+   * @param {number} XL
+   * @param {number} g
+   * @param {number} bc
+   * @param {number} S_base
+   * @returns {{states: string[], modes: Mode[], stable: boolean}|null}
+   */
+  const multiMachineAnalysis = (units, XL, g, bc, S_base) => {
+    const system = multiMachineStateMatrix(units, XL, g, bc, S_base);
+    if (!system) return null;
+    const modes = modalAnalysis(system.A);
+    return { states: system.states, modes, stable: modes.every(mode => mode.stable) };
+  };
+
+  /**
+   * 複数発電機系の安定判別（Routh-Hurwitz）
+   * @returns {boolean}
+   */
+  const checkMultiMachineStability = (units, XL, g, bc, S_base) => {
+    const system = multiMachineStateMatrix(units, XL, g, bc, S_base);
+    return !!system && isHurwitzStable(characteristicPolynomial(system.A));
+  };
+
+  /**
+   * 根軌跡: G または Bc を from から to へ変化させたときの式8の根
+   * 安定・不安定が切り替わる区間は二分法で詰め、虚軸交差（= 運転点が安定境界円を横切る点）を求める
+   * @param {MachineParams} params
+   * @param {{g: number, bc: number, vary: 'G'|'Bc', from: number, to: number, steps?: number, exciter?: ExciterSettings}} options
+   *        vary で指定しない側は g または bc の値に固定する。exciter を指定すると励磁系込みの根
+   * @returns {{points: {g: number, bc: number, eigenvalues: Eigenvalues}[],
+   *            crossings: {g: number, bc: number, eigenvalues: Eigenvalues, toStable: boolean}[]}}
+   */
+  const rootLocus = (params, { g, bc, vary, from, to, steps = 60, exciter }) => {
+    const at = (v) => (vary === 'G' ? { g: v, bc } : { g, bc: v });
+    const evaluate = (v) => {
+      const p = at(v);
+      return { ...p, eigenvalues: calculateEigenvalues(params, p.g, p.bc, exciter) };
+    };
+
+    const values = Array.from({ length: steps + 1 }, (_, i) => from + (to - from) * i / steps);
+    const points = values.map(evaluate);
+    const crossings = [];
+    for (let i = 1; i < points.length; i++) {
+      const wasStable = points[i - 1].eigenvalues.stable;
+      if (wasStable === points[i].eigenvalues.stable) continue;
+      let lo = values[i - 1], hi = values[i];
+      for (let k = 0; k < 50; k++) {
+        const mid = 0.5 * (lo + hi);
+        if (evaluate(mid).eigenvalues.stable === wasStable) lo = mid;
+        else hi = mid;
+      }
+      crossings.push({ ...evaluate(0.5 * (lo + hi)), toStable: !wasStable });
+    }
+    return { points, crossings };
+  };
+
+  /**
+   * 電圧依存負荷を考慮した運転点の反復計算
+   * VL = k(G(VL), Bc)·V を満たす負荷端電圧を、緩和付き固定点反復で求める
+   * 接続中の負荷がすべて定インピーダンスなら G は VL に依らないため反復せずに返す
+   * @param {MachineParams} params
+   * @param {Object} systemConfig
+   * @param {Object<string, boolean>} connected
+   * @param {{tol?: number, maxIter?: number, relax?: number}} [options]
+   * @returns {ReducedNetwork & {VL: number, iterations: number, converged: boolean}}
+   */
+  const solveOperatingPoint = (params, systemConfig, connected, { tol = 1e-6, maxIter = 100, relax = 0.5 } = {}) => {
+    const voltageDependent = systemConfig.elements.some(el => (
+      connected[el.id] && el.type === 'load' && el.model && el.model !== 'Z'
+    ));
+    if (!voltageDependent) {
+      const net = reduceNetwork(systemConfig, connected);
+      const VL = Math.min(Math.max(calculateK(params, net.G, net.Bc) * systemConfig.V, 0.05), 5);
+      return { ...net, VL, iterations: 0, converged: true };
+    }
+
+    let VL = systemConfig.V;
+    for (let iterations = 1; iterations <= maxIter; iterations++) {
+      const net = reduceNetwork(systemConfig, connected, VL);
+      const VLnext = Math.min(Math.max(calculateK(params, net.G, net.Bc) * systemConfig.V, 0.05), 5);
+      if (Math.abs(VLnext - VL) < tol) return { ...net, VL: VLnext, iterations, converged: true };
+      VL += relax * (VLnext - VL);
+    }
+    return { ...reduceNetwork(systemConfig, connected, VL), VL, iterations: maxIter, converged: false };
+  };
+
+  // ===== 分離前の潮流計算 =====
+  // 複素数は {re, im}
+  const cx = (re, im = 0) => ({ re, im });
+  const cxAdd = (a, b) => cx(a.re + b.re, a.im + b.im);
+  const cxSub = (a, b) => cx(a.re - b.re, a.im - b.im);
+  const cxMul = (a, b) => cx(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+  const cxDiv = (a, b) => {
+    const d = b.re * b.re + b.im * b.im;
+    return cx((a.re * b.re + a.im * b.im) / d, (a.im * b.re - a.re * b.im) / d);
+  };
+  const cxPolar = (mag, angle) => cx(mag * Math.cos(angle), mag * Math.sin(angle));
+
+  /**
+   * @typedef {Object} TieSettings 分離前の連系条件
+   * @property {number} Rt 連系線の抵抗 [p.u.]
+   * @property {number} Xt 連系線のリアクタンス [p.u.]
+   * @property {number} Vinf 無限大母線の電圧 [p.u.]（位相の基準）
+   * @property {number} Pg 発電機の有効電力出力 [p.u.]
+   * @property {number} Vt 発電機の端子電圧 [p.u.]
+   */
+
+  /**
+   * 分離前の潮流計算（負荷母線を連系線 Zt = Rt + jXt で無限大母線に接続）
+   * 発電機端子を PV 母線として端子電圧の位相 θt をニュートン法で求める。
+   * θt が決まれば負荷母線電圧は VL = (Vt/(jXL) + Vinf/Zt) / (1/(jXL) + G + jBc + 1/Zt) と線形に求まる。
+   * 内部電圧 E' = Vt + jXd'I とし、q軸を (1 + S(|E'|))E' + j(Xd - Xd')I の向き（Xq = Xd, Xq' = Xd' を仮定）
+   * に取って、2軸モデルの初期値 E'd, E'q と定常の界磁電圧 Efd を求める
+   * @param {MachineParams} params
+   * @param {number} g
+   * @param {number} bc
+   * @param {TieSettings} tie
+   * @param {{A: number, B: number}|null} [sat] 飽和関数の定数（saturationCoefficients）
+   * @returns {{Vt: Root, VL: Root, E: Root, I: Root, delta: number, Ed: number, Eq: number, Efd: number,
+   *            Qg: number, Ptie: number, Qtie: number, iterations: number}|null}
+   *          複素量は無限大母線基準の位相。delta は q軸の位相 [rad]、Ptie, Qtie は連系線から分離系統への受電。
+   *          Pg が送電限界を超えるなど解が無い場合は null
+   */
+  const preSeparationLoadFlow = (params, g, bc, { Rt, Xt, Vinf, Pg, Vt }, sat = null) => {
+    const yL = cxDiv(cx(1), cx(0, params.XL));
+    const yt = cxDiv(cx(1), cx(Rt, Xt));
+    const ySum = cxAdd(cxAdd(yL, cx(g, bc)), yt);
+    const state = (theta) => {
+      const vt = cxPolar(Vt, theta);
+      const vl = cxDiv(cxAdd(cxMul(vt, yL), cxMul(cx(Vinf), yt)), ySum);
+      const i = cxMul(cxSub(vt, vl), yL);
+      return { vt, vl, i, P: vt.re * i.re + vt.im * i.im };
+    };
+
+    let theta = 0;
+    let iterations = 0;
+    for (; iterations < 50; iterations++) {
+      const { P } = state(theta);
+      if (Math.abs(P - Pg) < 1e-10) break;
+      const dP = (state(theta + 1e-7).P - P) / 1e-7;
+      // dP/dθ ≤ 0 は送電限界を超えた側（安定な解の枝ではない）
+      if (!(dP > 1e-9)) return null;
+      theta -= (P - Pg) / dP;
+      if (Math.abs(theta) > Math.PI / 2) return null;
+    }
+    if (iterations === 50) return null;
+
+    const { vt, vl, i } = state(theta);
+    const E = cxAdd(vt, cxMul(cx(0, params.Xd_prime), i));
+    const S = saturationFactor(sat, Math.hypot(E.re, E.im));
+    const EQ = cxAdd(cxMul(cx(1 + S), E), cxMul(cx(0, params.Xd - params.Xd_prime), i));
+    const delta = Math.atan2(EQ.im, EQ.re);
+    // q軸を虚軸に合わせる回転
+    const rot = cxPolar(1, Math.PI / 2 - delta);
+    const Erot = cxMul(E, rot);
+    const Irot = cxMul(i, rot);
+    const itie = cxMul(cxSub(cx(Vinf), vl), yt);
+    return {
+      Vt: vt, VL: vl, E, I: i, delta,
+      Ed: Erot.re,
+      Eq: Erot.im,
+      Efd: (1 + S) * Erot.im + (params.Xd - params.Xd_prime) * Irot.re,
+      Qg: vt.im * i.re - vt.re * i.im,
+      Ptie: vl.re * itie.re + vl.im * itie.im,
+      Qtie: vl.im * itie.re - vl.re * itie.im,
+      iterations,
+    };
+  };
+
+  return {
+    ELEMENT_TYPES,
+    loadVoltageFactor,
+    reduceNetwork,
+    calcNetworkAdmittance,
+    stabilityCircle,
+    kCircle,
+    checkStability,
+    stabilityMargin,
+    calculateK,
+    calculateEigenvalues,
+    rootLocus,
+    EXCITER_MODELS,
+    exciterStateSpace,
+    terminalVoltageRatio,
+    stateMatrix,
+    characteristicPolynomial,
+    isHurwitzStable,
+    matrixEigenvalues,
+    modalAnalysis,
+    eigenAnalysis,
+    checkStabilityWithExciter,
+    equivalentMachine,
+    multiMachineStateMatrix,
+    multiMachineAnalysis,
+    checkMultiMachineStability,
+    solveOperatingPoint,
+    saturationCoefficients,
+    saturationFactor,
+    saturatedEquilibrium,
+    preSeparationLoadFlow,
+  };
+}));
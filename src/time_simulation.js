@@ -0,0 +1,358 @@
+/**
+ * 分離後の時間応答シミュレーション（React非依存）
+ *
+ * ブラウザでは <script> で読み込むと window.TimeSimulation として、
+ * Node.js では require('./src/time_simulation.js') として利用できる（StabilityCore に依存）。
+ * 2軸発電機モデル（式7）を励磁系・周波数モデルとともに積分し、スイッチングイベントと
+ * 保護（UFLS・過電圧継電器）の動作で区切った区間ごとに運転点 (G, Bc) を切り替える。
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./stability_core.js'));
+  else root.TimeSimulation = factory(root.StabilityCore);
+}(typeof self !== 'undefined' ? self : this, function (StabilityCore) {
+  'use strict';
+
+  const { reduceNetwork, calcNetworkAdmittance } = StabilityCore;
+
+  // ===== 数値積分 =====
+  const addScaled = (x, h, k) => x.map((xi, i) => xi + h * k[i]);
+
+  const rk4Step = (f, t, x, h) => {
+    const k1 = f(t, x);
+    const k2 = f(t + h / 2, addScaled(x, h / 2, k1));
+    const k3 = f(t + h / 2, addScaled(x, h / 2, k2));
+    const k4 = f(t + h, addScaled(x, h, k3));
+    return x.map((xi, i) => xi + h / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+  };
+
+  // Dormand-Prince 5(4) 係数
+  const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+  const DP_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+  ];
+  const DP_B = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+  const DP_B_STAR = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+  const dormandPrinceStep = (f, t, x, h) => {
+    const k = [];
+    for (let s = 0; s < 7; s++) {
+      const xs = x.map((xi, i) => xi + h * DP_A[s].reduce((sum, a, j) => sum + a * k[j][i], 0));
+      k.push(f(t + DP_C[s] * h, xs));
+    }
+    const next = x.map((xi, i) => xi + h * DP_B.reduce((sum, b, s) => sum + b * k[s][i], 0));
+    const err = x.map((_, i) => h * DP_B.reduce((sum, b, s) => sum + (b - DP_B_STAR[s]) * k[s][i], 0));
+    return { next, err };
+  };
+
+  /**
+   * 常微分方程式 dx/dt = f(t, x) を t0〜t1 で積分する
+   * method: 'rk4'（固定刻み dt）| 'adaptive'（Dormand-Prince、許容誤差 rtol/atol）
+   * maxNorm を超えた時点で打ち切り、diverged を返す
+   * onStep(t, x) が true を返した時点でも打ち切り、stopped を返す（継電器の動作判定など）
+   * @param {function(number, number[]): number[]} f
+   * @param {number[]} x0
+   * @param {number} t0
+   * @param {number} t1
+   * @param {{method?: string, dt?: number, rtol?: number, atol?: number, maxNorm?: number, onStep?: function}} [options]
+   * @returns {{points: {t: number, x: number[]}[], diverged: boolean, stopped: boolean}}
+   */
+  const integrateODE = (f, x0, t0, t1, { method = 'rk4', dt = 0.01, rtol = 1e-6, atol = 1e-8, maxNorm = Infinity, onStep = null } = {}) => {
+    const points = [{ t: t0, x: x0 }];
+    const norm = (x) => Math.sqrt(x.reduce((s, xi) => s + xi * xi, 0));
+    let t = t0, x = x0, h = dt;
+
+    while (t < t1 - 1e-12) {
+      h = Math.min(h, t1 - t);
+      if (method === 'adaptive') {
+        const { next, err } = dormandPrinceStep(f, t, x, h);
+        const errNorm = Math.max(...err.map((e, i) => Math.abs(e) / (atol + rtol * Math.max(Math.abs(x[i]), Math.abs(next[i])))));
+        const factor = Math.min(5, Math.max(0.2, 0.9 * Math.pow(errNorm || 1e-10, -0.2)));
+        if (errNorm > 1 && h > 1e-8) {
+          h *= factor;
+          continue;
+        }
+        t += h;
+        x = next;
+        h = Math.min(h * factor, dt * 10);
+      } else {
+        x = rk4Step(f, t, x, h);
+        t += h;
+      }
+      points.push({ t, x });
+      if (norm(x) > maxNorm) return { points, diverged: true, stopped: false };
+      if (onStep && onStep(t, x)) return { points, diverged: false, stopped: true };
+    }
+    return { points, diverged: false, stopped: false };
+  };
+
+
+  // ===== 2軸発電機モデル（式7, ΔEfd = 0）=====
+  // Tq0' dE'd/dt = (QY'i - 1)E'd + QY'r E'q
+  // Td0' dE'q/dt = Efd - QY'r E'd + (QY'i - 1)E'q
+  // 係数行列の特性方程式は式(8)に一致する
+  // sat（飽和関数の定数）を指定すると -1 を -(1 + S(|E'|)) に置き換えた非線形モデルになる
+  const twoAxisModel = (params, Y, Efd, sat = null) => {
+    const Q = params.Xd - params.Xd_prime;
+    const a = Q * Y.Yi - 1;
+    const r = Q * Y.Yr;
+    return (t, [Ed, Eq]) => {
+      const as = a - StabilityCore.saturationFactor(sat, Math.hypot(Ed, Eq));
+      return [
+        (as * Ed + r * Eq) / params.Tq0_prime,
+        (Efd - r * Ed + as * Eq) / params.Td0_prime,
+      ];
+    };
+  };
+
+  // ===== 2軸発電機モデル + 励磁系 =====
+  // Efd = Efd0 + ΔEfd、ΔEfd は励磁系の状態方程式（誤差 e = Vref - |Vt|）から求める
+  // 出力段 VR が上下限に達したら、その方向への変化を止める
+  const excitedTwoAxisModel = (params, Y, Efd0, exc, Vref, sat = null) => {
+    const Q = params.Xd - params.Xd_prime;
+    const a = Q * Y.Yi - 1;
+    const r = Q * Y.Yr;
+    const vt = StabilityCore.terminalVoltageRatio(params, Y);
+    return (t, x) => {
+      const [Ed, Eq] = x;
+      const xe = x.slice(2, 2 + exc.A.length);
+      const Efd = Efd0 + exc.C.reduce((sum, c, i) => sum + c * xe[i], 0);
+      const E = Math.hypot(Ed, Eq);
+      const as = a - StabilityCore.saturationFactor(sat, E);
+      const e = Vref - vt * E;
+      const dxe = exc.A.map((row, i) => row.reduce((sum, v, j) => sum + v * xe[j], exc.B[i] * e));
+      if (exc.limit) {
+        const { index, min, max } = exc.limit;
+        if ((xe[index] >= max && dxe[index] > 0) || (xe[index] <= min && dxe[index] < 0)) dxe[index] = 0;
+      }
+      return [
+        (as * Ed + r * Eq) / params.Tq0_prime,
+        (Efd - r * Ed + as * Eq) / params.Td0_prime,
+        ...dxe,
+      ];
+    };
+  };
+
+
+  // ===== 孤立系の周波数モデル（集約した動揺方程式 + 調速機）=====
+  // 2H dΔf/dt = Pm - Pe - DΔf、TG dPm/dt = Pm0 - Pm - Δf/R（Pm は Pmax で頭打ち）
+  // Δf は定格周波数に対する p.u.、Pe = G·VL²。状態は電気系の状態の後ろに [Δf, Pm] を並べる
+  const withFrequency = (electrical, freq, n, Pe) => (t, x) => {
+    const [df, Pm] = x.slice(n);
+    const dPm = (freq.Pm0 - Pm - df / freq.R) / freq.TG;
+    return [
+      ...electrical(t, x),
+      (Pm - Pe(x) - freq.D * df) / (2 * freq.H),
+      Pm >= freq.Pmax && dPm > 0 ? 0 : dPm,
+    ];
+  };
+
+
+  /**
+   * イベント列を時刻順に適用し、区間ごとの接続状態と運転点 (G, Bc) を求める
+   * 先頭区間は t = 0 の初期状態、以降は各イベント直後の状態
+   * reduce(state, separated) は接続状態から運転点を求める関数（既定は定インピーダンス縮約）
+   * @param {Object} systemConfig
+   * @param {Object<string, boolean>} connected 初期の接続状態
+   * @param {{id: number, t: number, action: string, target?: string}[]} events
+   * @param {function(Object<string, boolean>, boolean): {G: number, Bc: number}} [reduce]
+   * @returns {Object[]} 区間 { tStart, event, separated, connected, G, Bc, ... }
+   */
+  const buildSchedule = (systemConfig, connected, events, reduce = (state) => reduceNetwork(systemConfig, state)) => {
+    let state = { ...connected };
+    let separated = false;
+    const segments = [{ tStart: 0, event: null, separated, connected: state, ...reduce(state, separated) }];
+
+    [...events].sort((a, b) => a.t - b.t).forEach(ev => {
+      if (ev.action !== 'separate' && !systemConfig.elements.some(el => el.id === ev.target)) return;
+      if (ev.action === 'separate') separated = true;
+      else state = { ...state, [ev.target]: ev.action === 'close' };
+      segments.push({ tStart: ev.t, event: ev, separated, connected: state, ...reduce(state, separated) });
+    });
+    return segments;
+  };
+
+
+  /**
+   * スケジュールに沿った時間応答シミュレーション
+   * 分離前は主系統により負荷母線電圧 V が保持され、E' = (0, Eq0) で定常とする。
+   * 分離後は区間ごとに G, Bc を再計算して2軸モデルを積分し（E' は区間をまたいで連続）、
+   * E'd, E'q, 負荷端電圧 VL（式19）、発電機電流 |I| = |Y'||E'|、界磁電圧 Efd を出力する。
+   * 励磁系を指定した場合は分離前の端子電圧を設定値 Vref とし、分離前は励磁系も定常とする。
+   * saturation（S(1.0), S(1.2)）を指定した場合は発電機の飽和を含む非線形モデルで積分し、
+   * 分離前に E'q = Eq0 を保つ界磁電圧を Efd(1 + S(Eq0)) とする（自己励磁時の持続過電圧を再現）。
+   * frequency を指定した場合は周波数 f と機械入力 Pm も積分し、UFLS で負荷の一部を遮断する。
+   * ovr を指定した場合は分離後の VL で過電圧継電器を判定し、対象要素を開放・投入する。
+   * 保護動作の時刻で区間を分け、reduce(connected, separated, shed) で動作後の G, Bc を求める
+   * （動作結果は以降のイベント区間にも反映。ただし同じ要素を操作するイベントはそちらを優先）。
+   * initial（preSeparationLoadFlow の結果）を指定した場合は、連系線を通じて無限大母線に
+   * つながった分離前の潮流状態（E'd, E'q, Efd, 端子電圧 Vt）から分離後の応答を始める。
+   * @returns {{data: Object[], diverged: boolean, segments: Object[], trips: Object[], relayLog: Object[], saturated: boolean}}
+   *          segments は保護動作による区間（protection: true）を含む実際の区間列、
+   *          trips は保護動作の記録（kind: 'ufls' | 'ovr'）、relayLog は OVR の始動・復帰・動作の記録
+   */
+  const simulateSchedule = ({
+    params, segments, V = 1.0, Eq0 = 1.0, Efd = 1.0, tMax = 8, method = 'rk4', dt = 0.01,
+    exciter = { model: 'none', params: {} }, frequency = null, ovr = null, saturation = null, reduce = null,
+    initial = null,
+  }) => {
+    const X = params.XL + params.Xd_prime;
+    const sat = saturation ? StabilityCore.saturationCoefficients(saturation) : null;
+    // 潮流計算の Efd は飽和を考慮済み
+    const Efd0 = initial ? initial.Efd : Efd * (1 + StabilityCore.saturationFactor(sat, Eq0));
+    const exc = StabilityCore.exciterStateSpace(exciter, Efd0);
+    const n = 2 + exc.A.length;
+    // 分離前は E' と V が同相: Vt = E' - Xd'(E' - V)/X
+    const Vref = initial ? Math.hypot(initial.Vt.re, initial.Vt.im) : Eq0 - params.Xd_prime * (Eq0 - V) / X;
+    // 分離前の出力値（無限大母線モデルでは潮流計算の結果）
+    const pre = initial
+      ? { Ed: initial.Ed, Eq: initial.Eq, VL: Math.hypot(initial.VL.re, initial.VL.im), I: Math.hypot(initial.I.re, initial.I.im) }
+      : { Ed: 0, Eq: Eq0, VL: V, I: Math.abs(Eq0 - V) / X };
+    const data = [];
+    let x = [pre.Ed, pre.Eq, ...exc.A.map(() => 0), ...(frequency ? [0, frequency.Pm0] : [])];
+    let diverged = false;
+
+    const queue = segments.slice();
+    const used = [];
+    const trips = [];
+    const relayLog = [];
+    const stages = frequency ? frequency.stages.map(st => ({ ...st, since: null, tripped: false })) : [];
+    const relays = ovr ? ovr.relays.map(r => ({ ...r, since: null, lastT: null, progress: 0, tripped: false })) : [];
+    let shed = {};
+    let overrides = {};
+    const freqColumns = (xs) => (frequency ? { f: frequency.f0 * (1 + xs[n]), Pm: xs[n + 1] } : {});
+
+    for (let i = 0; i < queue.length && !diverged; i++) {
+      let seg = queue[i];
+      // 保護動作の結果（UFLS の遮断・OVR の開閉）を以降のイベント区間にも反映
+      if (!seg.protection && (Object.keys(shed).length > 0 || Object.keys(overrides).length > 0)) {
+        if (seg.event && seg.event.target in overrides) {
+          overrides = { ...overrides };
+          delete overrides[seg.event.target];
+        }
+        const connected = { ...seg.connected, ...overrides };
+        seg = { ...seg, connected, shed, ...reduce(connected, seg.separated, shed) };
+      }
+      used.push(seg);
+      const tEnd = Math.min(i + 1 < queue.length ? queue[i + 1].tStart : tMax, tMax);
+      if (tEnd <= seg.tStart) continue;
+      const Y = calcNetworkAdmittance(seg.G, seg.Bc, X);
+      const stable = StabilityCore.calculateEigenvalues(params, seg.G, seg.Bc, exciter).stable;
+      const base = { G: seg.G, Bc: seg.Bc, stable, separated: seg.separated };
+
+      if (!seg.separated) {
+        for (let t = seg.tStart; t < tEnd; t += dt) {
+          data.push({ t, ...pre, Efd: Efd0, ...freqColumns(x), ...base });
+        }
+        continue;
+      }
+      if (!Y) {
+        diverged = true;
+        continue;
+      }
+
+      // VL = E' / (1 - Bc X + jGX)
+      const loadVoltageRatio = 1 / Math.sqrt((1 - seg.Bc * X) ** 2 + (seg.G * X) ** 2);
+      const Ymag = Math.sqrt(Y.Yr ** 2 + Y.Yi ** 2);
+      let model = exc.A.length > 0 ? excitedTwoAxisModel(params, Y, Efd0, exc, Vref, sat) : twoAxisModel(params, Y, Efd0, sat);
+      if (frequency) {
+        model = withFrequency(model, frequency, n, (xs) => seg.G * (loadVoltageRatio * Math.hypot(xs[0], xs[1])) ** 2);
+      }
+
+      // 保護の判定（動作したら true を返して積分を打ち切る）
+      const protect = (t, xs) => {
+        let operated = false;
+        // UFLS: 整定値を下回った時刻から遅延時間が経過した段を動作させる
+        if (frequency) {
+          const f = frequency.f0 * (1 + xs[n]);
+          stages.filter(st => !st.tripped).forEach(st => {
+            if (f >= st.threshold) {
+              st.since = null;
+              return;
+            }
+            if (st.since === null) st.since = t;
+            if (t - st.since >= st.delay - 1e-9) {
+              st.tripped = true;
+              operated = true;
+              trips.push({ kind: 'ufls', t, f, stage: st.id, target: st.target, fraction: st.fraction });
+            }
+          });
+        }
+        // OVR: 対象要素を操作できる状態（開放なら投入中、投入なら開放中）でのみ判定する
+        const VL = loadVoltageRatio * Math.hypot(xs[0], xs[1]);
+        relays.filter(r => !r.tripped).forEach(r => {
+          const armed = r.target in seg.connected && seg.connected[r.target] !== (r.action === 'close');
+          if (!armed || VL < r.pickup) {
+            if (r.since !== null) relayLog.push({ t, relay: r.id, type: 'reset', VL });
+            r.since = null;
+            r.progress = 0;
+            return;
+          }
+          if (r.since === null) {
+            r.since = t;
+            r.lastT = t;
+            relayLog.push({ t, relay: r.id, type: 'pickup', VL });
+          }
+          // 反限時は t_op = TMS / (V/Vs - 1) を積算（IEC 60255 の過電圧 A 特性）
+          if (r.curve === 'inverse') r.progress += (t - r.lastT) * (VL / r.pickup - 1) / r.tms;
+          r.lastT = t;
+          if (r.curve === 'inverse' ? r.progress >= 1 : t - r.since >= r.delay - 1e-9) {
+            r.tripped = true;
+            operated = true;
+            relayLog.push({ t, relay: r.id, type: 'trip', VL });
+            trips.push({ kind: 'ovr', t, VL, relay: r.id, target: r.target, action: r.action });
+          }
+        });
+        return operated;
+      };
+      const onStep = frequency || relays.length > 0 ? protect : null;
+      const result = integrateODE(model, x, seg.tStart, tEnd, { method, dt, maxNorm: 20, onStep });
+
+      result.points.forEach(({ t, x: xs }) => {
+        const [Ed, Eq] = xs;
+        const E = Math.sqrt(Ed * Ed + Eq * Eq);
+        const efd = Efd0 + exc.C.reduce((sum, c, j) => sum + c * xs[2 + j], 0);
+        data.push({ t, Ed, Eq, VL: loadVoltageRatio * E, I: Ymag * E, Efd: efd, ...freqColumns(xs), ...base });
+      });
+      x = result.points[result.points.length - 1].x;
+      diverged = result.diverged;
+
+      if (result.stopped) {
+        // 同時刻に動作した保護ごとに区間を追加（遮断・開閉は累積）
+        const tTrip = result.points[result.points.length - 1].t;
+        let connected = seg.connected;
+        trips.filter(trip => trip.t === tTrip).forEach((trip, k) => {
+          let event;
+          if (trip.kind === 'ufls') {
+            shed = { ...shed, [trip.target]: Math.min(1, (shed[trip.target] || 0) + trip.fraction) };
+            event = { id: `ufls${trip.stage}`, action: 'ufls', stage: trip.stage, target: trip.target, fraction: trip.fraction };
+          } else {
+            overrides = { ...overrides, [trip.target]: trip.action === 'close' };
+            connected = { ...connected, [trip.target]: trip.action === 'close' };
+            event = { id: `ovr${trip.relay}`, action: 'ovr', relay: trip.relay, target: trip.target, operation: trip.action };
+          }
+          queue.splice(i + 1 + k, 0, {
+            tStart: tTrip, event: { ...event, t: +tTrip.toFixed(3) }, protection: true,
+            separated: true, connected, shed, ...reduce(connected, true, shed),
+          });
+        });
+      }
+    }
+    return { data, diverged, segments: used, trips, relayLog, saturated: sat !== null };
+  };
+
+
+  return {
+    integrateODE,
+    twoAxisModel,
+    excitedTwoAxisModel,
+    withFrequency,
+    buildSchedule,
+    simulateSchedule,
+  };
+}));
@@ -0,0 +1,147 @@
+// NetworkImport（MATPOWER / PSS/E RAW の読込と分離系統の縮約）の検査
+// 実行: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NetworkImport = require('../src/network_import.js');
+
+const assertClose = (actual, expected, tol = 1e-9, message) => {
+  assert.ok(Math.abs(actual - expected) <= tol * Math.max(1, Math.abs(expected)),
+    `${message ? `${message}: ` : ''}${actual} ≠ ${expected}`);
+};
+
+// 複素数 [re, im] の逆数と和（駆動点インピーダンスの手計算用）
+const inv = ([re, im]) => [re / (re * re + im * im), -im / (re * re + im * im)];
+const add = (a, b) => [a[0] + b[0], a[1] + b[1]];
+
+// 母線1（発電機）–母線2–母線3 の放射状系統
+const matpowerCase = ({ gen = true, mBase = 100, branch12 = '0 0.1 0' } = {}) => `function mpc = case3
+mpc.version = '2';
+mpc.baseMVA = 100;
+%% bus_i type Pd Qd Gs Bs area Vm Va baseKV zone Vmax Vmin
+mpc.bus = [
+  1 3 0  0 0 0  1 1 0 66 1 1.1 0.9;
+  2 1 20 5 0 10 1 1 0 66 1 1.1 0.9;
+  3 1 10 0 2 0  1 1 0 66 1 1.1 0.9;
+];
+${gen ? `mpc.gen = [
+  1 30 0 50 -50 1 ${mBase} 1 60 0;
+];` : ''}
+%% fbus tbus r x b rateA rateB rateC ratio angle status
+mpc.branch = [
+  1 2 ${branch12} 0 0 0 0 0 1;
+  2 3 0 0.2 0.04 0 0 0 0 0 1;
+];
+mpc.bus_name = { 'GEN'; 'LOAD-A'; 'LOAD-B' };
+`;
+
+test('MATPOWER: 負荷・調相設備・線路充電の合計と駆動点インピーダンスから G, Bc, XL を求める', () => {
+  const { network, errors, warnings } = NetworkImport.parseNetworkCase(matpowerCase(), 'case3.m');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(network.buses.map(bus => bus.name), ['GEN', 'LOAD-A', 'LOAD-B']);
+  assert.deepEqual(network.generators, [{ id: '1-1', bus: 1, Pg: 30, mBase: 100 }]);
+
+  // 母線1・2 のみ: G = 20/100、Bc = (10 - 5)/100、Zin = j0.1 + 1/(G + jBc) → XL = 0.1
+  const two = NetworkImport.reduceIsland(network, [1, 2], 1);
+  assert.deepEqual(two.errors, []);
+  assert.deepEqual(two.warnings, []);
+  assertClose(two.equivalent.G, 0.2);
+  assertClose(two.equivalent.Bc, 0.05);
+  assertClose(two.equivalent.XL, 0.1);
+  assertClose(two.equivalent.R, 0, 1e-12);
+  assert.equal(two.equivalent.base, 100);
+  assert.equal(two.equivalent.ties, 1);
+
+  // 3 母線: 母線3 は (10 + 2)/100 と線路 2–3 の充電 0.04（両端に半分ずつ）
+  const three = NetworkImport.reduceIsland(network, [1, 2, 3], 1).equivalent;
+  const y2 = [0.2, 0.05 + 0.02], y3 = [0.12, 0.02];
+  const Zin = add([0, 0.1], inv(add(y2, inv(add([0, 0.2], inv(y3))))));
+  assertClose(three.G, 0.32);
+  assertClose(three.Bc, 0.09);
+  assertClose(three.lineCharging, 0.04);
+  assertClose(three.Zin.r, Zin[0]);
+  assertClose(three.Zin.x, Zin[1]);
+  assertClose(three.XL, Zin[1] - inv([0.32, 0.09])[1]);
+  assertClose(three.R, Zin[0] - inv([0.32, 0.09])[0]);
+
+  // 要素の合計は G, Bc に一致する
+  const elements = NetworkImport.islandElements(three);
+  const sum = (types) => elements.filter(el => types.includes(el.type)).reduce((s, el) => s + el.rating * (el.type === 'reactor' ? -1 : 1), 0);
+  assertClose(sum(['load']), three.G);
+  assertClose(sum(['capacitor', 'reactor', 'cable']), three.Bc);
+});
+
+test('reduceIsland: 発電機の mBase がシステム基準と異なれば mBase 基準に換算して警告する', () => {
+  const { network } = NetworkImport.parseNetworkCase(matpowerCase({ mBase: 50 }), 'case3.m');
+  const { equivalent, warnings } = NetworkImport.reduceIsland(network, [1, 2], 1);
+  assert.deepEqual(warnings, ['G, Bc, XL を発電機の定格容量 50 MVA 基準に換算しました（システム基準 100 MVA）']);
+  assert.equal(equivalent.base, 50);
+  // アドミタンスは 100/50 倍、インピーダンスは 50/100 倍
+  assertClose(equivalent.G, 0.4);
+  assertClose(equivalent.Bc, 0.1);
+  assertClose(equivalent.XL, 0.05);
+  assert.deepEqual(NetworkImport.islandElements(equivalent).map(el => [el.id, el.rating]), [
+    ['b2_load', 0.4], ['b2_q', 0.1], ['b2_sh', 0.2],
+  ]);
+});
+
+// 母線1（発電機、MBASE 100）–母線2（負荷・固定分路）、Rev.33
+const RAW_CASE = `0, 100.00, 33, 0, 1, 50.00 / 2 母線の検査用
+TEST CASE
+SECOND LINE
+1,'GEN     ', 66.0000,3,   1,   1,   1,1.00000,   0.0000
+2,'LOAD    ', 66.0000,1,   1,   1,   1,1.00000,   0.0000
+0 / END OF BUS DATA, BEGIN LOAD DATA
+2,'1 ',1,   1,   1,    15.000,     3.000,     3.000,     1.000,     2.000,    -1.000,   1,1,0
+0 / END OF LOAD DATA, BEGIN FIXED SHUNT DATA
+2,'1 ',1,     0.000,    10.000
+0 / END OF FIXED SHUNT DATA, BEGIN GENERATOR DATA
+1,'1 ',    20.000,     0.000,    50.000,   -50.000,1.00000,     0,   100.000, 0.00000E+0, 2.00000E-1, 0.00000E+0, 0.00000E+0,1.00000,1,  100.0,    60.000,     0.000
+0 / END OF GENERATOR DATA, BEGIN BRANCH DATA
+1,     2,'1 ', 0.00000E+0, 1.00000E-1,   0.04000,     0.00,     0.00,     0.00,  0.00000,  0.00000,  0.00000,  0.00000,1,1,   0.00
+0 / END OF BRANCH DATA, BEGIN TRANSFORMER DATA
+0 / END OF TRANSFORMER DATA
+Q
+`;
+
+test('PSS/E RAW: 負荷（定電力 + 定電流 + 定アドミタンス）と固定分路・線路充電を集約する', () => {
+  const { network, errors, warnings } = NetworkImport.parseNetworkCase(RAW_CASE, 'case2.raw');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+  assert.equal(network.format, 'psse');
+  // Pd = 15 + 3 + 2、Qd = 3 + 1 - (-1)
+  assert.deepEqual(network.buses.map(bus => [bus.name, bus.Pd, bus.Qd, bus.Bs]), [['GEN', 0, 0, 0], ['LOAD', 20, 5, 10]]);
+  assert.deepEqual(network.generators, [{ id: '1-1', bus: 1, Pg: 20, mBase: 100 }]);
+
+  // G = 0.2、Bc = (10 - 5)/100 + 0.04、Zin = 1/(j0.02 + 1/(j0.1 + 1/(0.2 + j0.07)))
+  const { equivalent } = NetworkImport.reduceIsland(network, [1, 2], 1);
+  const Zin = inv(add([0, 0.02], inv(add([0, 0.1], inv([0.2, 0.07])))));
+  assertClose(equivalent.G, 0.2);
+  assertClose(equivalent.Bc, 0.09);
+  assertClose(equivalent.Zin.x, Zin[1]);
+  assertClose(equivalent.XL, Zin[1] - inv([0.2, 0.09])[1]);
+});
+
+test('読込・縮約の誤りはエラーとして返す', () => {
+  // 未対応の Rev
+  const rev34 = NetworkImport.parseNetworkCase(RAW_CASE.replace('100.00, 33,', '100.00, 34,'), 'case2.raw');
+  assert.equal(rev34.network, null);
+  assert.deepEqual(rev34.errors, ['PSS/E RAW Rev.34 は未対応です（Rev.33 のみ）']);
+
+  // 発電機が無い
+  const noGen = NetworkImport.parseNetworkCase(matpowerCase({ gen: false }), 'case3.m');
+  assert.deepEqual(noGen.errors, []);
+  assert.deepEqual(noGen.network.generators, []);
+  assert.deepEqual(NetworkImport.reduceIsland(noGen.network, [1, 2], 1).errors, ['母線 1 は選択した母線内の発電機母線ではありません']);
+
+  // 発電機母線とつながらない母線（母線3 は母線2 経由でのみ接続）
+  const { network } = NetworkImport.parseNetworkCase(matpowerCase(), 'case3.m');
+  const isolated = NetworkImport.reduceIsland(network, [1, 3], 1);
+  assert.equal(isolated.equivalent, null);
+  assert.deepEqual(isolated.errors, ['発電機母線と接続されていない母線があります: 3']);
+
+  // r = x = 0 のブランチ
+  const shorted = NetworkImport.parseNetworkCase(matpowerCase({ branch12: '0 0 0' }), 'case3.m').network;
+  assert.deepEqual(NetworkImport.reduceIsland(shorted, [1, 2, 3], 1).errors,
+    ['ブランチ 1（母線 1–2）のインピーダンスが 0 です（両端の母線を1つにまとめてください）']);
+});
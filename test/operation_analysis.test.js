@@ -0,0 +1,161 @@
+// OperationAnalysis（開閉計画の探索・モンテカルロ評価・負荷プロフィール）の検査
+// 実行: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StabilityCore = require('../src/stability_core.js');
+const OperationAnalysis = require('../src/operation_analysis.js');
+
+const params = { Xd: 1.8, Xd_prime: 0.3, XL: 5.0, Td0_prime: 5.0, Tq0_prime: 1.0 };
+
+const evaluate = (G, Bc) => {
+  const { Bc_center, R } = StabilityCore.stabilityCircle(params);
+  return {
+    stable: StabilityCore.checkStability(params, G, Bc),
+    k: StabilityCore.calculateK(params, G, Bc),
+    margin: Math.hypot(G, Bc - Bc_center) - R,
+  };
+};
+
+// 全接続で (G, Bc) = (0.01, 0.175) は安定境界円の内部
+const systemConfig = {
+  V: 1.0, S_base: 100,
+  elements: [
+    { id: 'load1', type: 'load', rating: 0.01 },
+    { id: 'cap1', type: 'capacitor', rating: 0.075 },
+    { id: 'cap2', type: 'capacitor', rating: 0.1 },
+  ],
+};
+const connected = { load1: true, cap1: true, cap2: true };
+
+test('searchSwitchingPlans: 条件を満たす計画を遮断負荷・操作回数の順に並べる', () => {
+  assert.equal(evaluate(0.01, 0.175).stable, false);
+  const plans = OperationAnalysis.searchSwitchingPlans({
+    systemConfig, connected, evaluate, objective: 'shed', kMin: 0, kMax: 2, requireStable: true, allowClose: false,
+  });
+  // cap1 のみ開放は k = 1/|1 - 0.1·5.3 + j0.01·5.3| > 2 のため除外
+  assert.deepEqual(plans.map(plan => plan.changes), [['cap2'], ['cap1', 'cap2'], ['load1', 'cap2'], ['load1', 'cap1', 'cap2']]);
+  assert.deepEqual(plans.map(plan => plan.shedMW), [0, 0, 1, 1]);
+  plans.forEach(plan => {
+    assert.ok(plan.stable && plan.k <= 2);
+    assert.equal(plan.ops, plan.changes.length);
+  });
+  assert.equal(plans[0].connected.cap2, false);
+
+  // 操作回数を優先すると 1 操作の計画が先頭に並ぶ
+  const byOps = OperationAnalysis.searchSwitchingPlans({
+    systemConfig, connected, evaluate, objective: 'ops', kMin: 0, kMax: 2, requireStable: true, allowClose: false,
+  });
+  assert.deepEqual(byOps.map(plan => plan.ops), [1, 2, 2, 3]);
+});
+
+test('searchSwitchingPlans: 要素数が上限を超えると操作回数 3 以下に限定する', () => {
+  const n = OperationAnalysis.PLAN_FULL_SEARCH_LIMIT + 1;
+  const many = {
+    ...systemConfig,
+    elements: Array.from({ length: n }, (_, i) => ({ id: `c${i}`, type: 'capacitor', rating: 0.01 })),
+  };
+  const all = Object.fromEntries(many.elements.map(el => [el.id, true]));
+  const plans = OperationAnalysis.searchSwitchingPlans({
+    systemConfig: many, connected: all, evaluate, objective: 'ops', kMin: 0, kMax: Infinity, requireStable: false,
+    allowClose: false, limit: Infinity,
+  });
+  const choose = (k) => (k === 0 ? 1 : choose(k - 1) * (n - k + 1) / k);
+  assert.equal(plans.length, choose(0) + choose(1) + choose(2) + choose(3));
+  assert.ok(plans.every(plan => plan.ops <= 3));
+});
+
+test('parseHistogram: 書式の誤りや重みがすべて 0 の分布は null', () => {
+  const bins = OperationAnalysis.parseHistogram('0.8-1.0:1, 1.0 - 1.2 : 2,');
+  assert.deepEqual(bins, [{ from: 0.8, to: 1.0, weight: 1 }, { from: 1.0, to: 1.2, weight: 2 }]);
+  assert.deepEqual(OperationAnalysis.parseHistogram(OperationAnalysis.formatHistogram(bins)), bins);
+  ['', '1.0-0.8:1', '0.8-1.0:0, 1.0-1.2:0', '0.8-1.0', 'a-b:1', '0.8-1.0:-1'].forEach(text => {
+    assert.equal(OperationAnalysis.parseHistogram(text), null, text);
+  });
+});
+
+// 1 要素の定格倍率 x をそのまま G とし、判定の閾値から確率を解析的に求める
+const monteCarlo = (distribution, seed = 1, samples = 4000) => OperationAnalysis.runMonteCarlo({
+  systemConfig: { V: 1.0, elements: [{ id: 'load1', type: 'load', rating: 1.0 }] },
+  distributions: { load1: distribution },
+  samples, seed, kLimit: 2.5,
+  reduce: (sc) => ({ G: sc.elements[0].rating, Bc: 0 }),
+  evaluate: (G) => ({ stable: G < 0.8, k: 2 * G, eigenvalues: { stable: G < 1.2, real: G - 1.2 } }),
+});
+
+test('runMonteCarlo: 種を固定した標本の確率が分布から求めた値と信頼区間内で一致する', () => {
+  const uniform = monteCarlo({ type: 'uniform', low: 0.5, high: 1.5 });
+  [['unstable', uniform.pUnstable, 0.7], ['eigenUnstable', uniform.pEigenUnstable, 0.3], ['kHigh', uniform.pKHigh, 0.25]]
+    .forEach(([key, p, expected]) => {
+      assert.ok(Math.abs(uniform.ci[key] - 1.96 * Math.sqrt(p * (1 - p) / 4000)) < 1e-12, key);
+      assert.ok(Math.abs(p - expected) <= uniform.ci[key], `${key}: ${p} ≠ ${expected} ± ${uniform.ci[key]}`);
+    });
+  assert.ok(uniform.points.every(pt => pt.G >= 0.5 && pt.G < 1.5));
+
+  // 正規分布（sd = 0.3）: P(x ≥ 1.2) = 1 - Φ(2/3)
+  const normal = monteCarlo({ type: 'normal', sd: 0.3 });
+  assert.ok(Math.abs(normal.pEigenUnstable - 0.2525) <= normal.ci.eigenUnstable, `${normal.pEigenUnstable}`);
+  // ヒストグラム: [0.8, 1.0) に 1、[1.0, 1.6) に 3 の重み → P(x ≥ 1.2) = 3/4 · 4/6
+  const histogram = monteCarlo({ type: 'histogram', bins: [{ from: 0.8, to: 1.0, weight: 1 }, { from: 1.0, to: 1.6, weight: 3 }] });
+  assert.ok(Math.abs(histogram.pEigenUnstable - 0.5) <= histogram.ci.eigenUnstable, `${histogram.pEigenUnstable}`);
+  assert.equal(histogram.pUnstable, 1);
+  // 固定は定格のまま
+  assert.ok(monteCarlo({ type: 'fixed' }, 1, 10).points.every(pt => pt.G === 1.0));
+});
+
+test('runMonteCarlo: 同じ種は同じ標本列、異なる種は異なる標本列になる', () => {
+  const dist = { type: 'normal', sd: 0.1 };
+  assert.deepEqual(monteCarlo(dist, 7, 50).points, monteCarlo(dist, 7, 50).points);
+  assert.notDeepEqual(monteCarlo(dist, 7, 50).points, monteCarlo(dist, 8, 50).points);
+});
+
+const profileElements = [
+  { id: 'load1', name: '負荷1（工場）', type: 'load', rating: 0.1 },
+  { id: 'cap1', name: 'コンデンサ1', type: 'capacitor', rating: 0.2 },
+];
+
+test('parseLoadProfile: 見出しを要素 ID・名前と照合し、時刻を時間数に換算する', () => {
+  const { profile, errors, warnings } = OperationAnalysis.parseLoadProfile(
+    '# 日負荷\ntime,load1,コンデンサ1,other\n0:00,0.5,1,9\n6:30,1.0,0.5,9\r\n24,0.5,1,9\n', profileElements);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, ['列「other」に対応する要素が無いため無視しました']);
+  assert.deepEqual(profile, { times: [0, 6.5, 24], series: { load1: [0.5, 1.0, 0.5], cap1: [1, 0.5, 1] }, period: 24 });
+
+  // 24 時間を超えると週間プロフィール
+  const weekly = OperationAnalysis.parseLoadProfile('time\tload1\n0\t1\n100\t1\n170\t1', profileElements);
+  assert.equal(weekly.profile.period, 168);
+  assert.deepEqual(weekly.warnings, ['168 時間を超える時刻があります（週間プロフィールとして表示）']);
+  assert.equal(OperationAnalysis.formatProfileTime(30.5, 168), '2日目 6:30');
+  assert.equal(OperationAnalysis.formatProfileTime(23.999, 24), '24:00');
+});
+
+test('parseLoadProfile: 不正な行を行番号付きで列挙し、プロフィールを返さない', () => {
+  const errorsOf = (text) => {
+    const { profile, errors } = OperationAnalysis.parseLoadProfile(text, profileElements);
+    assert.equal(profile, null);
+    return errors;
+  };
+  assert.deepEqual(errorsOf('time,load1\n0,1'), ['見出し行と 2 行以上のデータが必要です']);
+  assert.deepEqual(errorsOf('time,other\n0,1\n1,1'), ['要素に対応する列がありません']);
+  assert.deepEqual(errorsOf('time,load1,cap1\n0,1,1\nx,1,1\n0:30,1\n0:20,-1,abc'), [
+    '3 行目: 時刻「x」が不正です',
+    '4 行目: cap1 の値「」が不正です',
+    '5 行目: 時刻が増加していません',
+    '5 行目: load1 の値「-1」が不正です',
+    '5 行目: cap1 の値「abc」が不正です',
+  ]);
+  const many = ['time,load1', ...Array.from({ length: 12 }, (_, i) => `${i},x`)].join('\n');
+  assert.equal(errorsOf(many).length, 10);
+});
+
+test('evaluateProfile: 倍率・定格値の時系列から判定が続く区間をまとめる', () => {
+  const profile = { times: [0, 6, 12, 18, 24], series: { cap1: [1, 0.25, 0.25, 1, 3] }, period: 24 };
+  const systemConfig = { elements: [{ id: 'cap1', type: 'capacitor', rating: 0.5 }] };
+  const reduce = (sc) => ({ G: sc.elements[0].rating, Bc: 0 });
+  const evaluate = (G) => ({ stable: G > 0.2, k: 0.5 / G });
+  const ratio = OperationAnalysis.evaluateProfile({ profile, unit: 'ratio', systemConfig, reduce, evaluate, kLimit: 1.5 });
+  assert.deepEqual(ratio.points.map(pt => pt.G), [0.5, 0.125, 0.125, 0.5, 1.5]);
+  assert.deepEqual(ratio.periods, [{ from: 6, to: 18, risk: 'unstable' }]);
+  const rating = OperationAnalysis.evaluateProfile({ profile, unit: 'rating', systemConfig, reduce, evaluate, kLimit: 1.5 });
+  assert.deepEqual(rating.points.map(pt => pt.risk), [null, 'overvoltage', 'overvoltage', null, null]);
+  assert.deepEqual(rating.periods, [{ from: 6, to: 18, risk: 'overvoltage' }]);
+});
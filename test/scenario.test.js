@@ -0,0 +1,192 @@
+// Scenario（シナリオ JSON の検査・移行・URL ハッシュ符号化）の検査
+// 実行: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Scenario = require('../src/scenario.js');
+
+const params = { Xd: 1.8, Xd_prime: 0.3, XL: 5.0, Td0_prime: 5.0, Tq0_prime: 1.0 };
+
+const baseScenario = () => ({
+  format: Scenario.SCENARIO_FORMAT,
+  version: Scenario.SCENARIO_VERSION,
+  name: '検査用',
+  params: { ...params },
+  systemConfig: {
+    V: 1.0, S_base: 100, P_adj: 0, Qc_adj: 0,
+    elements: [
+      { id: 'load1', name: '負荷1', type: 'load', group: '', rating: 0.1 },
+      { id: 'cap1', name: 'コンデンサ1', type: 'capacitor', group: '', rating: 0.075 },
+    ],
+  },
+  connected: { load1: true, cap1: true },
+});
+
+const parseErrors = (raw) => {
+  const { scenario, errors } = Scenario.parseScenario(raw);
+  assert.equal(scenario, null);
+  return errors;
+};
+
+test('parseScenario: 正しいシナリオは警告なしで読み込み、未記載の設定は既定値とする', () => {
+  const { scenario, errors, warnings } = Scenario.parseScenario(baseScenario());
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(scenario.params, params);
+  assert.deepEqual(scenario.connected, { load1: true, cap1: true });
+  assert.equal(scenario.systemConfig.elements[0].model, 'Z');
+  assert.deepEqual(scenario.events, Scenario.DEFAULT_EVENTS);
+  assert.deepEqual(scenario.settings.exciter, Scenario.defaultExciter('none'));
+  assert.equal(scenario.settings.frequency, Scenario.DEFAULT_FREQUENCY);
+  assert.equal(scenario.simulation, null);
+});
+
+test('parseScenario: 形式・バージョンの誤りは読み込まない', () => {
+  assert.deepEqual(parseErrors(null), ['シナリオがオブジェクトではありません']);
+  assert.deepEqual(parseErrors([]), ['シナリオがオブジェクトではありません']);
+  assert.match(parseErrors({ ...baseScenario(), format: 'other' })[0], /形式「other」/);
+  assert.match(parseErrors({ ...baseScenario(), version: 1.5 })[0], /バージョン「1.5」が不正/);
+  assert.match(parseErrors({ ...baseScenario(), version: -1 })[0], /バージョン「-1」が不正/);
+  assert.match(parseErrors({ ...baseScenario(), version: Scenario.SCENARIO_VERSION + 1 })[0], /より新しい/);
+});
+
+test('parseScenario: パラメータ・系統構成の誤りをすべて列挙する', () => {
+  assert.deepEqual(parseErrors({ ...baseScenario(), params: undefined, systemConfig: undefined }),
+    ['params がありません', 'systemConfig.elements がありません']);
+
+  const raw = baseScenario();
+  raw.params.XL = 20;
+  raw.params.Xd = 0.2;
+  raw.systemConfig.V = 0;
+  raw.systemConfig.S_base = -1;
+  raw.systemConfig.elements.push(
+    'x',
+    { name: 'id なし', type: 'load', rating: 0.1 },
+    { id: 'load1', type: 'load', rating: 0.1 },
+    { id: 'svc', type: 'svc', rating: 0.1 },
+    { id: 'neg', type: 'load', rating: -0.1 },
+  );
+  assert.deepEqual(parseErrors(raw), [
+    'params.Xd: 0.5〜3 の範囲で入力してください',
+    'params.XL: 0.1〜10 の範囲で入力してください',
+    '要素 3: オブジェクトではありません',
+    '要素 4: id がありません',
+    '要素 5: id「load1」が重複しています',
+    '要素 6: 種類「svc」は不明です',
+    '要素 7: 定格が不正です',
+    'systemConfig.V は正の数にしてください',
+    'systemConfig.S_base は正の数にしてください',
+  ]);
+});
+
+test('parseScenario: 補完・除外した項目は警告として返す', () => {
+  const raw = baseScenario();
+  raw.systemConfig.elements.push(
+    { id: 'load2', type: 'load', rating: 0.05, model: 'unknown' },
+    { id: 'load3', type: 'load', rating: 0.05, model: 'ZIP', zip: [0.5, -0.5, 1] },
+    { id: 'load4', type: 'load', rating: 0.05, model: 'exp', alpha: 'x' },
+    { id: 'load5', type: 'load', rating: 0.05, model: 'ZIP', zip: [0, 0, 0] },
+  );
+  raw.connected = { load1: true, cap1: false, ghost: true };
+  raw.events = [{ id: 1, t: 0.5, action: 'separate' }, { t: -1, action: 'separate' }, { t: 1, action: 'open', target: 'ghost' }];
+  raw.settings = { exciter: { model: 'simple', params: { KA: -1 } }, simSettings: { method: 'adaptive' } };
+  const { scenario, errors, warnings } = Scenario.parseScenario(raw);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, [
+    '要素 3: 負荷モデル「unknown」は不明のため定インピーダンスとしました',
+    '要素 4: ZIP係数が不正のため既定値としました',
+    '要素 5: 電圧指数が不正のため既定値としました',
+    '要素 6: ZIP係数が不正のため既定値としました',
+    '存在しない要素の接続状態を無視しました: ghost',
+    '不正なイベント 2 件を除外しました',
+    '励磁系 KA が不正のため既定値としました',
+  ]);
+  assert.deepEqual(scenario.systemConfig.elements[3].zip, Scenario.DEFAULT_LOAD_MODEL.zip);
+  assert.equal(scenario.systemConfig.elements[4].alpha, Scenario.DEFAULT_LOAD_MODEL.alpha);
+  assert.deepEqual(scenario.systemConfig.elements[5].zip, Scenario.DEFAULT_LOAD_MODEL.zip);
+  assert.deepEqual(scenario.connected, { load1: true, cap1: false, load2: false, load3: false, load4: false, load5: false });
+  assert.equal(scenario.settings.exciter.model, 'simple');
+  assert.deepEqual(scenario.settings.exciter.params, Scenario.defaultExciter('simple').params);
+  assert.equal(scenario.settings.simSettings.method, 'adaptive');
+});
+
+test('parseScenario: 目標 k・シミュレーション設定は画面の入力範囲に丸めて警告する', () => {
+  const raw = baseScenario();
+  raw.settings = { targetK: 3, kTolerance: 'x', simSettings: { method: 'rk4', dt: 1e-6, tMax: 1e6 } };
+  const { scenario, warnings } = Scenario.parseScenario(raw);
+  assert.deepEqual(warnings, [
+    '目標 k 3 を 0.5〜1.5 の範囲に丸めました',
+    '目標 k の許容幅 が不正のため既定値としました',
+    'シミュレーション刻み Δt 0.000001 を 0.001〜0.1 の範囲に丸めました',
+    'シミュレーション時間 1000000 を 1〜60 の範囲に丸めました',
+  ]);
+  assert.equal(scenario.settings.targetK, Scenario.SETTING_RANGES.targetK.max);
+  assert.equal(scenario.settings.kTolerance, 0.05);
+  assert.deepEqual(scenario.settings.simSettings, { method: 'rk4', dt: 0.001, tMax: 60 });
+
+  // 範囲内の値はそのまま、設定が無ければ既定値
+  raw.settings = { targetK: 0.9, kTolerance: 0.1, simSettings: { method: 'adaptive', dt: 0.02, tMax: 12 } };
+  const inRange = Scenario.parseScenario(raw);
+  assert.deepEqual(inRange.warnings, []);
+  assert.deepEqual(inRange.scenario.settings.simSettings, { method: 'adaptive', dt: 0.02, tMax: 12 });
+  assert.deepEqual(Scenario.parseScenario(baseScenario()).scenario.settings.simSettings, Scenario.DEFAULT_SIM_SETTINGS);
+});
+
+test('buildScenario → parseScenario: 合計が 1 でない ZIP係数は比率を保って正規化して読み戻す', () => {
+  const { scenario } = Scenario.parseScenario(baseScenario());
+  // 画面の ZIP 欄は係数を個別に編集するため、合計が 1 でない状態のまま保存できる
+  // （load3・cap2 は既定の UFLS 段・OVR の対象）
+  const systemConfig = {
+    ...scenario.systemConfig,
+    elements: [
+      ...scenario.systemConfig.elements,
+      { id: 'load2', name: '負荷2', type: 'load', group: '', rating: 0.05, model: 'ZIP', zip: [0.5, 0.5, 0.5] },
+      { id: 'load3', name: '負荷3', type: 'load', group: '', rating: 0.02, model: 'Z' },
+      { id: 'cap2', name: 'コンデンサ2', type: 'capacitor', group: '', rating: 0.05 },
+    ],
+  };
+  const connected = { ...scenario.connected, load2: true, load3: true, cap2: false };
+  const saved = Scenario.buildScenario({ ...scenario, systemConfig, connected });
+  const { scenario: loaded, errors, warnings } = Scenario.parseScenario(JSON.parse(JSON.stringify(saved)));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, ['要素 3: ZIP係数の合計 1.5 を 1 に正規化しました']);
+  loaded.systemConfig.elements[2].zip.forEach(a => assert.ok(Math.abs(a - 1 / 3) < 1e-12, `${a}`));
+  assert.deepEqual(loaded.connected, connected);
+
+  // 正規化後は警告なしで往復する
+  const again = Scenario.parseScenario(JSON.parse(JSON.stringify(Scenario.buildScenario(loaded))));
+  assert.deepEqual(again.warnings, []);
+  assert.deepEqual(again.scenario.systemConfig, loaded.systemConfig);
+  assert.deepEqual(again.scenario.settings, loaded.settings);
+});
+
+test('SCENARIO_MIGRATIONS: version の無い固定構成のシナリオを要素一覧に移行する', () => {
+  const legacy = {
+    params: { ...params },
+    systemConfig: { V: 1.0, S_base: 100, P_load1: 0.05, P_load2: 0.03, Qc_cap1: 0.04, Qc_cable: 0.015, P_adj: 0.01, Qc_adj: 0 },
+    connected: { load1: true, load2: false, cap1: true, cable: true },
+  };
+  const migrated = Scenario.SCENARIO_MIGRATIONS[0](legacy);
+  assert.equal(migrated.version, 1);
+  assert.deepEqual(migrated.systemConfig.elements.map(el => [el.id, el.type, el.rating]), [
+    ['load1', 'load', 0.05], ['load2', 'load', 0.03], ['cap1', 'capacitor', 0.04], ['cable', 'cable', 0.015],
+  ]);
+
+  const { scenario, errors, warnings } = Scenario.parseScenario(legacy);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, ['バージョン 0 から 1 に移行しました']);
+  assert.equal(scenario.version, Scenario.SCENARIO_VERSION);
+  assert.deepEqual(scenario.connected, { load1: true, load2: false, cap1: true, cable: true });
+  assert.equal(scenario.systemConfig.P_adj, 0.01);
+
+  // 要素一覧を持つ version 0 は version だけを更新する
+  const current = baseScenario();
+  delete current.version;
+  assert.deepEqual(Scenario.SCENARIO_MIGRATIONS[0](current).systemConfig, current.systemConfig);
+});
+
+test('encodeScenarioHash / decodeScenarioHash: 日本語を含むシナリオを URL ハッシュで往復できる', () => {
+  const scenario = Scenario.parseScenario(baseScenario()).scenario;
+  const encoded = Scenario.encodeScenarioHash(scenario);
+  assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(Scenario.decodeScenarioHash(encoded), JSON.parse(JSON.stringify(scenario)));
+});
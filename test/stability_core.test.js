@@ -0,0 +1,373 @@
+// StabilityCore の閉形式との照合（docs/theory_analysis.md の式5, 8, 9, 22、励磁系・多機系・飽和・分離前潮流）
+// 実行: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StabilityCore = require('../src/stability_core.js');
+
+const params = { Xd: 1.8, Xd_prime: 0.3, XL: 5.0, Td0_prime: 5.0, Tq0_prime: 1.0 };
+const X = params.XL + params.Xd_prime;
+const Q = params.Xd - params.Xd_prime;
+
+const assertClose = (actual, expected, tol = 1e-9, message) => {
+  assert.ok(Math.abs(actual - expected) <= tol * Math.max(1, Math.abs(expected)),
+    `${message ? `${message}: ` : ''}${actual} ≠ ${expected}`);
+};
+
+// 式5: Y' = 1 / (jX + 1/(G + jBc)) を複素数で直接計算
+const admittance = (g, bc) => {
+  const d = g * g + bc * bc;
+  const zr = g / d, zi = -bc / d + X;
+  const m = zr * zr + zi * zi;
+  return { Yr: zr / m, Yi: -zi / m };
+};
+
+// 式8: Td0'Tq0's² - (Td0' + Tq0')(Y'iQ - 1)s + (Y'iQ - 1)² + Y'r²Q² = 0 の根
+const characteristicRoots = (g, bc) => {
+  const { Yr, Yi } = admittance(g, bc);
+  const a = params.Td0_prime * params.Tq0_prime;
+  const b = -(params.Td0_prime + params.Tq0_prime) * (Yi * Q - 1);
+  const c = (Yi * Q - 1) ** 2 + (Yr * Q) ** 2;
+  const disc = b * b - 4 * a * c;
+  if (disc >= 0) {
+    return [{ re: (-b + Math.sqrt(disc)) / (2 * a), im: 0 }, { re: (-b - Math.sqrt(disc)) / (2 * a), im: 0 }];
+  }
+  const im = Math.sqrt(-disc) / (2 * a);
+  return [{ re: -b / (2 * a), im }, { re: -b / (2 * a), im: -im }];
+};
+
+const byRealThenImag = (p, q) => (q.re - p.re) || (q.im - p.im);
+
+const OPERATING_POINTS = [
+  [0.1, 0.075], [0.0, 0.16], [0.01, 0.17], [0.3, 0.0], [0.05, 0.25], [0.02, 0.15],
+];
+
+test('式5: calcNetworkAdmittance は並列合成アドミタンスと一致する', () => {
+  OPERATING_POINTS.filter(([g, bc]) => g > 0 || bc > 0).forEach(([g, bc]) => {
+    const Y = StabilityCore.calcNetworkAdmittance(g, bc, X);
+    const expected = admittance(g, bc);
+    assertClose(Y.Yr, expected.Yr, 1e-9, `Yr (${g}, ${bc})`);
+    assertClose(Y.Yi, expected.Yi, 1e-9, `Yi (${g}, ${bc})`);
+  });
+  // 直列共振（G = 0, Bc = 1/X）では null
+  assert.equal(StabilityCore.calcNetworkAdmittance(0, 1 / X, X), null);
+});
+
+test('式9: stabilityCircle の中心と半径', () => {
+  const circle = StabilityCore.stabilityCircle(params);
+  assert.equal(circle.G_center, 0);
+  assertClose(circle.Bc_center, 0.5 * (1 / (params.XL + params.Xd_prime) + 1 / (params.XL + params.Xd)));
+  assertClose(circle.R, (params.Xd - params.Xd_prime) / (2 * (params.XL + params.Xd_prime) * (params.XL + params.Xd)));
+});
+
+test('式9: checkStability は円の外部で安定、内部で不安定', () => {
+  const { Bc_center, R } = StabilityCore.stabilityCircle(params);
+  assert.equal(StabilityCore.checkStability(params, 0, Bc_center), false);
+  assert.equal(StabilityCore.checkStability(params, 0.5 * R, Bc_center + 0.5 * R), false);
+  assert.equal(StabilityCore.checkStability(params, 1.01 * R, Bc_center), true);
+  assert.equal(StabilityCore.checkStability(params, 0, Bc_center + 1.01 * R), true);
+  assert.equal(StabilityCore.checkStability(params, 0.1, 0.075), true);
+});
+
+test('式8: 励磁系なしの calculateEigenvalues は特性方程式の根と一致する', () => {
+  OPERATING_POINTS.forEach(([g, bc]) => {
+    const ev = StabilityCore.calculateEigenvalues(params, g, bc);
+    const expected = characteristicRoots(g, bc).sort(byRealThenImag);
+    const roots = ev.roots.slice().sort(byRealThenImag);
+    assert.equal(roots.length, 2);
+    roots.forEach((r, i) => {
+      assertClose(r.re, expected[i].re, 1e-7, `Re (${g}, ${bc})`);
+      assertClose(Math.abs(r.im), Math.abs(expected[i].im), 1e-7, `Im (${g}, ${bc})`);
+    });
+    // 式8 の Routh-Hurwitz 条件（式9）と固有値の安定判定が一致
+    assert.equal(ev.stable, StabilityCore.checkStability(params, g, bc), `stable (${g}, ${bc})`);
+  });
+});
+
+// 式22 の k 等高線は中心 (0, 1/X) の円。半径は式21 を整理した 1/(kX)
+// （theory_analysis.md の式22 の右辺 (1 - k²)/(k²X²) は式21 を満たさないため、式21 との整合で検査する）
+test('式22: k 等高線上の点で calculateK が k を返す', () => {
+  [0.8, 1.0, 1.2, 1.5].forEach(k => {
+    const circle = StabilityCore.kCircle(params, k);
+    assert.equal(circle.G_center, 0);
+    assertClose(circle.Bc_center, 1 / X);
+    [0, Math.PI / 6, Math.PI / 3, Math.PI / 2].forEach(theta => {
+      const g = circle.R * Math.cos(theta);
+      const bc = circle.Bc_center - circle.R * Math.sin(theta);
+      assertClose(StabilityCore.calculateK(params, g, bc), k, 1e-9, `k=${k}, θ=${theta}`);
+    });
+  });
+  // k = 1/|1 - BcX + jGX|
+  assertClose(StabilityCore.calculateK(params, 0.1, 0.075), 1 / Math.hypot(1 - 0.075 * X, 0.1 * X));
+  assert.equal(StabilityCore.calculateK(params, 0, 1 / X), 999);
+});
+
+test('reduceNetwork: 接続中の要素から G = P/V², Bc = Qc/V² を求める', () => {
+  const systemConfig = {
+    V: 1.1, P_adj: 0.01, Qc_adj: -0.005,
+    elements: [
+      { id: 'l1', type: 'load', rating: 0.05 },
+      { id: 'l2', type: 'load', rating: 0.03 },
+      { id: 'c1', type: 'capacitor', rating: 0.04 },
+      { id: 'r1', type: 'reactor', rating: 0.01 },
+      { id: 'cb', type: 'cable', rating: 0.015 },
+    ],
+  };
+  const connected = { l1: true, l2: false, c1: true, r1: true, cb: true };
+  const result = StabilityCore.reduceNetwork(systemConfig, connected);
+  const V2 = 1.1 * 1.1;
+  assertClose(result.G, (0.05 + 0.01) / V2);
+  assertClose(result.Bc, (0.04 - 0.01 + 0.015 - 0.005) / V2);
+  assertClose(result.P_total, 0.06);
+  assertClose(result.Qc_total, 0.04);
+
+  // 定電力負荷（ZIP の aP = 1）は負荷端電圧 VL で G = P/VL²
+  const zip = { ...systemConfig, P_adj: 0, Qc_adj: 0, elements: [{ id: 'l1', type: 'load', rating: 0.05, model: 'ZIP', zip: [0, 0, 1] }] };
+  assertClose(StabilityCore.reduceNetwork(zip, { l1: true }, 1.3).G, 0.05 / (1.3 * 1.3));
+});
+
+test('solveOperatingPoint: 定インピーダンス負荷のみなら反復せず VL = kV', () => {
+  const systemConfig = {
+    V: 1.0,
+    elements: [
+      { id: 'l1', type: 'load', rating: 0.05, model: 'Z' },
+      { id: 'l2', type: 'load', rating: 0.03 },
+      { id: 'c1', type: 'capacitor', rating: 0.07 },
+      { id: 'l3', type: 'load', rating: 0.03, model: 'ZIP', zip: [0, 0, 1] },
+    ],
+  };
+  const connected = { l1: true, l2: true, c1: true, l3: false };
+  const direct = StabilityCore.solveOperatingPoint(params, systemConfig, connected);
+  assert.equal(direct.iterations, 0);
+  assert.equal(direct.converged, true);
+  assertClose(direct.VL, StabilityCore.calculateK(params, 0.08, 0.07));
+
+  // 定インピーダンス相当の ZIP [1, 0, 0] は反復で同じ運転点に収束する
+  const zipZ = { ...systemConfig, elements: systemConfig.elements.map(el => (el.id === 'l1' ? { ...el, model: 'ZIP', zip: [1, 0, 0] } : el)) };
+  const iterated = StabilityCore.solveOperatingPoint(params, zipZ, connected);
+  assert.ok(iterated.iterations > 0);
+  assertClose(iterated.VL, direct.VL, 1e-5);
+  assertClose(iterated.G, direct.G, 1e-5);
+});
+
+// 連立一次方程式 A x = b（部分ピボット付きガウス消去、検査用の小さな行列のみ）
+const solve = (A, b) => {
+  const M = A.map((row, i) => [...row, b[i]]);
+  const n = M.length;
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    [M[c], M[p]] = [M[p], M[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    x[r] = (M[r][n] - M[r].slice(r + 1, n).reduce((sum, v, k) => sum + v * x[r + 1 + k], 0)) / M[r][r];
+  }
+  return x;
+};
+
+const defaultExciter = (model) => ({
+  model,
+  params: Object.fromEntries(StabilityCore.EXCITER_MODELS[model].params.map(p => [p.key, p.default])),
+});
+
+test('exciterStateSpace: 定常ゲイン -C A⁻¹ B は KA（DC1A は KA/KE）', () => {
+  ['simple', 'ST1A', 'DC1A'].forEach(model => {
+    const exciter = defaultExciter(model);
+    const { A, B, C } = StabilityCore.exciterStateSpace(exciter);
+    assert.equal(A.length, StabilityCore.EXCITER_MODELS[model].states.length);
+    const x = solve(A, B.map(v => -v));
+    const gain = C.reduce((sum, c, i) => sum + c * x[i], 0);
+    const p = exciter.params;
+    assertClose(gain, model === 'DC1A' ? p.KA / p.KE : p.KA, 1e-9, model);
+  });
+  // 出力段の上下限は定常値 Efd0 からの偏差
+  const st1a = StabilityCore.exciterStateSpace(defaultExciter('ST1A'), 1.5);
+  assert.deepEqual(st1a.limit, { index: 2, min: -6.0 - 1.5, max: 7.0 - 1.5 });
+  assert.deepEqual(StabilityCore.exciterStateSpace(defaultExciter('none')).A, []);
+});
+
+test('stateMatrix: 一次遅れ励磁系との結合系の特性多項式が閉形式と一致する', () => {
+  // det(sI - A) = (s + 1/TE)·p8(s) + (KA|Vt/E'|/(TE Td0'))·(n/Tq0' - a s/n)
+  // （p8 は式8 を Td0'Tq0' で割ったもの、a = QY'i - 1, r = QY'r, n = √(a² + r²)）
+  const { Td0_prime: Td, Tq0_prime: Tq } = params;
+  [[0.1, 0.075, 20], [0.02, 0.15, 50], [0.3, 0.0, 5], [0.05, 0.25, 0]].forEach(([g, bc, KA]) => {
+    const exciter = { model: 'simple', params: { KA, TE: 0.5 } };
+    const { A, states } = StabilityCore.stateMatrix(params, g, bc, exciter);
+    assert.deepEqual(states, ["E'd", "E'q", 'Efd']);
+    const Y = StabilityCore.calcNetworkAdmittance(g, bc, X);
+    const a = Q * Y.Yi - 1, r = Q * Y.Yr, n = Math.hypot(a, r);
+    const k = KA * StabilityCore.terminalVoltageRatio(params, Y) / 0.5;
+    const p8 = [1, -a * (1 / Tq + 1 / Td), (a * a + r * r) / (Td * Tq)];
+    const expected = [
+      1,
+      p8[1] + 2,
+      p8[2] + 2 * p8[1] - k * a / (n * Td),
+      2 * p8[2] + k * n / (Td * Tq),
+    ];
+    StabilityCore.characteristicPolynomial(A).forEach((c, i) => assertClose(c, expected[i], 1e-9, `c${i} (${g}, ${bc}, KA=${KA})`));
+    // Routh-Hurwitz と固有値の判定が一致
+    const roots = StabilityCore.matrixEigenvalues(A);
+    assert.equal(StabilityCore.checkStabilityWithExciter(params, g, bc, exciter), roots.every(root => root.re < 0), `(${g}, ${bc})`);
+  });
+  // 励磁系なしは式7 の 2×2 行列
+  const { Yr, Yi } = StabilityCore.calcNetworkAdmittance(0.1, 0.075, X);
+  assert.deepEqual(StabilityCore.stateMatrix(params, 0.1, 0.075).A, [
+    [(Q * Yi - 1) / Tq, Q * Yr / Tq],
+    [-Q * Yr / Td, (Q * Yi - 1) / Td],
+  ]);
+});
+
+test('isHurwitzStable: 根が既知の多項式の判定', () => {
+  assert.equal(StabilityCore.isHurwitzStable([1, 6, 11, 6]), true);        // (s + 1)(s + 2)(s + 3)
+  assert.equal(StabilityCore.isHurwitzStable([1, 4, 9, 10]), true);        // (s + 2)(s² + 2s + 5)
+  assert.equal(StabilityCore.isHurwitzStable([1, 1, 1, 10]), false);       // 第1列 1 - 10 < 0
+  assert.equal(StabilityCore.isHurwitzStable([1, 0, 4]), false);           // ±2j（虚軸上）
+  assert.equal(StabilityCore.isHurwitzStable([1, -1, 2]), false);
+  assert.deepEqual(StabilityCore.characteristicPolynomial([[0, 1, 0], [0, 0, 1], [-6, -11, -6]]), [1, 6, 11, 6]);
+});
+
+test('matrixEigenvalues: コンパニオン行列と式7 の状態行列の固有値', () => {
+  // (s + 1)(s + 2)(s² + 2s + 5) = s⁴ + 5s³ + 13s² + 19s + 10
+  const companion = [[0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1], [-10, -19, -13, -5]];
+  const roots = StabilityCore.matrixEigenvalues(companion);
+  [[-1, 2], [-1, -2], [-1, 0], [-2, 0]].sort(([r1, i1], [r2, i2]) => (r2 - r1) || (i2 - i1)).forEach(([re, im], i) => {
+    assertClose(roots[i].re, re, 1e-9, `Re ${i}`);
+    assertClose(roots[i].im, im, 1e-9, `Im ${i}`);
+  });
+
+  // 式7 の状態行列の固有値は式8 の2次方程式の根（実部の大きい順、共役根は虚部が正の根が先）
+  OPERATING_POINTS.forEach(([g, bc]) => {
+    const qr = StabilityCore.matrixEigenvalues(StabilityCore.stateMatrix(params, g, bc).A);
+    const expected = characteristicRoots(g, bc).sort(byRealThenImag);
+    qr.forEach((root, i) => {
+      assertClose(root.re, expected[i].re, 1e-9, `Re (${g}, ${bc})`);
+      assertClose(root.im, expected[i].im, 1e-9, `Im (${g}, ${bc})`);
+    });
+  });
+});
+
+test('modalAnalysis: 減衰比・周波数と、和が 1 になる参加係数', () => {
+  // 2×2 ブロック（-1 ± 2j）と 1×1（-3）の直和: 各モードは自ブロックの状態だけに参加する
+  const A = [[-1, 2, 0], [-2, -1, 0], [0, 0, -3]];
+  const modes = StabilityCore.modalAnalysis(A);
+  assert.equal(modes.length, 2);
+  assertClose(modes[0].damping, 1 / Math.sqrt(5));
+  assertClose(modes[0].frequency, 2 / (2 * Math.PI));
+  assertClose(modes[0].participation[0], 0.5);
+  assertClose(modes[0].participation[1], 0.5);
+  assertClose(modes[0].participation[2], 0, 1e-9);
+  assert.deepEqual([modes[1].re, modes[1].im, modes[1].damping], [-3, 0, 1]);
+  assertClose(modes[1].participation[2], 1);
+
+  // 励磁系込みの状態行列でも各モードの参加係数の和は 1
+  ['simple', 'ST1A', 'DC1A'].forEach(model => {
+    const { A: Am } = StabilityCore.stateMatrix(params, 0.1, 0.075, defaultExciter(model));
+    StabilityCore.modalAnalysis(Am).forEach(mode => {
+      assertClose(mode.participation.reduce((sum, x) => sum + x, 0), 1, 1e-12, model);
+      assert.ok(mode.participation.every(x => x >= 0), model);
+      assert.equal(mode.stable, mode.re < 0);
+    });
+  });
+});
+
+test('多機系: 同一定数の2機は1機の安定境界円・式8 の根に帰着する', () => {
+  // 自己容量 50 MVA の2機を 100 MVA 基準で並列にすると1機（params）と同じ定数
+  const unit = (id) => ({ id, name: id, rating: 50, Xd: params.Xd, Xd_prime: params.Xd_prime, XT: 0, Td0_prime: params.Td0_prime, Tq0_prime: params.Tq0_prime });
+  const units = [unit('G1'), unit('G2')];
+  const eq = StabilityCore.equivalentMachine(units, params.XL, 100);
+  Object.keys(params).forEach(key => assertClose(eq[key], params[key], 1e-12, key));
+
+  const { Bc_center, R } = StabilityCore.stabilityCircle(params);
+  const points = [...OPERATING_POINTS, [0, Bc_center], [0.99 * R, Bc_center], [1.01 * R, Bc_center], [0, Bc_center - 1.01 * R]];
+  points.forEach(([g, bc]) => {
+    const analysis = StabilityCore.multiMachineAnalysis(units, params.XL, g, bc, 100);
+    assert.equal(analysis.stable, StabilityCore.checkStability(params, g, bc), `stable (${g}, ${bc})`);
+    assert.equal(StabilityCore.checkMultiMachineStability(units, params.XL, g, bc, 100), analysis.stable, `Routh (${g}, ${bc})`);
+  });
+
+  // 同相モードは式8 の根、逆相モード（E'1 - E'2）は系統と無関係に -(1 + Q/Xd')/T（自己容量基準）
+  OPERATING_POINTS.forEach(([g, bc]) => {
+    const { A, states } = StabilityCore.multiMachineStateMatrix(units, params.XL, g, bc, 100);
+    assert.deepEqual(states, ["E'd1", "E'q1", "E'd2", "E'q2"]);
+    const roots = StabilityCore.matrixEigenvalues(A);
+    const xd = params.Xd / params.Xd_prime;
+    const expected = [
+      ...characteristicRoots(g, bc),
+      { re: -xd / params.Tq0_prime, im: 0 },
+      { re: -xd / params.Td0_prime, im: 0 },
+    ].sort(byRealThenImag);
+    roots.forEach((root, i) => {
+      assertClose(root.re, expected[i].re, 1e-8, `Re (${g}, ${bc})`);
+      assertClose(root.im, expected[i].im, 1e-8, `Im (${g}, ${bc})`);
+    });
+  });
+});
+
+test('saturationCoefficients: 2次飽和関数が S(1.0), S(1.2) を再現する', () => {
+  [[0.1, 0.4], [0.05, 0.2], [0.2, 0.24]].forEach(([S10, S12]) => {
+    const coeffs = StabilityCore.saturationCoefficients({ S10, S12 });
+    assert.ok(coeffs.A < 1, `A = ${coeffs.A}`);
+    assertClose(StabilityCore.saturationFactor(coeffs, 1.0), S10, 1e-12, `S(1.0) (${S10}, ${S12})`);
+    assertClose(StabilityCore.saturationFactor(coeffs, 1.2), S12, 1e-12, `S(1.2) (${S10}, ${S12})`);
+    assert.equal(StabilityCore.saturationFactor(coeffs, coeffs.A), 0);
+  });
+  assert.equal(StabilityCore.saturationCoefficients({ S10: 0, S12: 0.4 }), null);
+  assert.equal(StabilityCore.saturationCoefficients({ S10: 0.1, S12: 0.11 }), null);
+  assert.equal(StabilityCore.saturationFactor(null, 1.5), 0);
+});
+
+test('saturatedEquilibrium: 飽和を含む平衡点の式を満たし、円の内部でも持続電圧に落ち着く', () => {
+  const coeffs = StabilityCore.saturationCoefficients({ S10: 0.1, S12: 0.4 });
+  const check = (g, bc, Efd) => {
+    const eq = StabilityCore.saturatedEquilibrium(params, g, bc, Efd, coeffs);
+    const Y = StabilityCore.calcNetworkAdmittance(g, bc, X);
+    const a = Q * Y.Yi - 1, r = Q * Y.Yr;
+    const S = StabilityCore.saturationFactor(coeffs, eq.E);
+    assertClose(Math.hypot(eq.Ed, eq.Eq), eq.E, 1e-12);
+    assertClose((a - S) * eq.Ed + r * eq.Eq, 0, 1e-9, `d軸 (${g}, ${bc})`);
+    assertClose(Efd - r * eq.Ed + (a - S) * eq.Eq, 0, 1e-9, `q軸 (${g}, ${bc})`);
+    assertClose(eq.VL, StabilityCore.calculateK(params, g, bc) * eq.E, 1e-9, `VL (${g}, ${bc})`);
+    return { eq, a, r };
+  };
+
+  // 飽和の始まる A より低い電圧では飽和なしの |E'| = Efd/√(a² + r²)
+  const low = check(0.1, 0.075, 0.5);
+  assert.ok(low.eq.E < coeffs.A);
+  assertClose(low.eq.E, 0.5 / Math.hypot(low.a, low.r), 1e-12);
+  // 飽和で電圧が下がる
+  const rated = check(0.1, 0.075, 1.0);
+  assert.ok(rated.eq.E < 1.0 / Math.hypot(rated.a, rated.r));
+
+  // 安定境界円の中心（飽和なしでは自己励磁で発散）
+  const { Bc_center } = StabilityCore.stabilityCircle(params);
+  assert.equal(StabilityCore.saturatedEquilibrium(params, 0, Bc_center, 1.0, null), null);
+  const selfExcited = check(0, Bc_center, 1.0);
+  assert.ok(selfExcited.eq.E > 1.0 && StabilityCore.saturationFactor(coeffs, selfExcited.eq.E) > selfExcited.a);
+});
+
+test('preSeparationLoadFlow: 発電機出力と連系線からの受電の和が負荷母線側の消費に等しい', () => {
+  const tie = { Rt: 0, Xt: 0.2, Vinf: 1.0, Vt: 1.0 };
+  const abs2 = (z) => z.re * z.re + z.im * z.im;
+  // 受電 Ptie, Qtie は負荷母線端の値のため、連系線の損失（Rt）によらず収支が合う
+  [[0.1, 0.075, 0, 0], [0.1, 0.075, 0.08, 0], [0.05, 0.15, 0.15, 0.02], [0, 0.075, 0.1, 0]].forEach(([g, bc, Pg, Rt]) => {
+    const lf = StabilityCore.preSeparationLoadFlow(params, g, bc, { ...tie, Rt, Pg });
+    const where = `(${g}, ${bc}, Pg=${Pg}, Rt=${Rt})`;
+    assertClose(Math.hypot(lf.Vt.re, lf.Vt.im), tie.Vt, 1e-12, `|Vt| ${where}`);
+    assertClose(lf.Vt.re * lf.I.re + lf.Vt.im * lf.I.im, Pg, 1e-9, `Pg ${where}`);
+    // 有効電力: Ptie = G|VL|² - Pg（Pg = 0 なら負荷をすべて受電、G = 0 なら発電機出力をすべて送電）
+    const Pload = g * abs2(lf.VL);
+    assertClose(lf.Ptie, Pload - Pg, 1e-9, `Ptie ${where}`);
+    if (g === 0) assertClose(lf.Ptie, -Pg, 1e-9, where);
+    // 無効電力（受電は負荷母線端）: Qg + Qtie = |I|²XL - Bc|VL|²
+    assertClose(lf.Qg + lf.Qtie, abs2(lf.I) * params.XL - bc * abs2(lf.VL), 1e-9, `Q ${where}`);
+    // 飽和なしでは Efd = |E' + j(Xd - Xd')I|（q軸上の電圧）
+    assertClose(Math.hypot(lf.Ed, lf.Eq), Math.hypot(lf.E.re, lf.E.im), 1e-12);
+    assertClose(lf.Efd, Math.hypot(lf.E.re - Q * lf.I.im, lf.E.im + Q * lf.I.re), 1e-9, `Efd ${where}`);
+  });
+  // 送電限界を超える出力は解なし
+  assert.equal(StabilityCore.preSeparationLoadFlow(params, 0.1, 0.075, { ...tie, Pg: 1.0 }), null);
+});
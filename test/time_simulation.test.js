@@ -0,0 +1,76 @@
+// TimeSimulation の積分器と分離後応答の検査（解析解・平衡点との照合）
+// 実行: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StabilityCore = require('../src/stability_core.js');
+const TimeSimulation = require('../src/time_simulation.js');
+
+const params = { Xd: 1.8, Xd_prime: 0.3, XL: 5.0, Td0_prime: 5.0, Tq0_prime: 1.0 };
+const X = params.XL + params.Xd_prime;
+
+const assertClose = (actual, expected, tol = 1e-9, message) => {
+  assert.ok(Math.abs(actual - expected) <= tol * Math.max(1, Math.abs(expected)),
+    `${message ? `${message}: ` : ''}${actual} ≠ ${expected}`);
+};
+
+const systemConfig = {
+  V: 1.0,
+  elements: [
+    { id: 'load1', type: 'load', rating: 0.1 },
+    { id: 'cap1', type: 'capacitor', rating: 0.075 },
+    { id: 'cap2', type: 'capacitor', rating: 0.1 },
+  ],
+};
+
+test('integrateODE: dx/dt = -x を RK4・適応刻みで解析解 e^-t と一致させる', () => {
+  const decay = (t, [x]) => [-x];
+  const rk4 = TimeSimulation.integrateODE(decay, [1], 0, 1, { dt: 0.01 });
+  assertClose(rk4.points[rk4.points.length - 1].t, 1, 1e-12);
+  assertClose(rk4.points[rk4.points.length - 1].x[0], Math.exp(-1), 1e-9);
+  const adaptive = TimeSimulation.integrateODE(decay, [1], 0, 1, { method: 'adaptive', dt: 0.1 });
+  assertClose(adaptive.points[adaptive.points.length - 1].x[0], Math.exp(-1), 1e-6);
+
+  // 発散は maxNorm を超えた時点で打ち切る
+  const growth = TimeSimulation.integrateODE((t, [x]) => [x], [1], 0, 10, { dt: 0.01, maxNorm: 20 });
+  assert.equal(growth.diverged, true);
+  assert.ok(growth.points[growth.points.length - 1].t < Math.log(20) + 0.02);
+});
+
+test('buildSchedule: イベントを時刻順に適用し、存在しない要素のイベントは無視する', () => {
+  const connected = { load1: true, cap1: true, cap2: false };
+  const segments = TimeSimulation.buildSchedule(systemConfig, connected, [
+    { id: 2, t: 0.8, action: 'close', target: 'cap2' },
+    { id: 1, t: 0.5, action: 'separate' },
+    { id: 3, t: 1.0, action: 'open', target: 'missing' },
+  ]);
+  assert.deepEqual(segments.map(seg => [seg.tStart, seg.separated]), [[0, false], [0.5, true], [0.8, true]]);
+  assert.equal(segments[2].connected.cap2, true);
+  assertClose(segments[2].Bc, 0.175);
+  assertClose(segments[0].G, 0.1);
+});
+
+test('simulateSchedule: 安定な運転点では式7 の平衡点 |E\'| = Efd/√(a² + r²) に収束する', () => {
+  const connected = { load1: true, cap1: true, cap2: false };
+  const segments = TimeSimulation.buildSchedule(systemConfig, connected, [{ id: 1, t: 0.5, action: 'separate' }]);
+  const { data, diverged } = TimeSimulation.simulateSchedule({ params, segments, tMax: 60, dt: 0.02 });
+  assert.equal(diverged, false);
+  // 分離前は負荷端電圧が V に保持される
+  data.filter(d => !d.separated).forEach(d => assert.equal(d.VL, 1.0));
+
+  const Y = StabilityCore.calcNetworkAdmittance(0.1, 0.075, X);
+  const Q = params.Xd - params.Xd_prime;
+  const a = Q * Y.Yi - 1, r = Q * Y.Yr;
+  const E = 1.0 / Math.hypot(a, r);
+  const last = data[data.length - 1];
+  assertClose(Math.hypot(last.Ed, last.Eq), E, 1e-4);
+  assertClose(last.VL, StabilityCore.calculateK(params, 0.1, 0.075) * E, 1e-4);
+});
+
+test('simulateSchedule: 安定境界円の内部では E\' が増大する', () => {
+  const connected = { load1: false, cap1: true, cap2: true };
+  const segments = TimeSimulation.buildSchedule(systemConfig, connected, [{ id: 1, t: 0.5, action: 'separate' }]);
+  assert.equal(StabilityCore.checkStability(params, segments[1].G, segments[1].Bc), false);
+  const { data, diverged } = TimeSimulation.simulateSchedule({ params, segments, tMax: 30, dt: 0.02 });
+  const last = data[data.length - 1];
+  assert.ok(diverged || Math.hypot(last.Ed, last.Eq) > 5, `|E'| = ${Math.hypot(last.Ed, last.Eq)}`);
+});